@@ -13,34 +13,106 @@ const TARGET_SPREADSHEET_FILENAME = "FundingFlock.AI Grant Data";
 const SPREADSHEET_ID_KEY = 'spreadsheetId';
 const TEMPLATE_SHEET_ID = "1WCBvaSUERdZxwabmfgP9aNpW7n3PVk56mGt2ip98cDA";
 const MASTER_SCRIPT_ID = "1piNzu4bJCOHdPXeaPvQtHmF93v_EuVut784u8VWiNgG5uT99BMsEMCXr";
+const USER_SHEET_ID_PROPERTY = 'userFundingFlockSheetId'; // User property holding the sheet created for the extension user
 
 // --- Sheet Tab Names ---
 const PROPOSAL_TRACKER_SHEET_TAB_NAME = "Proposals";
-const OPPORTUNITIES_SHEET_TAB_NAME = "Opportunities"; // For future implementation
+const OPPORTUNITIES_SHEET_TAB_NAME = "Opportunities";
 const DASHBOARD_TAB_NAME = "Dashboard";
 const HELPER_SHEET_NAME = "DashboardHelperData";
+const FUNDER_ALIAS_SHEET_TAB_NAME = "Funder Aliases";
+const STATUS_HISTORY_SHEET_TAB_NAME = "Status History"; // Hidden audit trail of status transitions
+const PROCESSED_MESSAGES_SHEET_TAB_NAME = "Processed Messages"; // Hidden ledger of applied Gmail messages
+const SETTINGS_SHEET_TAB_NAME = "Settings"; // User-editable status pipeline
 
 // --- Column Configuration for "Proposals" Sheet ---
-const PROPOSAL_TRACKER_SHEET_HEADERS = [
-  "Processed Timestamp", "Submission Date", "Funder", "RFP Title", "Status",
-  "Peak Status", "Last Update", "Amount Requested", "Amount Awarded",
-  "Source Email", "Email Link", "Email ID", "Notes"
+// Columns are found by header text, not position (ColumnMap.js), so users can reorder them, rename a header to
+// one of its aliases or insert their own columns. Keys are used with proposalCol(); the order is the template's.
+// A missing required column stops the run; the others are added after the last column.
+const PROPOSAL_COLUMNS = {
+  PROC_TS: { header: "Processed Timestamp", aliases: ["Processed", "Processed At", "Date Added"] },
+  SUBMIT_DATE: { header: "Submission Date", aliases: ["Submitted", "Date Submitted", "Submitted On"] },
+  FUNDER: { header: "Funder", aliases: ["Funder Name", "Foundation", "Funding Organization"], required: true },
+  TITLE: { header: "RFP Title", aliases: ["Proposal Title", "Title", "Grant Title", "Proposal"], required: true },
+  STATUS: { header: "Status", aliases: ["Proposal Status", "Submission Status"], required: true },
+  PEAK_STATUS: { header: "Peak Status", aliases: ["Highest Status"] },
+  LAST_UPDATE: { header: "Last Update", aliases: ["Last Updated", "Updated"] },
+  AMT_REQ: { header: "Amount Requested", aliases: ["Requested", "Request Amount", "Ask"] },
+  AMT_AWARD: { header: "Amount Awarded", aliases: ["Awarded", "Award Amount", "Grant Amount"] },
+  EMAIL_SUBJ: { header: "Source Email", aliases: ["Email Subject", "Subject"] },
+  EMAIL_LINK: { header: "Email Link", aliases: ["Gmail Link", "Link"] },
+  EMAIL_ID: { header: "Email ID", aliases: ["Gmail ID"] },
+  NOTES: { header: "Notes", aliases: ["Note", "Comments"] },
+  LOI_DUE: { header: "LOI Due Date", aliases: ["LOI Due", "LOI Deadline"] },
+  DEADLINE: { header: "Proposal Deadline", aliases: ["Deadline", "Application Deadline", "Due Date"] },
+  DECISION_DATE: { header: "Decision Date", aliases: ["Decision Expected", "Expected Decision"] },
+  REPORT_DUE: { header: "Report Due Date", aliases: ["Report Due", "Report Deadline"] },
+  PARSED_BY: { header: "Parsed By", aliases: ["Parser"] },
+  THREAD_IDS: { header: "Thread IDs", aliases: ["Thread ID", "Gmail Thread IDs"] },   // Comma-separated Gmail thread IDs linked to the proposal.
+  MESSAGE_IDS: { header: "Message IDs", aliases: ["Gmail Message IDs"] },             // Comma-separated Gmail message IDs already applied to the proposal.
+  FOLLOW_UP: { header: "Follow-Up", aliases: ["Followup", "Follow-Up Step"] } // Stale follow-up step reached, e.g. "Reminder Sent (2025-06-01)". Cleared by new mail.
+};
+const PROPOSAL_TRACKER_SHEET_HEADERS = Object.values(PROPOSAL_COLUMNS).map(c => c.header);
+const DUMMY_PROPOSAL_EMAIL_IDS = ["dummy1", "dummy2"]; // Email IDs of the rows setup seeds to prime the Dashboard, then removes.
+
+// Key-date columns extracted from emails, mapped to the parser result field and a dashboard label.
+const PROPOSAL_KEY_DATE_FIELDS = [
+  { key: 'LOI_DUE', field: "loiDueDate", label: "LOI Due" },
+  { key: 'DEADLINE', field: "proposalDeadline", label: "Proposal Deadline" },
+  { key: 'DECISION_DATE', field: "decisionDate", label: "Decision Expected" },
+  { key: 'REPORT_DUE', field: "reportDueDate", label: "Report Due" }
+];
+const UPCOMING_DEADLINES_LIMIT = 10; // Rows shown in the Dashboard's "Upcoming Deadlines" section.
+
+// --- Column Configuration for "Opportunities" Sheet ---
+const OPPORTUNITIES_SHEET_HEADERS = [
+  "Date Added", "Funder", "Program Name", "Deadline", "Award Range",
+  "Eligibility", "URL", "Status", "Source Email Subject", "Source Email ID",
+  "Processed Timestamp", "Notes"
 ];
 // Column Index Variables (1-based)
-const PROP_PROC_TS_COL = 1;
-const PROP_SUBMIT_DATE_COL = 2;
-const PROP_FUNDER_COL = 3;
-const PROP_TITLE_COL = 4;
-const PROP_STATUS_COL = 5;
-const PROP_PEAK_STATUS_COL = 6;
-const PROP_LAST_UPDATE_COL = 7;
-const PROP_AMT_REQ_COL = 8;
-const PROP_AMT_AWARD_COL = 9;
-const PROP_EMAIL_SUBJ_COL = 10;
-const PROP_EMAIL_LINK_COL = 11;
-const PROP_EMAIL_ID_COL = 12;
-const PROP_NOTES_COL = 13;
-const TOTAL_COLUMNS_IN_PROPOSAL_SHEET = PROPOSAL_TRACKER_SHEET_HEADERS.length;
+const OPP_DATE_ADDED_COL = 1;
+const OPP_FUNDER_COL = 2;
+const OPP_PROGRAM_COL = 3;
+const OPP_DEADLINE_COL = 4;
+const OPP_AWARD_RANGE_COL = 5;
+const OPP_ELIGIBILITY_COL = 6;
+const OPP_URL_COL = 7;
+const OPP_STATUS_COL = 8;
+const OPP_EMAIL_SUBJ_COL = 9;
+const OPP_EMAIL_ID_COL = 10;
+const OPP_PROC_TS_COL = 11;
+const OPP_NOTES_COL = 12;
+const TOTAL_COLUMNS_IN_OPPORTUNITIES_SHEET = OPPORTUNITIES_SHEET_HEADERS.length;
+const OPPORTUNITIES_SHEET_COLUMN_WIDTHS = [100, 180, 220, 100, 120, 250, 200, 90, 220, 120, 150, 250];
+const DEFAULT_OPPORTUNITY_STATUS = "New";
+
+// --- Status History (audit trail) ---
+const STATUS_HISTORY_SHEET_HEADERS = [
+  "Timestamp", "Proposal Key", "Funder", "RFP Title", "Old Status", "New Status", "Source", "Email ID", "Email Link"
+];
+const HISTORY_SOURCE_EMAIL = "Email Parser";
+const HISTORY_SOURCE_STALE = "Stale Job";
+const HISTORY_SOURCE_MANUAL = "Manual Edit";
+const HISTORY_SOURCE_MANUAL_REVIEW = "Manual Review";
+const HISTORY_SOURCE_API = "Web App API";
+const HISTORY_SOURCE_STALE_REVERT = "Stale Revert";
+
+// --- Manual Review Queue (sidebar) ---
+const PARSER_NAME_MANUAL_REVIEW = "Manual Review";
+const MANUAL_REVIEW_QUEUE_LIMIT = 30;   // Threads listed in the sidebar at once.
+const MANUAL_REVIEW_PARTIALS_PROPERTY = 'FUNDINGFLOCK_MANUAL_REVIEW_PARTIALS'; // JSON map: message ID -> partial parse
+const MANUAL_REVIEW_PARTIALS_MAX = 100; // Oldest partials are dropped beyond this.
+
+// --- Proposal Matching (linking emails to existing rows) ---
+// The optional third column is the funder's usual wait for a decision, counted from the submission date.
+const FUNDER_ALIAS_SHEET_HEADERS = ["Alias (as it appears in emails)", "Canonical Funder Name", "Decision Weeks (optional)"];
+// Trailing words ignored when comparing funder names ("The Kresge Foundation" == "Kresge").
+const FUNDER_NAME_STRIP_SUFFIXES = ["foundation", "fund", "trust", "inc", "incorporated", "llc", "org"];
+const TITLE_STOP_WORDS = ["the", "a", "an", "of", "for", "and", "to", "in", "on", "grant", "proposal", "program", "project", "application", "fy"];
+const FUNDER_MATCH_MIN_SCORE = 0.8;     // Funder similarity below this never matches.
+const MATCH_CONFIDENCE_THRESHOLD = 0.8; // At or above: the email updates the matched row.
+const MATCH_REVIEW_THRESHOLD = 0.55;    // Between this and the match threshold: sent to Manual Review instead of creating a row.
 
 // --- Proposal Status Configuration ---
 const STATUS_DRAFTING = "Drafting";
@@ -50,6 +122,7 @@ const STATUS_AWARDED = "Awarded";
 const STATUS_DECLINED = "Declined";
 const STATUS_WITHDRAWN = "Withdrawn";
 const MANUAL_REVIEW_NEEDED = "Manual Review Needed";
+const NOT_A_PROPOSAL_STATUS = "Not a Proposal Update"; // Parser verdict only; never written to the sheet.
 
 const STATUS_HIERARCHY = {
   [STATUS_DRAFTING]: 1,
@@ -64,12 +137,65 @@ const STATUS_HIERARCHY = {
 const FINAL_STATUSES_FOR_STALE_CHECK = new Set([
   STATUS_AWARDED, STATUS_DECLINED, STATUS_WITHDRAWN, MANUAL_REVIEW_NEEDED
 ]);
-const WEEKS_THRESHOLD = 35; // ~8 months. Grant cycles are long.
+// STATUS_HIERARCHY, FINAL_STATUSES_FOR_STALE_CHECK and the keyword lists below only seed the "Settings" sheet.
+// At runtime the pipeline comes from that sheet (StatusSettings.js: getStatusRank, isTerminalStatus, ...).
+const SETTINGS_SHEET_HEADERS = ["Status", "Rank", "Terminal", "Keyword Hints (comma-separated)", "Description"];
+// Statuses the code refers to by name; they are restored from the defaults if removed from the sheet.
+const STATUS_CORE_NAMES = [STATUS_DRAFTING, STATUS_SUBMITTED, STATUS_UNDER_REVIEW, STATUS_AWARDED, STATUS_DECLINED, MANUAL_REVIEW_NEEDED];
+// Statuses only a person sets; they are not offered to the AI or the keyword parser.
+const STATUSES_NOT_ASSIGNED_BY_PARSER = [STATUS_DRAFTING, STATUS_WITHDRAWN, MANUAL_REVIEW_NEEDED];
+const DEFAULT_STATUS_DESCRIPTIONS = {
+  [STATUS_DRAFTING]: "Being written; not yet sent to the funder.",
+  [STATUS_SUBMITTED]: "Sent to the funder.",
+  [STATUS_UNDER_REVIEW]: "Received and being reviewed by the funder.",
+  [STATUS_AWARDED]: "Funded.",
+  [STATUS_DECLINED]: "Not funded.",
+  [STATUS_WITHDRAWN]: "Withdrawn by your organization.",
+  [MANUAL_REVIEW_NEEDED]: "The parser could not tell; needs a person."
+};
+const WEEKS_THRESHOLD = 35; // ~8 months without news before a follow-up, when no decision date is known. Grant cycles are long.
+
+// --- Stale Proposal Follow-Up (StaleFollowUp.js) ---
+// Escalation steps written to the Follow-Up column, in order. The status only changes at the last step.
+const FOLLOW_UP_REMINDED = "Reminder Sent";
+const FOLLOW_UP_STALE = "Stale – Follow Up";
+const FOLLOW_UP_AUTO_DECLINED = "Auto-Declined";
+const STALE_FOLLOW_UP_STEPS = [FOLLOW_UP_REMINDED, FOLLOW_UP_STALE, FOLLOW_UP_AUTO_DECLINED];
+const STALE_DECISION_GRACE_WEEKS = 2;    // Weeks past the expected decision date before the follow-up starts.
+const STALE_FLAG_AFTER_WEEKS = 4;        // Weeks after the reminder, without news, before the proposal is flagged.
+const STALE_AUTO_CLOSE_AFTER_WEEKS = 8;  // Weeks after the flag before an opted-in auto-close.
+const STALE_AUTO_DECLINE_NOTE = "Auto-updated to Declined on"; // Note text; also marks rows auto-declined before the Follow-Up column.
 
 // --- Keyword Matching for Status Parsing ---
 const AWARDED_KEYWORDS = ["awarded", "pleased to award", "grant has been approved", "funding is approved"];
-const UNDER_REVIEW_KEYWORDS = ["under review", "application is being reviewed", "thank you for your submission", "proposal received"];
-const DECLINED_KEYWORDS = ["declined", "not selected for funding", "unable to fund", "regret to inform"];
+const UNDER_REVIEW_KEYWORDS = ["under review", "application is being reviewed", "proposal received"];
+const DECLINED_KEYWORDS = ["declined", "not selected for funding", "unable to fund", "regret to inform", "not awarded"];
+// "Thank you for your submission" opens most confirmations, so it is a Submitted hint: Under Review is checked first.
+const SUBMITTED_KEYWORDS = ["successfully submitted", "submission confirmation", "has been submitted", "application submitted", "thank you for your submission"];
+
+// Matched against the normalized text before a hint; a hint right after a negation is not a match.
+const KEYWORD_NEGATION_PATTERN = /\b(not|never|no longer)( been| yet been)? $/;
+// Sentences the default hints must classify correctly; Diagnose & Repair checks them against the Settings sheet.
+const STATUS_KEYWORD_SAMPLES = [
+  { text: "We regret to inform you that your proposal was not awarded.", status: STATUS_DECLINED },
+  { text: "Thank you for your submission. Your proposal has been successfully submitted.", status: STATUS_SUBMITTED }
+];
+
+// --- Offline (Keyword) Parser Fallback ---
+// Values recorded in the "Parsed By" column so users can see which parser produced each row.
+const PARSER_NAME_GEMINI = "Gemini";
+const PARSER_NAME_KEYWORD = "Keyword Fallback";
+// Schema-invalid AI replies get this many repair re-prompts before the email falls back to the keyword parser / Manual Review.
+const MAX_AI_REPAIR_ATTEMPTS = 1;
+// After this many consecutive Gemini failures in one run (quota, outage, bad JSON), the rest of the run uses the keyword parser.
+const MAX_CONSECUTIVE_AI_FAILURES = 2;
+// Sender domains that never identify a funder (free mail providers and grant portals).
+const NON_FUNDER_SENDER_DOMAINS = [
+  "gmail.com", "googlemail.com", "yahoo.com", "outlook.com", "hotmail.com", "aol.com", "icloud.com",
+  "submittable.com", "fluxx.io", "smapply.io", "smapply.org", "foundant.com", "blackbaud.com", "grantinterface.com", "zengine.com"
+];
+// Suffixes that mark an organization name in a subject line (e.g., "Update from the Kresge Foundation").
+const FUNDER_NAME_SUFFIXES = ["Foundation", "Fund", "Trust", "Endowment", "Institute", "Council", "Trustees"];
 
 // --- Gmail Configuration ---
 const MASTER_GMAIL_LABEL_PARENT = "FundingFlock.AI";
@@ -80,19 +206,197 @@ const TRACKER_GMAIL_LABEL_MANUAL_REVIEW = `${TRACKER_GMAIL_LABEL_PARENT}/Manual
 
 const TRACKER_GMAIL_FILTER_QUERY = `(subject:("your proposal" OR "your application" OR "grant status" OR "funding decision" OR "letter of inquiry" OR "LOI status") OR from:(*foundation*.org OR *@philanthropy.com)) AND -subject:("newsletter" OR "webinar" OR "annual report") AND -list:(newsletter) AND -label:(${TRACKER_GMAIL_LABEL_PROCESSED}) AND -label:(${TRACKER_GMAIL_LABEL_MANUAL_REVIEW})`;
 
+// --- Gmail Configuration (Opportunities) ---
+const OPPORTUNITIES_GMAIL_LABEL_PARENT = `${MASTER_GMAIL_LABEL_PARENT}/Opportunities`;
+const OPPORTUNITIES_GMAIL_LABEL_TO_PROCESS = `${OPPORTUNITIES_GMAIL_LABEL_PARENT}/To Process`;
+const OPPORTUNITIES_GMAIL_LABEL_PROCESSED = `${OPPORTUNITIES_GMAIL_LABEL_PARENT}/Processed`;
+const OPPORTUNITIES_GMAIL_LABEL_MANUAL_REVIEW = `${OPPORTUNITIES_GMAIL_LABEL_PARENT}/Manual Review`;
+
+// Targets RFP alert newsletters. Customize the senders for the alert services your org subscribes to.
+const OPPORTUNITIES_GMAIL_FILTER_QUERY = `(subject:("RFP" OR "request for proposals" OR "funding opportunity" OR "funding opportunities" OR "grant alert" OR "grants alert" OR "call for proposals") OR from:(*@grants.gov OR *@candid.org OR *@instrumentl.com OR *@philanthropynewsdigest.org)) AND -label:(${OPPORTUNITIES_GMAIL_LABEL_PROCESSED}) AND -label:(${OPPORTUNITIES_GMAIL_LABEL_MANUAL_REVIEW})`;
+
+// --- Web App API (browser extension) ---
+// Web Apps cannot set HTTP status codes, so every error response carries one of these codes instead.
+const API_ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  SHEET_NOT_FOUND: 'SHEET_NOT_FOUND',
+  SHEET_COLUMNS_MISSING: 'SHEET_COLUMNS_MISSING', // A required Proposals header cannot be found.
+  UNAUTHORIZED: 'UNAUTHORIZED',         // Missing, unknown or revoked token, or a bad signature.
+  REQUEST_EXPIRED: 'REQUEST_EXPIRED',   // Timestamp outside API_SIGNATURE_MAX_SKEW_MS.
+  REPLAYED_REQUEST: 'REPLAYED_REQUEST', // Nonce already used.
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+const API_LIST_DEFAULT_LIMIT = 100;
+const API_LIST_MAX_LIMIT = 500;
+const PARSER_NAME_MANUAL_ENTRY = "Manual Entry"; // "Parsed By" value for proposals added through the API
+
+// Request signing. Every API request carries a per-user token ID, a timestamp, a nonce and an
+// HMAC-SHA256 signature made with the token's secret (see WebApp_Auth.js).
+const API_TOKENS_PROPERTY = 'FUNDINGFLOCK_API_TOKENS'; // User property: JSON map of token ID -> { secret, createdAt, lastUsedAt }
+const API_TOKEN_PREFIX = 'ff_';
+const API_MAX_TOKENS_PER_USER = 5;              // Oldest tokens are revoked beyond this.
+const API_SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000; // Requests older (or further in the future) than this are rejected.
+const API_NONCE_LOCK_WAIT_MS = 5 * 1000;         // How long a request waits for the user lock around the nonce check.
+
+// --- Processing Engine ---
+const ENGINE_THREAD_BATCH_SIZE = 20;          // Threads fetched from the "To Process" label per batch.
+const ENGINE_MAX_RUNTIME_SECONDS = 300;       // Stop starting new messages after this (Apps Script limit is 360s).
+const ENGINE_CONTINUATION_DELAY_MINUTES = 1;  // Delay before the one-off continuation trigger fires.
+const ENGINE_CURSOR_PROPERTY_PREFIX = 'FUNDINGFLOCK_ENGINE_CURSOR_'; // + the module's "To Process" label name
+const DOCUMENT_LOCK_WAIT_MS = 30 * 1000;      // How long a run waits for another run to release the document lock.
+// Ledger of messages already applied, so re-running or re-labeling a thread never applies a message twice.
+const PROCESSED_MESSAGES_SHEET_HEADERS = ["Message ID", "Thread ID", "Module", "Processed At"];
+
+// Historical backfill: existing mail matching TRACKER_GMAIL_FILTER_QUERY is queued window by window, oldest first.
+const BACKFILL_STATE_PROPERTY = 'FUNDINGFLOCK_BACKFILL_STATE';
+const BACKFILL_WINDOW_DAYS = 30;           // Date range queued per step (halved while a window has too many threads).
+const BACKFILL_MAX_THREADS_PER_WINDOW = 300; // Largest window labeled in one step.
+const BACKFILL_POLL_MINUTES = 5;           // How often the backfill checks whether the queue has drained.
+const BACKFILL_MAX_WAIT_POLLS = 24;        // Polls without the queue draining before the backfill is marked stalled.
+
+// Dry-run previews: the changes a run would make, written as a diff for review before "Apply Preview".
+const PREVIEW_SHEET_TAB_NAME = "Preview";
+const PREVIEW_SHEET_HEADERS = ["Change", "Module", "Sheet", "Row", "Column", "Old Value", "New Value", "Source Email", "Message ID", "Thread ID"];
+const PREVIEW_MAX_THREADS = 50;            // Threads a preview run looks at (it changes no labels, so it cannot drain the queue).
+const PREVIEW_CHANGE_UPDATE = "Update";    // A cell of an existing row.
+const PREVIEW_CHANGE_NEW_ROW = "New Row";  // A cell of a row to append.
+const PREVIEW_CHANGE_LABEL = "Label";      // A thread moved from the "To Process" label (Old Value) to New Value.
+const PREVIEW_MODULE_STALE = "Stale Check";
+
+// --- Pipeline Digest (Digest.js) ---
+// A scheduled HTML email summarizing the Proposals sheet for people who do not open the spreadsheet.
+// Recipients and cadence are runtime settings (DIGEST_RECIPIENTS, DIGEST_CADENCE, DIGEST_WEEKDAY, DIGEST_HOUR).
+const DIGEST_TRIGGER_HANDLER = 'pipelineDigest_triggerHandler';
+const DIGEST_LAST_SENT_PROPERTY = 'FUNDINGFLOCK_DIGEST_LAST_SENT'; // ISO timestamp of the last digest sent.
+const DIGEST_DEADLINE_WINDOW_DAYS = 30; // Key dates within this many days are listed as upcoming.
+const DIGEST_SECTION_LIMIT = 25;        // Rows shown per digest section; the rest are summarized as "and N more".
+
 // --- Gemini API Configuration ---
-const GEMINI_API_KEY_PROPERTY = 'FUNDINGFLOCK_GEMINI_API_KEY'; // Use a unique property name for safety
-const GEMINI_API_ENDPOINT_TEXT_ONLY = "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent";
+const GEMINI_API_KEY_PROPERTY = 'FUNDINGFLOCK_GEMINI_API_KEY'; // Script property (GeminiKeyStore.js): shared by all users and the triggers
+const GEMINI_API_KEY_LEGACY_USER_PROPERTIES = [GEMINI_API_KEY_PROPERTY, 'GEMINI_API_KEY']; // Older versions kept the key per user; moved on first read.
+const GEMINI_KEY_VALIDATED_AT_PROPERTY = 'FUNDINGFLOCK_GEMINI_KEY_VALIDATED_AT'; // ISO timestamp of the key's last successful live test.
+const AI_FEATURES_ACTIVE_PROPERTY = 'aiFeaturesActive'; // "true" / "false"; the engine skips AI parsing when "false".
+const GEMINI_API_KEY_MIN_LENGTH = 35;
+const GEMINI_API_BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models";
+const GEMINI_API_ENDPOINT_TEXT_ONLY = `${GEMINI_API_BASE_URL}/gemini-1.5-flash-latest:generateContent`;
+
+// --- LLM Provider Configuration (Script Properties) ---
+// Orgs that cannot send donor email to Google AI can switch providers without code changes:
+//   FUNDINGFLOCK_LLM_PROVIDER = gemini | openai | ollama
+//   FUNDINGFLOCK_LLM_ENDPOINT = full URL (optional for gemini/openai, required for ollama)
+//   FUNDINGFLOCK_LLM_MODEL    = model name (optional)
+//   FUNDINGFLOCK_LLM_API_KEY  = key for non-Gemini providers (Gemini keeps using GEMINI_API_KEY_PROPERTY)
+const LLM_PROVIDER_PROPERTY = 'FUNDINGFLOCK_LLM_PROVIDER';
+const LLM_ENDPOINT_PROPERTY = 'FUNDINGFLOCK_LLM_ENDPOINT';
+const LLM_MODEL_PROPERTY = 'FUNDINGFLOCK_LLM_MODEL';
+const LLM_API_KEY_PROPERTY = 'FUNDINGFLOCK_LLM_API_KEY';
+const LLM_PROVIDERS = { GEMINI: 'gemini', OPENAI: 'openai', OLLAMA: 'ollama' };
+const OPENAI_DEFAULT_ENDPOINT = "https://api.openai.com/v1/chat/completions";
+const OPENAI_DEFAULT_MODEL = "gpt-4o-mini";
+const OLLAMA_DEFAULT_MODEL = "llama3.1";
+
+// --- Runtime Configuration (RuntimeConfig.js) ---
+// The settings below default to the constants in this file and can be overridden per spreadsheet with a
+// FUNDINGFLOCK_CONFIG_<SETTING> document property or on the "Config" sheet. The sheet wins when both are set.
+const CONFIG_SHEET_TAB_NAME = "Config";
+const CONFIG_SHEET_HEADERS = ["Setting", "Value", "Default", "Description"];
+const RUNTIME_CONFIG_PROPERTY_PREFIX = 'FUNDINGFLOCK_CONFIG_';
+const EMAIL_BODY_MAX_CHARS = 12000; // Characters of an email body included in an AI prompt.
+const TRIGGER_INTERVAL_HOURS_ALLOWED = [1, 2, 4, 6, 8, 12, 24]; // The intervals everyHours() accepts; 24 means once a day.
+const TRIGGER_SCHEDULES_PROPERTY = 'FUNDINGFLOCK_TRIGGER_SCHEDULES'; // Script property: JSON map of handler -> schedule it was created with.
+const RUNTIME_CONFIG_DEFINITIONS = {
+  WEEKS_THRESHOLD: { type: 'integer', min: 1, max: 260, defaultValue: WEEKS_THRESHOLD, description: "Weeks without news before a follow-up, for proposals with no expected decision date." },
+  STALE_DECISION_GRACE_WEEKS: { type: 'integer', min: 0, max: 52, defaultValue: STALE_DECISION_GRACE_WEEKS, description: "Weeks past the expected decision date (Decision Date column or funder Decision Weeks) before a follow-up." },
+  STALE_FLAG_AFTER_WEEKS: { type: 'integer', min: 1, max: 52, defaultValue: STALE_FLAG_AFTER_WEEKS, description: `Weeks after the reminder, without news, before the proposal is flagged "${FOLLOW_UP_STALE}".` },
+  STALE_AUTO_CLOSE: { type: 'boolean', defaultValue: false, description: `TRUE to mark long-stale proposals "${STATUS_DECLINED}". Off by default.` },
+  STALE_AUTO_CLOSE_AFTER_WEEKS: { type: 'integer', min: 1, max: 104, defaultValue: STALE_AUTO_CLOSE_AFTER_WEEKS, description: "Weeks after the flag before the proposal is auto-closed (only with STALE_AUTO_CLOSE)." },
+  TRACKER_GMAIL_FILTER_QUERY: { type: 'query', defaultValue: TRACKER_GMAIL_FILTER_QUERY, description: "Gmail search for proposal mail (Gmail filter and backfill). Re-run setup after changing it." },
+  OPPORTUNITIES_GMAIL_FILTER_QUERY: { type: 'query', defaultValue: OPPORTUNITIES_GMAIL_FILTER_QUERY, description: "Gmail search for RFP alert mail. Re-run setup after changing it." },
+  PROPOSAL_TRIGGER_HOURS: { type: 'integer', allowed: TRIGGER_INTERVAL_HOURS_ALLOWED, defaultValue: 24, description: "Hours between proposal email runs (24 = once a day)." },
+  PROPOSAL_TRIGGER_HOUR: { type: 'integer', min: 0, max: 23, defaultValue: 1, description: "Hour of the day for the daily proposal email run." },
+  OPPORTUNITIES_TRIGGER_HOURS: { type: 'integer', allowed: TRIGGER_INTERVAL_HOURS_ALLOWED, defaultValue: 12, description: "Hours between opportunity email runs (24 = once a day)." },
+  STALE_CHECK_WEEKDAY: { type: 'enum', options: ["MONDAY", "TUESDAY", "WEDNESDAY", "THURSDAY", "FRIDAY", "SATURDAY", "SUNDAY"], defaultValue: "SUNDAY", description: "Day of the week for the stale-proposal check." },
+  STALE_CHECK_HOUR: { type: 'integer', min: 0, max: 23, defaultValue: 2, description: "Hour of the day for the stale-proposal check." },
+  EMAIL_BODY_MAX_CHARS: { type: 'integer', min: 1000, max: 100000, defaultValue: EMAIL_BODY_MAX_CHARS, description: "Characters of an email body sent to the AI." },
+  DIGEST_RECIPIENTS: { type: 'emails', defaultValue: "", description: "Comma-separated addresses for the pipeline digest. Blank sends it to the account that installed the script." },
+  DIGEST_CADENCE: { type: 'enum', options: ["WEEKLY", "DAILY", "OFF"], defaultValue: "WEEKLY", description: "How often the pipeline digest is sent. Apply the trigger schedule after changing it." },
+  DIGEST_WEEKDAY: { type: 'enum', options: ["MONDAY", "TUESDAY", "WEDNESDAY", "THURSDAY", "FRIDAY", "SATURDAY", "SUNDAY"], defaultValue: "MONDAY", description: "Day of the week for the weekly pipeline digest." },
+  DIGEST_HOUR: { type: 'integer', min: 0, max: 23, defaultValue: 7, description: "Hour of the day the pipeline digest is sent." },
+  GEMINI_API_ENDPOINT: { type: 'url', defaultValue: GEMINI_API_ENDPOINT_TEXT_ONLY, description: "Gemini generateContent URL, used unless the LLM endpoint or model property is set." }
+};
+
+// --- Schema Version & Upgrades (Migrations.js) ---
+// The layout version of this spreadsheet. Setup stamps new sheets with the latest version; copies made under older
+// versions run the pending steps in SCHEMA_MIGRATIONS through "Upgrade this sheet".
+const SCHEMA_VERSION_PROPERTY = 'FUNDINGFLOCK_SCHEMA_VERSION'; // Document property: the last migration step applied.
+const LEGACY_SETUP_DONE_PROPERTY = 'initialSetupDone_vFF_1'; // Script property set by setup before schema versions existed.
+const LEGACY_APP_TRACKER_SHEET_TAB_NAME = "Applications"; // The data sheet of copies made from the CareerSuite template.
+// Headers of the CareerSuite "Applications" sheet, by the PROPOSAL_COLUMNS key they are renamed to.
+const LEGACY_PROPOSAL_HEADERS = {
+  SUBMIT_DATE: ["Email Date"],
+  FUNDER: ["Company"],
+  TITLE: ["Job Title"],
+  LAST_UPDATE: ["Last Update Date"]
+};
+// CareerSuite job statuses and the proposal status each becomes.
+const LEGACY_STATUS_MAP = {
+  "Applied": STATUS_SUBMITTED,
+  "Application Viewed": STATUS_UNDER_REVIEW,
+  "Screening": STATUS_UNDER_REVIEW,
+  "Assessment": STATUS_UNDER_REVIEW,
+  "Interviewing": STATUS_UNDER_REVIEW,
+  "Interview 1": STATUS_UNDER_REVIEW,
+  "Interview 2": STATUS_UNDER_REVIEW,
+  "Interview 3+": STATUS_UNDER_REVIEW,
+  "Final Interview": STATUS_UNDER_REVIEW,
+  "Offer": STATUS_AWARDED,
+  "Accepted Offer": STATUS_AWARDED,
+  "Rejected": STATUS_DECLINED,
+  "Keep In View": STATUS_DRAFTING
+};
+
+// --- Install Registry & Uninstall (Uninstall.js) ---
+// Setup records the triggers and Gmail filters it creates so uninstall removes exactly those and nothing else.
+const INSTALLED_ARTIFACTS_PROPERTY = 'FUNDINGFLOCK_INSTALLED_ARTIFACTS'; // Script property: JSON {triggers: {uniqueId: handler}, filters: {filterId: query}}.
+const PROJECT_PROPERTY_PREFIX = 'FUNDINGFLOCK_'; // Every property with this prefix, in any store, belongs to the project.
+const PROJECT_PROPERTIES_WITHOUT_PREFIX = [SPREADSHEET_ID_KEY, USER_SHEET_ID_PROPERTY, AI_FEATURES_ACTIVE_PROPERTY, LEGACY_SETUP_DONE_PROPERTY, 'GEMINI_API_KEY'];
+// Handlers of triggers created before the registry existed; uninstall also removes unrecorded triggers for these.
+const PROJECT_TRIGGER_HANDLERS = [
+  'processEmails_triggerHandler', 'processOpportunities_triggerHandler', 'markStaleProposals', DIGEST_TRIGGER_HANDLER,
+  'processEmails_continuationHandler', 'processOpportunities_continuationHandler', 'backfill_continuationHandler'
+];
+const GENERATED_SHEET_TAB_NAMES = [DASHBOARD_TAB_NAME, HELPER_SHEET_NAME, PREVIEW_SHEET_TAB_NAME]; // Rebuilt by setup, so uninstall may delete them.
 
 const GEMINI_SYSTEM_INSTRUCTION_PROPOSAL_TRACKER = `
 You are an expert assistant parsing emails related to grant proposals for a non-profit.
-Your goal is to extract the Funder Name, RFP Title, and Submission Status.
+Your goal is to extract the Funder Name, RFP Title, Submission Status, any dollar amounts, and any key dates.
 - For "funderName": Extract the name of the funding organization or foundation. If not found, output "N/A".
 - For "proposalTitle": Extract the specific title of the grant or RFP. If not found, output "N/A".
-- For "submissionStatus": Determine the status. You MUST choose ONLY from this list: "${STATUS_SUBMITTED}", "${STATUS_UNDER_REVIEW}", "${STATUS_AWARDED}", "${STATUS_DECLINED}". If unclear, output "${STATUS_UNDER_REVIEW}".
-Output ONLY a valid JSON object with keys "funderName", "proposalTitle", and "submissionStatus".
-Example: {"funderName": "The Civic Progress Foundation", "proposalTitle": "Youth Arts & STEM Initiative", "submissionStatus": "Under Review"}
-If the email is clearly not a grant proposal update, output: {"funderName": "N/A", "proposalTitle": "N/A", "submissionStatus": "Not a Proposal Update"}
+- For "submissionStatus": Determine the status. {{STATUS_OPTIONS}} If unclear, output "${STATUS_UNDER_REVIEW}".
+- For "amountRequested": The dollar amount the organization requested, as a plain number (e.g., "$25,000" -> 25000). Usually found in submission confirmations. If not stated, output null.
+- For "amountAwarded": The dollar amount the funder has awarded, as a plain number (e.g., "USD 1.2M" -> 1200000). Only fill this when the email confirms an award. If not stated, output null.
+- For "loiDueDate", "proposalDeadline", "decisionDate" and "reportDueDate": The date the Letter of Inquiry is due, the full proposal deadline, the date a funding decision is expected, and the date a grant report is due. Format each as YYYY-MM-DD. Only use dates the email actually states; if a date is not mentioned, output null.
+Output ONLY a valid JSON object with keys "funderName", "proposalTitle", "submissionStatus", "amountRequested", "amountAwarded", "loiDueDate", "proposalDeadline", "decisionDate", and "reportDueDate".
+Example: {"funderName": "The Civic Progress Foundation", "proposalTitle": "Youth Arts & STEM Initiative", "submissionStatus": "Under Review", "amountRequested": 25000, "amountAwarded": null, "loiDueDate": null, "proposalDeadline": null, "decisionDate": "2025-06-30", "reportDueDate": null}
+If the email is clearly not a grant proposal update, output: {"funderName": "N/A", "proposalTitle": "N/A", "submissionStatus": "${NOT_A_PROPOSAL_STATUS}", "amountRequested": null, "amountAwarded": null, "loiDueDate": null, "proposalDeadline": null, "decisionDate": null, "reportDueDate": null}
+`;
+
+const GEMINI_SYSTEM_INSTRUCTION_OPPORTUNITIES_PARSER = `
+You are an expert assistant parsing funding-opportunity alert emails (RFP newsletters, grant alerts) for a non-profit.
+Your goal is to extract a list of distinct funding opportunities. For each opportunity, extract:
+- "funderName": The name of the funding organization, agency or foundation. If not found, output "N/A".
+- "programName": The name of the grant program or RFP. If not found, output "N/A".
+- "deadline": The application or LOI deadline, formatted as YYYY-MM-DD if a full date is given, otherwise as written. If not found, output "N/A".
+- "awardRange": The award amount or range as written (e.g., "$10,000 - $50,000", "Up to $250K"). If not found, output "N/A".
+- "eligibility": A short summary (max ~200 characters) of who may apply. If not found, output "N/A".
+- "url": The direct URL to the opportunity or its guidelines. If not found, output "N/A".
+Output ONLY a valid JSON array, where each element is an object with the keys above.
+Example: [{"funderName": "The Civic Progress Foundation", "programName": "Community Arts Grants", "deadline": "2025-03-15", "awardRange": "Up to $25,000", "eligibility": "501(c)(3) organizations in Ohio", "url": "https://example.org/arts-grants"}]
+If the email contains no funding opportunities (e.g., a subscription confirmation), output an empty JSON array: [].
+Prioritize accuracy. Do not invent information.
 `;
 
 // --- BRANDING COLORS (New FundingFlock Palette) ---
@@ -0,0 +1,312 @@
+/**
+ * @file Historical backfill: queues existing mail that matches TRACKER_GMAIL_FILTER_QUERY within a date range
+ * for the processing engine. The range is walked in date windows, oldest first, and the next window is only
+ * queued once the "To Process" label has drained, so status ranking sees each proposal's emails in order.
+ * Progress is kept in script properties and advanced by a one-off trigger (backfill_continuationHandler).
+ */
+
+/**
+ * Starts a backfill over a date range. Only one backfill runs at a time.
+ * @param {Date|string} fromDate First day to include.
+ * @param {Date|string} toDate Last day to include.
+ * @returns {object} The initial backfill status (see getBackfillStatus).
+ */
+function startBackfill(fromDate, toDate) {
+  const from = parseDateString(fromDate), to = parseDateString(toDate); // From ParsingUtils.js
+  if (!from || !to) throw new Error("Backfill dates must be in YYYY-MM-DD format.");
+  if (from > to) throw new Error("The backfill start date must be on or before the end date.");
+  const current = _loadBackfillState();
+  if (current && current.status === 'running') {
+    throw new Error(`A backfill for ${current.from} to ${current.to} is already running. Cancel it first.`);
+  }
+  const today = new Date();
+  const end = to > today ? today : to;
+
+  const state = {
+    status: 'running',
+    from: _backfillDay(from),
+    to: _backfillDay(end),
+    windowStart: _backfillDay(from),
+    windowDays: BACKFILL_WINDOW_DAYS,
+    threadsQueued: 0,
+    waitingPolls: 0,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    message: "Starting."
+  };
+  _saveBackfillState(state);
+  Logger.log(`[BACKFILL] Started for ${state.from} to ${state.to}.`);
+  runBackfillStep();
+  return getBackfillStatus();
+}
+
+/**
+ * Cancels a running backfill. Threads already queued are still processed.
+ * @returns {object} The final backfill status.
+ */
+function cancelBackfill() {
+  const state = _loadBackfillState();
+  deleteContinuationTriggers('backfill_continuationHandler'); // From Triggers.js
+  if (state && state.status === 'running') {
+    state.status = 'cancelled';
+    state.message = "Cancelled. Threads already queued will still be processed.";
+    _saveBackfillState(state);
+  }
+  return getBackfillStatus();
+}
+
+/**
+ * Returns the backfill's progress.
+ * @returns {{status: string, from?: string, to?: string, windowStart?: string, percentComplete?: number,
+ *   threadsQueued?: number, threadsWaiting: number, message?: string, updatedAt?: string}}
+ *   status is 'none', 'running', 'complete', 'cancelled' or 'stalled'.
+ */
+function getBackfillStatus() {
+  const label = GmailApp.getUserLabelByName(TRACKER_GMAIL_LABEL_TO_PROCESS);
+  const threadsWaiting = label ? label.getThreads(0, 100).length : 0;
+  const state = _loadBackfillState();
+  if (!state) return { status: 'none', threadsWaiting: threadsWaiting };
+
+  const totalDays = Math.max(1, _daysBetween(state.from, state.to) + 1);
+  const doneDays = Math.min(totalDays, Math.max(0, _daysBetween(state.from, state.windowStart)));
+  return {
+    status: state.status,
+    from: state.from,
+    to: state.to,
+    windowStart: state.windowStart,
+    percentComplete: state.status === 'complete' ? 100 : Math.round((doneDays / totalDays) * 100),
+    threadsQueued: state.threadsQueued,
+    threadsWaiting: threadsWaiting, // Capped at 100.
+    message: state.message,
+    updatedAt: state.updatedAt
+  };
+}
+
+/**
+ * One-off trigger handler that advances a running backfill.
+ */
+function backfill_continuationHandler() {
+  Logger.log('Backfill continuation started.');
+  runBackfillStep();
+}
+
+/**
+ * Advances the backfill by one step: waits while the queue is still draining, otherwise queues the next window.
+ */
+function runBackfillStep() {
+  const FUNC_NAME = "runBackfillStep";
+  const state = _loadBackfillState();
+  if (!state || state.status !== 'running') {
+    deleteContinuationTriggers('backfill_continuationHandler');
+    return;
+  }
+  const procLbl = GmailApp.getUserLabelByName(TRACKER_GMAIL_LABEL_TO_PROCESS);
+  if (!procLbl) {
+    state.status = 'stalled';
+    state.message = `Label "${TRACKER_GMAIL_LABEL_TO_PROCESS}" not found. Run "Finalize Project Setup" first.`;
+    _saveBackfillState(state);
+    return;
+  }
+
+  // 1. The previous window must be fully processed before the next (newer) one is queued.
+  if (procLbl.getThreads(0, 1).length > 0) {
+    state.waitingPolls++;
+    if (state.waitingPolls > BACKFILL_MAX_WAIT_POLLS) {
+      state.status = 'stalled';
+      state.message = `The queue has not drained after ${BACKFILL_MAX_WAIT_POLLS} checks. Check the processing logs, then start the backfill again from ${state.windowStart}.`;
+      Logger.log(`[${FUNC_NAME} WARN] ${state.message}`);
+      _saveBackfillState(state);
+      deleteContinuationTriggers('backfill_continuationHandler');
+      return;
+    }
+    state.message = `Waiting for queued threads to be processed before ${state.windowStart}.`;
+    _saveBackfillState(state);
+    // Make sure something is draining the queue (the engine schedules its own continuations, but not from a cold start).
+    if (!ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'processEmails_continuationHandler')) {
+      scheduleContinuationTrigger('processEmails_continuationHandler', ENGINE_CONTINUATION_DELAY_MINUTES);
+    }
+    scheduleContinuationTrigger('backfill_continuationHandler', BACKFILL_POLL_MINUTES);
+    return;
+  }
+
+  // 2. Done once the window has passed the end of the range.
+  if (state.windowStart > state.to) {
+    state.status = 'complete';
+    state.message = `Complete. ${state.threadsQueued} thread(s) queued and processed.`;
+    _saveBackfillState(state);
+    deleteContinuationTriggers('backfill_continuationHandler');
+    Logger.log(`[${FUNC_NAME} INFO] ${state.message}`);
+    return;
+  }
+
+  // 3. Queue the next window, narrowing it while it holds too many threads to label in one step.
+  let windowEnd, threads;
+  while (true) {
+    windowEnd = _addDays(state.windowStart, state.windowDays - 1);
+    if (windowEnd > state.to) windowEnd = state.to;
+    // A single day can't be split further, so it is queued in full.
+    threads = _searchBackfillWindow(state.windowStart, windowEnd, state.windowDays === 1 ? Infinity : BACKFILL_MAX_THREADS_PER_WINDOW);
+    if (threads.length <= BACKFILL_MAX_THREADS_PER_WINDOW || state.windowDays === 1) break;
+    state.windowDays = Math.max(1, Math.floor(state.windowDays / 2));
+  }
+  for (let i = 0; i < threads.length; i += 100) {
+    procLbl.addToThreads(threads.slice(i, i + 100)); // addToThreads accepts at most 100 threads.
+  }
+  state.threadsQueued += threads.length;
+  state.waitingPolls = 0;
+  state.message = `Queued ${threads.length} thread(s) from ${state.windowStart} to ${windowEnd}.`;
+  state.windowStart = _addDays(windowEnd, 1);
+  state.windowDays = BACKFILL_WINDOW_DAYS;
+  _saveBackfillState(state);
+  Logger.log(`[${FUNC_NAME} INFO] ${state.message}`);
+
+  if (threads.length > 0) scheduleContinuationTrigger('processEmails_continuationHandler', ENGINE_CONTINUATION_DELAY_MINUTES);
+  scheduleContinuationTrigger('backfill_continuationHandler', threads.length > 0 ? BACKFILL_POLL_MINUTES : ENGINE_CONTINUATION_DELAY_MINUTES);
+}
+
+/**
+ * Menu action: asks for a date range and starts a backfill.
+ */
+function startBackfill_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Backfill Past Emails',
+    'Process existing funder emails between two dates (inclusive), oldest first.\n\nEnter the range as YYYY-MM-DD to YYYY-MM-DD:',
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const match = response.getResponseText().trim().match(/^(\d{4}-\d{1,2}-\d{1,2})\s*(?:to|-|–)\s*(\d{4}-\d{1,2}-\d{1,2})$/i);
+  if (!match) {
+    ui.alert('Backfill Past Emails', 'Please enter the range as YYYY-MM-DD to YYYY-MM-DD.', ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const status = startBackfill(match[1], match[2]);
+    ui.alert('Backfill Started', `${status.message}\n\nThe backfill continues in the background. Use "Backfill Progress" to check on it.`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Backfill Past Emails', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu action: shows the backfill's progress, with the option to cancel a running backfill.
+ */
+function showBackfillStatus_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const status = getBackfillStatus();
+  if (status.status === 'none') {
+    ui.alert('Backfill Progress', 'No backfill has been started.', ui.ButtonSet.OK);
+    return;
+  }
+  const summary = `Range: ${status.from} to ${status.to}\nStatus: ${status.status} (${status.percentComplete}%)\n` +
+    `Threads queued: ${status.threadsQueued}\nWaiting to be processed: ${status.threadsWaiting}\n\n${status.message}`;
+  if (status.status !== 'running') {
+    ui.alert('Backfill Progress', summary, ui.ButtonSet.OK);
+    return;
+  }
+  if (ui.alert('Backfill Progress', `${summary}\n\nCancel the backfill?`, ui.ButtonSet.YES_NO) === ui.Button.YES) {
+    cancelBackfill();
+  }
+}
+
+/**
+ * Web App action: starts a backfill.
+ * @param {{from: string, to: string}} params Dates as YYYY-MM-DD.
+ * @returns {{backfill: object}}
+ */
+function handleStartBackfill(params) {
+  if (!params.from || !params.to) throw _apiError(API_ERROR_CODES.BAD_REQUEST, 'Both "from" and "to" dates are required.');
+  const current = _loadBackfillState();
+  if (current && current.status === 'running') {
+    throw _apiError(API_ERROR_CODES.CONFLICT, 'A backfill is already running. Cancel it first.');
+  }
+  try {
+    return { backfill: startBackfill(params.from, params.to) };
+  } catch (e) {
+    throw _apiError(API_ERROR_CODES.BAD_REQUEST, e.message);
+  }
+}
+
+/**
+ * Web App action: returns the backfill's progress.
+ * @returns {{backfill: object}}
+ */
+function handleGetBackfillStatus() {
+  return { backfill: getBackfillStatus() };
+}
+
+/**
+ * Web App action: cancels a running backfill.
+ * @returns {{backfill: object}}
+ */
+function handleCancelBackfill() {
+  return { backfill: cancelBackfill() };
+}
+
+/**
+ * Finds threads matching the tracker filter query within a date window (inclusive).
+ * @param {string} fromDay YYYY-MM-DD.
+ * @param {string} toDay YYYY-MM-DD.
+ * @param {number} limit Stop fetching pages once more than this many threads were found.
+ * @returns {GoogleAppsScript.Gmail.GmailThread[]}
+ * @private
+ */
+function _searchBackfillWindow(fromDay, toDay, limit) {
+  // Gmail's before: is exclusive, so the window ends the day after toDay.
+  const query = `${getConfigValue('TRACKER_GMAIL_FILTER_QUERY')} after:${fromDay.replace(/-/g, "/")} before:${_addDays(toDay, 1).replace(/-/g, "/")}`;
+  const threads = [];
+  for (let start = 0; ; start += 100) {
+    const page = GmailApp.search(query, start, 100);
+    threads.push(...page);
+    if (page.length < 100 || threads.length > limit) break;
+  }
+  return threads;
+}
+
+/**
+ * @returns {object|null} The stored backfill state.
+ * @private
+ */
+function _loadBackfillState() {
+  const raw = PropertiesService.getScriptProperties().getProperty(BACKFILL_STATE_PROPERTY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * @param {object} state
+ * @private
+ */
+function _saveBackfillState(state) {
+  state.updatedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty(BACKFILL_STATE_PROPERTY, JSON.stringify(state));
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The date as YYYY-MM-DD in the script's time zone.
+ * @private
+ */
+function _backfillDay(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd");
+}
+
+/**
+ * @param {string} day YYYY-MM-DD.
+ * @param {number} days
+ * @returns {string} The day shifted by a number of days, as YYYY-MM-DD.
+ * @private
+ */
+function _addDays(day, days) {
+  const [y, m, d] = day.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * @param {string} fromDay YYYY-MM-DD.
+ * @param {string} toDay YYYY-MM-DD.
+ * @returns {number} Whole days from fromDay to toDay.
+ * @private
+ */
+function _daysBetween(fromDay, toDay) {
+  const toUtc = day => { const [y, m, d] = day.split("-").map(Number); return Date.UTC(y, m - 1, d); };
+  return Math.round((toUtc(toDay) - toUtc(fromDay)) / 86400000);
+}
@@ -0,0 +1,176 @@
+/**
+ * @file Proposals column resolver. Each column in PROPOSAL_COLUMNS is found by its header text or an alias,
+ * so users can reorder columns, rename a header to an alias or insert their own columns without data landing
+ * in the wrong place. The map is resolved when a run starts and cached for the execution; every Proposals row
+ * read and write goes through proposalCol() and proposalRowWidth(). Resolving never changes the sheet: missing
+ * optional columns are only added by ensureProposalColumns(), which setup, upgrades and locked runs call.
+ * Read-only paths read absent optional columns as empty through proposalValue().
+ */
+
+// Per-execution cache of the resolved Proposals columns.
+let _proposalColumnMap = null;
+
+/**
+ * Resolves the Proposals columns from the header row into the per-execution cache, without changing the sheet.
+ * Optional columns the sheet lacks are left out of the map.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{columns: Object<string, number>, width: number}} 1-based column per PROPOSAL_COLUMNS key found, and
+ *     the number of columns a full row covers (user columns included).
+ * @throws {Error} If the Proposals sheet or a required header is missing.
+ */
+function loadProposalColumns(ss) {
+  const { sheet, resolved } = _resolveProposalSheet(ss);
+  _proposalColumnMap = {
+    columns: resolved.columns,
+    width: Math.max(sheet.getLastColumn(), ...Object.values(resolved.columns))
+  };
+  return _proposalColumnMap;
+}
+
+/**
+ * Like loadProposalColumns, but first adds missing optional columns after the last used column, so columns
+ * users added are never overwritten. Writes the header row: call it from setup, an upgrade, or while holding
+ * the document lock.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{columns: Object<string, number>, width: number}}
+ * @throws {Error} If the Proposals sheet or a required header is missing.
+ */
+function ensureProposalColumns(ss) {
+  const { sheet, resolved } = _resolveProposalSheet(ss);
+  if (resolved.missingOptional.length > 0) {
+    const firstNew = sheet.getLastColumn() + 1;
+    const headers = resolved.missingOptional.map(key => PROPOSAL_COLUMNS[key].header);
+    if (sheet.getMaxColumns() < firstNew + headers.length - 1) sheet.insertColumnsAfter(sheet.getMaxColumns(), firstNew + headers.length - 1 - sheet.getMaxColumns());
+    sheet.getRange(1, firstNew, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    Logger.log(`[COLUMN_MAP INFO] Added missing column(s) to "${PROPOSAL_TRACKER_SHEET_TAB_NAME}": ${headers.join(", ")}.`);
+  }
+  return loadProposalColumns(ss);
+}
+
+/**
+ * Matches the header row of a Proposals sheet against PROPOSAL_COLUMNS without changing the sheet.
+ * Headers are compared ignoring case, spacing and punctuation; if two headers match, the leftmost one is used.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @returns {{columns: Object<string, number>, missingRequired: string[], missingOptional: string[]}}
+ */
+function resolveProposalColumns(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  const headerRow = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const positions = new Map();
+  headerRow.forEach((header, i) => {
+    const name = _normalizeColumnHeader(header);
+    if (!name) return;
+    if (positions.has(name)) {
+      Logger.log(`[COLUMN_MAP WARN] "${header}" appears more than once on "${sheet.getName()}". Using column ${positions.get(name)}.`);
+      return;
+    }
+    positions.set(name, i + 1);
+  });
+
+  const result = { columns: {}, missingRequired: [], missingOptional: [] };
+  const used = new Set();
+  Object.entries(PROPOSAL_COLUMNS).forEach(([key, def]) => {
+    const col = [def.header, ...def.aliases].map(name => positions.get(_normalizeColumnHeader(name))).find(c => c && !used.has(c));
+    if (col) {
+      result.columns[key] = col;
+      used.add(col);
+    } else {
+      (def.required ? result.missingRequired : result.missingOptional).push(key);
+    }
+  });
+  return result;
+}
+
+/**
+ * Returns the cached column map, resolving it from the active spreadsheet on first use.
+ * @returns {{columns: Object<string, number>, width: number}}
+ */
+function getProposalColumnMap() {
+  if (!_proposalColumnMap) {
+    let ss = null;
+    try { ss = SpreadsheetApp.getActiveSpreadsheet(); } catch (e) { /* No active spreadsheet (Web App, standalone). */ }
+    loadProposalColumns(ss);
+  }
+  return _proposalColumnMap;
+}
+
+/**
+ * @param {string} key A PROPOSAL_COLUMNS key, e.g. 'STATUS'.
+ * @returns {number} The 1-based column of that field on the Proposals sheet.
+ * @throws {Error} If the column is not on the sheet (see hasProposalCol).
+ */
+function proposalCol(key) {
+  const col = getProposalColumnMap().columns[key];
+  if (!col) {
+    if (!PROPOSAL_COLUMNS[key]) throw new Error(`Unknown Proposals column "${key}".`);
+    throw new Error(`The "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" sheet has no ${describeProposalColumn(key)} column. Run "Diagnose & Repair" to add it.`);
+  }
+  return col;
+}
+
+/**
+ * @param {string} key A PROPOSAL_COLUMNS key.
+ * @returns {boolean} True if the column is on the Proposals sheet.
+ */
+function hasProposalCol(key) {
+  return !!getProposalColumnMap().columns[key];
+}
+
+/**
+ * @param {Array<*>} rowData A Proposals row.
+ * @param {string} key A PROPOSAL_COLUMNS key.
+ * @returns {*} The cell value, or "" if the sheet does not have the column.
+ */
+function proposalValue(rowData, key) {
+  return hasProposalCol(key) ? rowData[proposalCol(key) - 1] : "";
+}
+
+/**
+ * @returns {number} The number of columns a full Proposals row covers, including columns users added.
+ */
+function proposalRowWidth() {
+  return getProposalColumnMap().width;
+}
+
+/**
+ * @returns {Array<string>} An empty Proposals row, as wide as the sheet.
+ */
+function newProposalRow() {
+  return new Array(proposalRowWidth()).fill("");
+}
+
+/**
+ * @param {string} key A PROPOSAL_COLUMNS key.
+ * @returns {string} The header and its aliases, for messages.
+ */
+function describeProposalColumn(key) {
+  const def = PROPOSAL_COLUMNS[key];
+  return `"${def.header}"${def.aliases.length > 0 ? ` (or ${def.aliases.map(a => `"${a}"`).join(", ")})` : ""}`;
+}
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, resolved: {columns: Object<string, number>, missingRequired: string[], missingOptional: string[]}}}
+ * @throws {Error} If the Proposals sheet or a required header is missing.
+ * @private
+ */
+function _resolveProposalSheet(ss) {
+  const sheet = ss ? ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME) : null;
+  if (!sheet) throw new Error(`Sheet "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" not found. Run "Finalize Project Setup" first.`);
+  const resolved = resolveProposalColumns(sheet);
+  if (resolved.missingRequired.length > 0) {
+    throw new Error(`The "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" sheet is missing required column(s): ` +
+      resolved.missingRequired.map(describeProposalColumn).join("; ") +
+      `. Put the header back in row 1 (any position works) and run again. No rows were changed.`);
+  }
+  return { sheet: sheet, resolved: resolved };
+}
+
+/**
+ * @param {*} header A header cell.
+ * @returns {string} The header lower-cased, with punctuation and repeated spaces removed.
+ * @private
+ */
+function _normalizeColumnHeader(header) {
+  return String(header || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
@@ -58,11 +58,14 @@ function formatDashboardSheet(sheet) {
 
     // --- Get Sheet & Column References for Formulas ---
     const proposalsRef = `'${PROPOSAL_TRACKER_SHEET_TAB_NAME}'!`;
-    const funderColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(PROP_FUNDER_COL)}2:${_columnToLetter_DashboardLocal(PROP_FUNDER_COL)}`;
-    const statusColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(PROP_STATUS_COL)}2:${_columnToLetter_DashboardLocal(PROP_STATUS_COL)}`;
-    const peakStatusColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(PROP_PEAK_STATUS_COL)}2:${_columnToLetter_DashboardLocal(PROP_PEAK_STATUS_COL)}`;
-    const amtReqColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(PROP_AMT_REQ_COL)}2:${_columnToLetter_DashboardLocal(PROP_AMT_REQ_COL)}`;
-    const amtAwdColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(PROP_AMT_AWARD_COL)}2:${_columnToLetter_DashboardLocal(PROP_AMT_AWARD_COL)}`;
+    loadProposalColumns(sheet.getParent()); // From ColumnMap.js
+    const funderColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(proposalCol('FUNDER'))}2:${_columnToLetter_DashboardLocal(proposalCol('FUNDER'))}`;
+    const statusColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(proposalCol('STATUS'))}2:${_columnToLetter_DashboardLocal(proposalCol('STATUS'))}`;
+    const peakStatusColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(proposalCol('PEAK_STATUS'))}2:${_columnToLetter_DashboardLocal(proposalCol('PEAK_STATUS'))}`;
+    const amtReqColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(proposalCol('AMT_REQ'))}2:${_columnToLetter_DashboardLocal(proposalCol('AMT_REQ'))}`;
+    const amtAwdColRef = `${proposalsRef}${_columnToLetter_DashboardLocal(proposalCol('AMT_AWARD'))}2:${_columnToLetter_DashboardLocal(proposalCol('AMT_AWARD'))}`;
+    loadStatusSettings(sheet.getParent()); // From StatusSettings.js
+    const statusFormulas = _buildStatusDependentFormulas();
 
     // --- Scorecard Creation and Formatting (2x4 Grid) ---
     // Row 1
@@ -72,15 +75,30 @@ function formatDashboardSheet(sheet) {
     _createScorecard(sheet, "K5", "L5", "Award Rate ($)", `=IFERROR(SUMIF(${statusColRef}, "${STATUS_AWARDED}", ${amtAwdColRef})/SUM(${amtReqColRef}), 0)`, "0.00%");
     
     // Row 2
-    _createScorecard(sheet, "B7", "C7", "Pending Proposals", `=IFERROR(COUNTIFS(${funderColRef}, "<>", ${statusColRef}, "<>${STATUS_AWARDED}", ${statusColRef}, "<>${STATUS_DECLINED}", ${statusColRef}, "<>${STATUS_WITHDRAWN}"), 0)`, "0");
+    _createScorecard(sheet, "B7", "C7", "Pending Proposals", statusFormulas.pendingProposals, "0");
     _createScorecard(sheet, "E7", "F7", "Total Awarded (#)", `=IFERROR(COUNTIF(${peakStatusColRef},"${STATUS_AWARDED}"), 0)`, "0");
-    _createScorecard(sheet, "H7", "I7", "Under Review (#)", `=IFERROR(COUNTIF(${statusColRef},"${STATUS_UNDER_REVIEW}"), 0)`, "0");
+    _createScorecard(sheet, "H7", "I7", "Under Review (#)", statusFormulas.underReviewCount, "0");
     _createScorecard(sheet, "K7", "L7", "Total Awarded ($)", `=IFERROR(SUM(${amtAwdColRef}), 0)`, "$#,##0");
 
     // --- Chart Section Titles ---
     sheet.getRange("B11").setValue("Funding Funnel").setFontSize(12).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR);
     sheet.getRange("G11").setValue("Monthly Activity").setFontSize(12).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR);
 
+    // --- Upcoming Deadlines (fed by the helper sheet's deadline list in K:N) ---
+    const helperRef = `'${HELPER_SHEET_NAME}'!`;
+    const lastDeadlineRow = 1 + UPCOMING_DEADLINES_LIMIT;
+    sheet.getRange("B35").setValue("Upcoming Deadlines").setFontSize(12).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(CARD_TEXT_COLOR);
+    [["B36", "Funder"], ["E36", "RFP Title"], ["H36", "Deadline Type"], ["K36", "Due Date"]].forEach(([cell, label]) => {
+        sheet.getRange(cell).setValue(label).setFontWeight(LABEL_FONT_WEIGHT).setBackground(CARD_BG).setFontColor(CARD_TEXT_COLOR)
+            .setBorder(true, true, true, true, false, false, CARD_BORDER_COLOR, SpreadsheetApp.BorderStyle.SOLID_THIN);
+    });
+    sheet.getRange("B37").setFormula(`={${helperRef}K2:K${lastDeadlineRow}}`);
+    sheet.getRange("E37").setFormula(`={${helperRef}L2:L${lastDeadlineRow}}`);
+    sheet.getRange("H37").setFormula(`={${helperRef}M2:M${lastDeadlineRow}}`);
+    sheet.getRange("K37").setFormula(`={${helperRef}N2:N${lastDeadlineRow}}`);
+    sheet.getRange(37, 11, UPCOMING_DEADLINES_LIMIT, 1).setNumberFormat("MMM d, yyyy");
+    sheet.getRange(37, 2, UPCOMING_DEADLINES_LIMIT, 11).setFontColor(CARD_TEXT_COLOR).setVerticalAlignment("middle");
+
     // --- Layout Sizing and Cleanup ---
     sheet.setColumnWidths(1, 13, 20); // Reset all to a base
     [2,5,8,11].forEach(c => sheet.setColumnWidth(c, 150)); // Labels
@@ -115,18 +133,78 @@ function setupHelperSheetFormulas(sheet) {
     if (!sheet) return;
     sheet.clear();
     const proposalsRef = `'${PROPOSAL_TRACKER_SHEET_TAB_NAME}'!`;
-    const funderColLetter = _columnToLetter_DashboardLocal(PROP_FUNDER_COL);
-    const statusColLetter = _columnToLetter_DashboardLocal(PROP_STATUS_COL);
-    const reqColLetter = _columnToLetter_DashboardLocal(PROP_AMT_REQ_COL);
-    const awdColLetter = _columnToLetter_DashboardLocal(PROP_AMT_AWARD_COL);
-    const dateColLetter = _columnToLetter_DashboardLocal(PROP_SUBMIT_DATE_COL);
+    loadProposalColumns(sheet.getParent()); // From ColumnMap.js
+    const funderColLetter = _columnToLetter_DashboardLocal(proposalCol('FUNDER'));
+    const statusColLetter = _columnToLetter_DashboardLocal(proposalCol('STATUS'));
+    const reqColLetter = _columnToLetter_DashboardLocal(proposalCol('AMT_REQ'));
+    const awdColLetter = _columnToLetter_DashboardLocal(proposalCol('AMT_AWARD'));
+    const dateColLetter = _columnToLetter_DashboardLocal(proposalCol('SUBMIT_DATE'));
 
     sheet.getRange("A1:I1").setValues([["Status", "Count", "", "Month", "Count", "", "Funder", "Requested", "Awarded"]]).setFontWeight('bold');
     sheet.getRange("A2").setFormula(`=IFERROR(QUERY(${proposalsRef}${statusColLetter}2:${statusColLetter}, "SELECT Col1, COUNT(Col1) WHERE Col1 IS NOT NULL GROUP BY Col1 LABEL Col1 '', COUNT(Col1) ''"), {"No Data",0})`);
     // This new formula correctly ignores blank rows by checking Col2 instead of Col1.
     sheet.getRange("D2").setFormula(`=IFERROR(QUERY({ARRAYFORMULA(EOMONTH(${proposalsRef}${dateColLetter}2:${dateColLetter}, 0)), ${proposalsRef}${dateColLetter}2:${dateColLetter}}, "SELECT Col1, COUNT(Col2) WHERE Col2 IS NOT NULL GROUP BY Col1 ORDER BY Col1 ASC LABEL Col1 '', COUNT(Col2) ''"), {"No Data",0})`);
     sheet.getRange("D2:D").setNumberFormat("MMM yyyy");
-    sheet.getRange("G2").setFormula(`=IFERROR(QUERY(${proposalsRef}${funderColLetter}2:${awdColLetter}, "SELECT Col1, SUM(Col${PROP_AMT_REQ_COL - PROP_FUNDER_COL + 1}), SUM(Col${PROP_AMT_AWARD_COL - PROP_FUNDER_COL + 1}) WHERE Col1 IS NOT NULL GROUP BY Col1 ORDER BY SUM(Col${PROP_AMT_AWARD_COL - PROP_FUNDER_COL + 1}) DESC, SUM(Col${PROP_AMT_REQ_COL - PROP_FUNDER_COL + 1}) DESC LABEL Col1 '', SUM(Col${PROP_AMT_REQ_COL - PROP_FUNDER_COL + 1}) '', SUM(Col${PROP_AMT_AWARD_COL - PROP_FUNDER_COL + 1}) ''"), {"No Data",0,0})`);
+    // The three columns are stacked side by side, so the query does not depend on their order on the sheet.
+    const funderAmountsRef = [funderColLetter, reqColLetter, awdColLetter].map(letter => `${proposalsRef}${letter}2:${letter}`).join(", ");
+    sheet.getRange("G2").setFormula(`=IFERROR(QUERY({${funderAmountsRef}}, "SELECT Col1, SUM(Col2), SUM(Col3) WHERE Col1 IS NOT NULL GROUP BY Col1 ORDER BY SUM(Col3) DESC, SUM(Col2) DESC LABEL Col1 '', SUM(Col2) '', SUM(Col3) ''"), {"No Data",0,0})`);
+
+    // Upcoming deadlines: every key-date column is stacked into one (Funder, Title, Type, Date, Status) list,
+    // then filtered to future dates on proposals that are still live.
+    sheet.getRange("K1:N1").setValues([["Funder", "RFP Title", "Deadline Type", "Due Date"]]).setFontWeight('bold');
+    loadStatusSettings(sheet.getParent()); // From StatusSettings.js
+    sheet.getRange("K2").setFormula(_buildStatusDependentFormulas().upcomingDeadlines);
+    sheet.getRange("N2:N").setNumberFormat("yyyy-mm-dd");
+}
+
+/**
+ * Builds the Dashboard formulas that depend on the status pipeline on the Settings sheet:
+ * - pendingProposals: proposals whose status is not terminal.
+ * - underReviewCount: proposals in a non-terminal status ranked at or above "Under Review".
+ * - upcomingDeadlines: the helper sheet's deadline list, leaving out proposals closed without an award
+ *   (terminal statuses ranked below "Submitted").
+ * @returns {{pendingProposals: string, underReviewCount: string, upcomingDeadlines: string}}
+ * @private
+ */
+function _buildStatusDependentFormulas() {
+    const proposalsRef = `'${PROPOSAL_TRACKER_SHEET_TAB_NAME}'!`;
+    const colRef = col => `${proposalsRef}${_columnToLetter_DashboardLocal(col)}2:${_columnToLetter_DashboardLocal(col)}`;
+    const funderColRef = colRef(proposalCol('FUNDER')), statusColRef = colRef(proposalCol('STATUS'));
+    const statuses = getStatusSettings();
+    const reviewRank = getStatusRank(STATUS_UNDER_REVIEW) ?? 0, submittedRank = getStatusRank(STATUS_SUBMITTED) ?? 0;
+
+    // Manual Review Needed is terminal only so the stale check skips it; the proposal is still open.
+    const closed = statuses.filter(s => s.terminal && s.name !== MANUAL_REVIEW_NEEDED);
+    const terminalConditions = closed.map(s => `, ${statusColRef}, "<>${s.name}"`).join("");
+    const inReview = statuses.filter(s => !s.terminal && s.rank >= reviewRank).map(s => `"${s.name}"`);
+    const closedConditions = closed.filter(s => s.rank < submittedRank).map(s => ` AND Col5 <> '${s.name}'`).join("");
+
+    const funderTitleRef = `${funderColRef}, ${colRef(proposalCol('TITLE'))}`;
+    // The IF() labels only expand row by row inside ARRAYFORMULA; without it they collapse to one value and the
+    // stacked columns no longer line up. Key-date columns the sheet does not have yet are left out.
+    const stackedDates = PROPOSAL_KEY_DATE_FIELDS.filter(({ key }) => hasProposalCol(key)).map(({ key, label }) => {
+        return `${funderTitleRef}, IF(${colRef(proposalCol(key))}="", "", "${label}"), ${colRef(proposalCol(key))}, ${statusColRef}`;
+    }).join("; ");
+    return {
+        pendingProposals: `=IFERROR(COUNTIFS(${funderColRef}, "<>"${terminalConditions}), 0)`,
+        underReviewCount: inReview.length > 0 ? `=IFERROR(SUMPRODUCT(COUNTIF(${statusColRef}, {${inReview.join(";")}})), 0)` : `=0`,
+        upcomingDeadlines: stackedDates === "" ? `={"No upcoming deadlines", "", "", ""}` : `=IFERROR(QUERY(ARRAYFORMULA({${stackedDates}}), "SELECT Col1, Col2, Col3, Col4 WHERE Col4 >= date '"&TEXT(TODAY(), "yyyy-mm-dd")&"'${closedConditions} ORDER BY Col4 ASC LIMIT ${UPCOMING_DEADLINES_LIMIT}", 0), {"No upcoming deadlines", "", "", ""})`
+    };
+}
+
+/**
+ * Rewrites the status-dependent Dashboard formulas after the Settings sheet changes.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ */
+function refreshStatusDependentFormulas(ss) {
+    const formulas = _buildStatusDependentFormulas();
+    const dashboardSheet = ss.getSheetByName(DASHBOARD_TAB_NAME);
+    if (dashboardSheet) {
+        dashboardSheet.getRange(DASHBOARD_SCORECARD_CELLS.pendingProposals).setFormula(formulas.pendingProposals);
+        dashboardSheet.getRange(DASHBOARD_SCORECARD_CELLS.underReviewCount).setFormula(formulas.underReviewCount);
+    }
+    const helperSheet = ss.getSheetByName(HELPER_SHEET_NAME);
+    if (helperSheet) helperSheet.getRange("K2").setFormula(formulas.upcomingDeadlines);
 }
 
 /**
@@ -147,6 +225,12 @@ function updateDashboardMetrics(dashboardSheet, helperSheet) {
     updateFundingByFunderChart(dashboardSheet, helperSheet);
 }
 
+// Scorecard value cells written by formatDashboardSheet, keyed by the metric names the Web App API returns.
+const DASHBOARD_SCORECARD_CELLS = {
+    totalProposals: "C5", totalRequested: "F5", awardRateCount: "I5", awardRateAmount: "L5",
+    pendingProposals: "C7", totalAwardedCount: "F7", underReviewCount: "I7", totalAwardedAmount: "L7"
+};
+
 const BRAND_COLORS_CHART_ARRAY = [
     BRAND_COLORS.LAPIS_LAZULI, BRAND_COLORS.HUNYADI_YELLOW, BRAND_COLORS.CAROLINA_BLUE,
     BRAND_COLORS.PALE_ORANGE, BRAND_COLORS.CHARCOAL
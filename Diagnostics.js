@@ -0,0 +1,411 @@
+/**
+ * @file Setup health check ("Diagnose & Repair"). Checks each artifact the setup creates: sheets and their
+ * headers, the schema version, the Dashboard, Gmail labels, the Gmail filters and the label they apply, the recurring triggers and
+ * their schedules, the AI key, the keyword hints, the runtime configuration and the advanced services. Broken items that the
+ * script can fix carry a repair, which the menu offers one item at a time.
+ */
+
+/**
+ * Runs every setup check.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {Array<{group: string, name: string, ok: boolean, detail: string, fix: ?{description: string, run: function(): string}}>}
+ *   One entry per artifact. fix is set on failed checks the script can repair; run() returns what it did.
+ */
+function runSetupDiagnostics(ss) {
+  const config = loadRuntimeConfig(ss); // From RuntimeConfig.js
+  loadStatusSettings(ss); // From StatusSettings.js
+  const checks = [];
+  _checkSheets(ss, checks);
+  _checkDashboard(ss, checks);
+  _checkSchemaVersion(ss, checks);
+  const gmailLabels = _checkAdvancedServices(checks);
+  _checkGmailLabels(checks);
+  _checkGmailFilters(checks, gmailLabels);
+  _checkTriggers(checks);
+  _checkAiKey(checks);
+  _checkStatusKeywords(checks);
+  checks.push(_diagnosticResult("Configuration", "Runtime settings", config.errors.length === 0,
+    config.errors.length === 0 ? "All overrides are valid." : `Ignored: ${config.errors.join(" ")} Correct them on the "${CONFIG_SHEET_TAB_NAME}" sheet.`));
+  return checks;
+}
+
+/**
+ * Formats diagnostic results as a report, failures first.
+ * @param {Array<{group: string, name: string, ok: boolean, detail: string, fix: ?object}>} checks
+ * @returns {string}
+ */
+function formatDiagnosticsReport(checks) {
+  const failed = checks.filter(c => !c.ok);
+  const passed = checks.filter(c => c.ok);
+  const lines = [`${passed.length} passed, ${failed.length} failed.`];
+  if (failed.length > 0) {
+    lines.push("", "FAILED:");
+    failed.forEach(c => lines.push(`❌ ${c.group} – ${c.name}: ${c.detail}${c.fix ? "" : " (fix manually)"}`));
+  }
+  lines.push("", "PASSED:");
+  passed.forEach(c => lines.push(`✅ ${c.group} – ${c.name}`));
+  return lines.join("\n");
+}
+
+/**
+ * Menu action: shows the health report, then offers to repair each fixable item on its own.
+ */
+function diagnoseAndRepair_UI() {
+  const FUNC_NAME = "diagnoseAndRepair_UI";
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const checks = runSetupDiagnostics(ss);
+  const report = formatDiagnosticsReport(checks);
+  Logger.log(`[${FUNC_NAME} INFO] Diagnostics report:\n${report}`);
+
+  const fixable = checks.filter(c => !c.ok && c.fix);
+  const prompt = fixable.length > 0 ? `\n\n${fixable.length} item(s) can be repaired. You will be asked about each one.` : "";
+  ui.alert('Diagnose & Repair', report.substring(0, 3000) + prompt, ui.ButtonSet.OK);
+
+  const outcomes = [];
+  for (const check of fixable) {
+    const label = `${check.group} – ${check.name}`;
+    const answer = ui.alert(`Repair: ${label}`, `${check.detail}\n\nFix: ${check.fix.description}\n\nRepair this item? (Cancel stops here.)`, ui.ButtonSet.YES_NO_CANCEL);
+    if (answer === ui.Button.CANCEL || answer === ui.Button.CLOSE) break;
+    if (answer !== ui.Button.YES) {
+      outcomes.push(`⏭️ ${label}: skipped.`);
+      continue;
+    }
+    try {
+      outcomes.push(`🔧 ${label}: ${check.fix.run()}`);
+    } catch (e) {
+      Logger.log(`[${FUNC_NAME} ERROR] Repair of "${label}" failed: ${e.toString()}`);
+      outcomes.push(`❌ ${label}: repair failed (${e.message}).`);
+    }
+  }
+  if (outcomes.length > 0) {
+    Logger.log(`[${FUNC_NAME} INFO] Repairs:\n${outcomes.join("\n")}`);
+    ui.alert('Diagnose & Repair', `${outcomes.join("\n")}\n\nRun Diagnose & Repair again to confirm.`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * @param {string} group
+ * @param {string} name
+ * @param {boolean} ok
+ * @param {string} detail
+ * @param {{description: string, run: function(): string}} [fix] Only kept when the check failed.
+ * @returns {{group: string, name: string, ok: boolean, detail: string, fix: ?object}}
+ * @private
+ */
+function _diagnosticResult(group, name, ok, detail, fix) {
+  return { group: group, name: name, ok: ok, detail: detail, fix: ok ? null : (fix || null) };
+}
+
+/**
+ * Checks that each data sheet exists and that its header row matches the columns the code reads.
+ * @private
+ */
+function _checkSheets(ss, checks) {
+  const createModuleSheet = (tabName, headers, columnWidths, bandingTheme, tabColor) => () => {
+    const sheet = ss.insertSheet(tabName);
+    if (!setupSheetFormatting(sheet, headers, columnWidths, true, bandingTheme)) throw new Error(`Formatting failed for "${tabName}".`);
+    sheet.setTabColor(tabColor);
+    return { success: true };
+  };
+  const specs = [
+    {
+      name: PROPOSAL_TRACKER_SHEET_TAB_NAME, headers: PROPOSAL_TRACKER_SHEET_HEADERS,
+      create: () => {
+        createModuleSheet(PROPOSAL_TRACKER_SHEET_TAB_NAME, PROPOSAL_TRACKER_SHEET_HEADERS, PROPOSAL_TRACKER_SHEET_HEADERS.map((h, i) => ({ col: i + 1, width: 150 })),
+          SpreadsheetApp.BandingTheme.BLUE, BRAND_COLORS.LAPIS_LAZULI)();
+        applyStatusValidation(ss); // From StatusSettings.js
+        return { success: true };
+      }
+    },
+    {
+      name: OPPORTUNITIES_SHEET_TAB_NAME, headers: OPPORTUNITIES_SHEET_HEADERS,
+      create: createModuleSheet(OPPORTUNITIES_SHEET_TAB_NAME, OPPORTUNITIES_SHEET_HEADERS, OPPORTUNITIES_SHEET_COLUMN_WIDTHS.map((w, i) => ({ col: i + 1, width: w })),
+        SpreadsheetApp.BandingTheme.LIGHT_GREY, BRAND_COLORS.HUNYADI_YELLOW)
+    },
+    { name: FUNDER_ALIAS_SHEET_TAB_NAME, headers: FUNDER_ALIAS_SHEET_HEADERS, create: () => initialSetup_FunderAliases(ss) },
+    { name: SETTINGS_SHEET_TAB_NAME, headers: SETTINGS_SHEET_HEADERS, create: () => initialSetup_StatusSettings(ss) },
+    { name: CONFIG_SHEET_TAB_NAME, headers: CONFIG_SHEET_HEADERS, create: () => initialSetup_RuntimeConfig(ss) },
+    { name: STATUS_HISTORY_SHEET_TAB_NAME, headers: STATUS_HISTORY_SHEET_HEADERS, create: () => initialSetup_StatusHistory(ss) },
+    { name: PROCESSED_MESSAGES_SHEET_TAB_NAME, headers: PROCESSED_MESSAGES_SHEET_HEADERS, create: () => initialSetup_ProcessedMessageLedger(ss) }
+  ];
+
+  specs.forEach(spec => {
+    const sheet = ss.getSheetByName(spec.name);
+    if (!sheet) {
+      checks.push(_diagnosticResult("Sheets", spec.name, false, "The sheet is missing.", {
+        description: `Create an empty "${spec.name}" sheet with its headers.`,
+        run: () => {
+          const result = spec.create();
+          if (result && result.success === false) throw new Error(result.messages.join(" "));
+          return `Created "${spec.name}".`;
+        }
+      }));
+      return;
+    }
+    if (spec.name === PROPOSAL_TRACKER_SHEET_TAB_NAME) {
+      _checkProposalColumns(ss, sheet, checks);
+      return;
+    }
+    const actual = sheet.getRange(1, 1, 1, spec.headers.length).getValues()[0].map(v => String(v).trim());
+    const wrong = spec.headers.map((header, i) => ({ header: header, actual: actual[i], col: i + 1 })).filter(h => h.actual !== h.header);
+    const detail = wrong.length === 0 ? `${spec.headers.length} header(s) OK.` :
+      wrong.slice(0, 3).map(h => h.actual ? `column ${h.col} is "${h.actual}" instead of "${h.header}"` : `column ${h.col} "${h.header}" is missing`).join("; ") +
+      (wrong.length > 3 ? `; and ${wrong.length - 3} more` : "") + ".";
+    checks.push(_diagnosticResult("Sheets", `${spec.name} headers`, wrong.length === 0, detail, {
+      description: "Write the expected header names in row 1. Columns are read by position; data rows are not changed.",
+      run: () => {
+        sheet.getRange(1, 1, 1, spec.headers.length).setValues([spec.headers]).setFontWeight("bold");
+        return `Rewrote ${wrong.length} header(s).`;
+      }
+    }));
+  });
+}
+
+/**
+ * Checks that every Proposals column can be found by its header. Columns are matched by name, so their order
+ * and extra user columns do not matter.
+ * @private
+ */
+function _checkProposalColumns(ss, sheet, checks) {
+  const resolved = resolveProposalColumns(sheet); // From ColumnMap.js
+  const names = keys => keys.map(key => `"${PROPOSAL_COLUMNS[key].header}"`).join(", ");
+  if (resolved.missingRequired.length > 0) {
+    checks.push(_diagnosticResult("Sheets", `${sheet.getName()} columns`, false,
+      `Required column(s) not found: ${resolved.missingRequired.map(describeProposalColumn).join("; ")}. Rename the column back in row 1; processing stops until then.`));
+    return;
+  }
+  const ok = resolved.missingOptional.length === 0;
+  checks.push(_diagnosticResult("Sheets", `${sheet.getName()} columns`, ok,
+    ok ? `All ${Object.keys(PROPOSAL_COLUMNS).length} columns found.` : `Column(s) ${names(resolved.missingOptional)} not found.`, {
+      description: "Add the missing column(s) after the last column. Existing columns and rows are not changed.",
+      run: () => {
+        // Adding columns shifts nothing, but it must not interleave with a processing run's row writes.
+        const locked = withDocumentLock("repairProposalColumns", () => ensureProposalColumns(ss)); // From LockUtils.js, ColumnMap.js
+        if (!locked.acquired) throw new Error("Email processing is running. Try again in a minute.");
+        return `Added ${resolved.missingOptional.length} column(s).`;
+      }
+    }));
+}
+
+/**
+ * Checks that the Dashboard and its helper sheet exist and the scorecards have formulas.
+ * @private
+ */
+function _checkDashboard(ss, checks) {
+  const dashboardSheet = ss.getSheetByName(DASHBOARD_TAB_NAME);
+  const helperSheet = ss.getSheetByName(HELPER_SHEET_NAME);
+  let problem = "";
+  if (!dashboardSheet) problem = `The "${DASHBOARD_TAB_NAME}" sheet is missing.`;
+  else if (!helperSheet) problem = `The hidden "${HELPER_SHEET_NAME}" sheet is missing.`;
+  else if (!dashboardSheet.getRange(DASHBOARD_SCORECARD_CELLS.totalProposals).getFormula()) problem = "The scorecard formulas are missing.";
+  checks.push(_diagnosticResult("Sheets", DASHBOARD_TAB_NAME, !problem, problem || "Scorecards and helper data OK.", {
+    description: "Rebuild the Dashboard scorecards, charts and helper formulas. Proposal data is not changed.",
+    run: () => {
+      const dashboard = getOrCreateDashboardSheet(ss); // From Dashboard.js
+      const helper = getOrCreateHelperSheet(ss);
+      formatDashboardSheet(dashboard);
+      setupHelperSheetFormulas(helper);
+      updateDashboardMetrics(dashboard, helper);
+      if (!helper.isSheetHidden()) helper.hideSheet();
+      return "Dashboard rebuilt.";
+    }
+  }));
+}
+
+/**
+ * Checks that every migration step has been applied to this sheet.
+ * @private
+ */
+function _checkSchemaVersion(ss, checks) {
+  const status = getSchemaStatus(ss); // From Migrations.js
+  if (!status.setupDone) {
+    checks.push(_diagnosticResult("Sheets", "Schema version", false, `No version recorded. Run "Finalize Project Setup"; it records version ${status.latest}.`));
+    return;
+  }
+  const ok = status.pending.length === 0;
+  checks.push(_diagnosticResult("Sheets", "Schema version", ok,
+    ok ? `Version ${status.version} (latest).` : `Version ${status.version} of ${status.latest}. Pending: ${status.pending.map(step => step.description).join("; ")}.`, {
+      description: "Save a backup copy to Drive, then run the pending upgrade steps (same as \"Upgrade this sheet\").",
+      run: () => {
+        const result = runSchemaMigrations(ss); // From Migrations.js
+        if (!result.success) throw new Error(result.messages[result.messages.length - 1]);
+        return `Upgraded from version ${result.fromVersion} to ${result.toVersion}. Backup: ${result.backupUrl}`;
+      }
+    }));
+}
+
+/**
+ * Checks the advanced services from appsscript.json. They can only be enabled in the Apps Script editor.
+ * @returns {?Array<{id: string, name: string}>} The Gmail labels from the advanced Gmail service, or null if it failed.
+ * @private
+ */
+function _checkAdvancedServices(checks) {
+  const hint = "Enable it in the Apps Script editor under Services.";
+  let gmailLabels = null;
+  let gmailDetail = `The advanced Gmail service is not enabled. ${hint}`;
+  if (typeof Gmail !== 'undefined') {
+    try {
+      gmailLabels = Gmail.Users.Labels.list('me').labels || [];
+      gmailDetail = "Available.";
+    } catch (e) {
+      gmailDetail = `The advanced Gmail service failed: ${e.message}`;
+    }
+  }
+  checks.push(_diagnosticResult("Advanced services", "Gmail", !!gmailLabels, gmailDetail));
+  checks.push(_diagnosticResult("Advanced services", "Drive", typeof Drive !== 'undefined', typeof Drive !== 'undefined' ? "Available." : `The advanced Drive service is not enabled. ${hint}`));
+  checks.push(_diagnosticResult("Advanced services", "Sheets", typeof Sheets !== 'undefined', typeof Sheets !== 'undefined' ? "Available." : `The advanced Sheets service is not enabled. ${hint}`));
+  return gmailLabels;
+}
+
+/**
+ * Checks that every Gmail label the modules use exists.
+ * @private
+ */
+function _checkGmailLabels(checks) {
+  [
+    MASTER_GMAIL_LABEL_PARENT, TRACKER_GMAIL_LABEL_PARENT, TRACKER_GMAIL_LABEL_TO_PROCESS, TRACKER_GMAIL_LABEL_PROCESSED, TRACKER_GMAIL_LABEL_MANUAL_REVIEW,
+    OPPORTUNITIES_GMAIL_LABEL_PARENT, OPPORTUNITIES_GMAIL_LABEL_TO_PROCESS, OPPORTUNITIES_GMAIL_LABEL_PROCESSED, OPPORTUNITIES_GMAIL_LABEL_MANUAL_REVIEW
+  ].forEach(labelName => {
+    const exists = !!GmailApp.getUserLabelByName(labelName);
+    checks.push(_diagnosticResult("Gmail labels", labelName, exists, exists ? "Exists." : "The label is missing.", {
+      description: `Create the label "${labelName}".`,
+      run: () => {
+        if (!getOrCreateLabel(labelName)) throw new Error("Gmail did not create the label."); // From GmailUtils.js
+        return "Label created.";
+      }
+    }));
+  });
+}
+
+/**
+ * Checks that each module's Gmail filter exists with the configured query and applies the "To Process" label.
+ * @param {?Array<{id: string, name: string}>} gmailLabels From _checkAdvancedServices, or null.
+ * @private
+ */
+function _checkGmailFilters(checks, gmailLabels) {
+  const modules = [
+    { name: "Proposal Tracker", setting: 'TRACKER_GMAIL_FILTER_QUERY', labelName: TRACKER_GMAIL_LABEL_TO_PROCESS },
+    { name: "Opportunities", setting: 'OPPORTUNITIES_GMAIL_FILTER_QUERY', labelName: OPPORTUNITIES_GMAIL_LABEL_TO_PROCESS }
+  ].map(m => ({ ...m, query: getConfigValue(m.setting) }));
+  let filters = null;
+  if (gmailLabels) {
+    try { filters = Gmail.Users.Settings.Filters.list('me').filter || []; } catch (e) { Logger.log(`[DIAGNOSTICS WARN] Could not list Gmail filters: ${e.message}`); }
+  }
+  modules.forEach(module => {
+    const checkName = `${module.name} filter`;
+    if (!filters) {
+      checks.push(_diagnosticResult("Gmail filters", checkName, false, "Gmail filters could not be read through the advanced Gmail service."));
+      return;
+    }
+    const label = gmailLabels.find(l => l.name === module.labelName);
+    const labelId = label ? label.id : null;
+    const addsLabel = f => !!labelId && !!(f.action && f.action.addLabelIds && f.action.addLabelIds.includes(labelId));
+    const ok = filters.some(f => f.criteria && f.criteria.query === module.query && addsLabel(f));
+    let detail = `Applies "${module.labelName}" (label ID ${labelId}).`;
+    if (!ok) {
+      if (!labelId) detail = `The label "${module.labelName}" is missing, so no filter can apply it.`;
+      else if (filters.some(addsLabel)) detail = `A filter applies "${module.labelName}" but its query differs from ${module.setting} (the filter was edited, or the setting changed).`;
+      else if (filters.some(f => f.criteria && f.criteria.query === module.query)) detail = `A filter with the configured query exists but applies a different label.`;
+      else detail = "No filter applies the label.";
+    }
+    checks.push(_diagnosticResult("Gmail filters", checkName, ok, detail, {
+      description: `Create a Gmail filter with the configured query that applies "${module.labelName}". Other filters are left as they are.`,
+      run: () => {
+        getOrCreateLabel(module.labelName);
+        const freshLabel = (Gmail.Users.Labels.list('me').labels || []).find(l => l.name === module.labelName);
+        if (!freshLabel) throw new Error(`Could not get the ID of "${module.labelName}".`);
+        const created = Gmail.Users.Settings.Filters.create({ criteria: { query: module.query }, action: { addLabelIds: [freshLabel.id] } }, 'me');
+        if (!created || !created.id) throw new Error("Gmail did not return a filter ID.");
+        recordInstalledFilter(created.id, module.query); // From Uninstall.js
+        return `Filter ${created.id} created.`;
+      }
+    }));
+  });
+}
+
+/**
+ * Checks that each recurring trigger exists once and was created with the configured schedule.
+ * @private
+ */
+function _checkTriggers(checks) {
+  const triggers = ScriptApp.getProjectTriggers();
+  const recorded = getRecordedTriggerSchedules(); // From Triggers.js
+  getScheduledTriggerDefinitions().forEach(def => {
+    const existing = triggers.filter(t => t.getHandlerFunction() === def.handler);
+    const expected = def.expectedSchedule();
+    const recreate = {
+      description: `Delete the trigger(s) for ${def.handler} and create one that runs ${expected}.`,
+      run: () => {
+        existing.forEach(t => ScriptApp.deleteTrigger(t));
+        if (!def.create()) throw new Error("The trigger was not created. See the logs.");
+        return `Trigger created (${expected}).`;
+      }
+    };
+    if (expected === null) {
+      checks.push(_diagnosticResult("Triggers", def.handler, existing.length === 0,
+        existing.length === 0 ? "Off (DIGEST_CADENCE is OFF)." : "DIGEST_CADENCE is OFF but a trigger is still installed.", {
+          description: `Delete the ${def.handler} trigger.`,
+          run: () => { existing.forEach(t => ScriptApp.deleteTrigger(t)); return "Trigger deleted."; }
+        }));
+      return;
+    }
+    let ok = false, detail;
+    if (existing.length === 0) detail = `The trigger is missing; it should run ${expected}.`;
+    else if (existing.length > 1) detail = `${existing.length} triggers are installed; there should be one.`;
+    else if (recorded[def.handler] && recorded[def.handler] !== expected) detail = `It runs ${recorded[def.handler]}, but the configuration says ${expected}.`;
+    else {
+      ok = true;
+      detail = recorded[def.handler] ? `Runs ${expected}.` : `Installed (created by an older version, so its schedule was not recorded; expected ${expected}).`;
+    }
+    checks.push(_diagnosticResult("Triggers", def.handler, ok, detail, recreate));
+  });
+}
+
+/**
+ * Checks the AI provider. For Gemini, the stored key gets a live test call.
+ * @private
+ */
+function _checkAiKey(checks) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const llmConfig = getLlmProviderConfig(scriptProperties); // From LlmProviders.js
+  const manualHint = "Use Admin & Config → Set Gemini API Key.";
+  if (llmConfig.provider !== LLM_PROVIDERS.GEMINI) {
+    const state = getAiFeaturesState(scriptProperties, llmConfig); // From GeminiKeyStore.js
+    checks.push(_diagnosticResult("AI", `Provider ${llmConfig.provider}`, state.active, state.active ? "Configured." : state.reason));
+    return;
+  }
+  const apiKey = getGeminiApiKey(scriptProperties);
+  if (!apiKey) {
+    checks.push(_diagnosticResult("AI", "Gemini API key", false, `No key is set, so emails are parsed with keywords only. ${manualHint}`));
+    return;
+  }
+  if (!testGeminiApiKey(apiKey)) {
+    checks.push(_diagnosticResult("AI", "Gemini API key", false, `The key ${maskSecret(apiKey)} failed a live test call. ${manualHint}`));
+    return;
+  }
+  const turnedOff = scriptProperties.getProperty(AI_FEATURES_ACTIVE_PROPERTY) === 'false';
+  checks.push(_diagnosticResult("AI", "Gemini API key", !turnedOff,
+    turnedOff ? `The key ${maskSecret(apiKey)} works, but AI features are turned off.` : `The key ${maskSecret(apiKey)} passed a live test call.`, {
+      description: "Turn AI features back on.",
+      run: () => {
+        scriptProperties.setProperties({ [AI_FEATURES_ACTIVE_PROPERTY]: 'true', [GEMINI_KEY_VALIDATED_AT_PROPERTY]: new Date().toISOString() });
+        return "AI features are active.";
+      }
+    }));
+}
+
+/**
+ * Runs the keyword parser's status matching on STATUS_KEYWORD_SAMPLES, so hints edited on the Settings
+ * sheet that misread a typical email are reported.
+ * @private
+ */
+function _checkStatusKeywords(checks) {
+  const misread = STATUS_KEYWORD_SAMPLES
+    .map(sample => ({ ...sample, matched: matchStatusKeywords(sample.text) })) // From StatusSettings.js
+    .filter(sample => sample.matched !== sample.status);
+  checks.push(_diagnosticResult("Configuration", "Status keyword hints", misread.length === 0,
+    misread.length === 0 ? `All ${STATUS_KEYWORD_SAMPLES.length} sample emails get the right status.` :
+      misread.map(s => `"${s.text}" reads as ${s.matched ? `"${s.matched}"` : "no status"} instead of "${s.status}".`).join(" ") +
+      ` Adjust the hints on the "${SETTINGS_SHEET_TAB_NAME}" sheet.`));
+}
@@ -0,0 +1,237 @@
+/**
+ * @file Pipeline digest: a scheduled HTML email for people who do not open the spreadsheet. It is built from
+ * the Proposals sheet and lists the status changes and new proposals since the last digest, upcoming key dates,
+ * stale items and the Dashboard's headline numbers. Recipients and cadence are runtime settings; mail is sent
+ * through MailApp.
+ */
+
+/**
+ * Creates the digest trigger on the configured cadence.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function initialSetup_PipelineDigest(activeSS) {
+  try {
+    loadRuntimeConfig(activeSS); // From RuntimeConfig.js
+    if (getConfigValue('DIGEST_CADENCE') === 'OFF') {
+      return { success: true, messages: ["Digest is OFF (DIGEST_CADENCE). No trigger created."] };
+    }
+    const created = createOrVerifyDigestTrigger(); // From Triggers.js
+    return { success: true, messages: [`Trigger '${DIGEST_TRIGGER_HANDLER}': ${created ? "CREATED" : "Exists/Verified"}.`] };
+  } catch (e) {
+    Logger.log(`[initialSetup_PipelineDigest ERROR] ${e.toString()}`);
+    return { success: false, messages: [`Digest trigger setup FAILED: ${e.message}.`] };
+  }
+}
+
+/**
+ * Trigger handler for the scheduled digest.
+ */
+function pipelineDigest_triggerHandler() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (!ss) {
+    Logger.log(`${DIGEST_TRIGGER_HANDLER}: Could not get active spreadsheet. Aborting.`);
+    return;
+  }
+  loadRuntimeConfig(ss);
+  if (getConfigValue('DIGEST_CADENCE') === 'OFF') {
+    Logger.log(`${DIGEST_TRIGGER_HANDLER}: DIGEST_CADENCE is OFF. Skipped.`);
+    return;
+  }
+  sendPipelineDigest(ss);
+}
+
+/**
+ * Menu action: sends the digest now. It counts as the last digest, so the next scheduled one starts from here.
+ */
+function sendDigestNow_UI() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = sendPipelineDigest(SpreadsheetApp.getActiveSpreadsheet());
+    const { statusChanges, newProposals, upcomingDates, staleItems } = result.counts;
+    ui.alert('Pipeline Digest', `Digest sent to ${result.recipients}.\n\n` +
+      `${statusChanges} status change(s), ${newProposals} new proposal(s), ${upcomingDates} upcoming date(s), ${staleItems} stale item(s).`,
+      ui.ButtonSet.OK);
+  } catch (e) {
+    Logger.log(`[sendDigestNow_UI ERROR] ${e.toString()}`);
+    ui.alert('Pipeline Digest', `The digest could not be sent: ${e.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Builds the digest covering the time since the last one and mails it to DIGEST_RECIPIENTS (or, when blank,
+ * the account running the script). The first digest covers one cadence period.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{recipients: string, subject: string, counts: {statusChanges: number, newProposals: number, upcomingDates: number, staleItems: number}}}
+ */
+function sendPipelineDigest(ss) {
+  const FUNC_NAME = "sendPipelineDigest";
+  loadRuntimeConfig(ss);
+  loadStatusSettings(ss); // From StatusSettings.js
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const now = new Date();
+  const lastSent = new Date(scriptProperties.getProperty(DIGEST_LAST_SENT_PROPERTY) || NaN);
+  const periodDays = getConfigValue('DIGEST_CADENCE') === 'DAILY' ? 1 : 7;
+  const since = isNaN(lastSent.getTime()) ? new Date(now.getTime() - periodDays * 24 * 60 * 60 * 1000) : lastSent;
+
+  const digest = buildPipelineDigest(ss, since, now);
+  const recipients = getConfigValue('DIGEST_RECIPIENTS') || Session.getEffectiveUser().getEmail();
+  MailApp.sendEmail({ to: recipients, subject: digest.subject, htmlBody: digest.htmlBody, body: digest.textBody });
+  // Only a sent digest moves the window, so a failed send is covered by the next one.
+  scriptProperties.setProperty(DIGEST_LAST_SENT_PROPERTY, now.toISOString());
+  Logger.log(`[${FUNC_NAME} INFO] Digest sent to ${recipients}: ${JSON.stringify(digest.counts)}.`);
+  return { recipients: recipients, subject: digest.subject, counts: digest.counts };
+}
+
+/**
+ * Builds the digest email from the Proposals sheet, the Status History sheet and the Dashboard scorecards.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Date} since Start of the reporting period (the last digest).
+ * @param {Date} now End of the reporting period.
+ * @returns {{subject: string, htmlBody: string, textBody: string,
+ *   counts: {statusChanges: number, newProposals: number, upcomingDates: number, staleItems: number}}}
+ */
+function buildPipelineDigest(ss, since, now) {
+  const dataSheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  if (!dataSheet) throw new Error(`Sheet "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" not found. Run the project setup first.`);
+  loadProposalColumns(ss); // From ColumnMap.js; optional columns the sheet lacks read as empty.
+  const tz = ss.getSpreadsheetTimeZone();
+  const formatDate = value => Utilities.formatDate(value, tz, "yyyy-MM-dd");
+  const submittedRank = getStatusRank(STATUS_SUBMITTED) ?? 0;
+  // Error rows written by the engine are not proposals.
+  const proposals = dataSheet.getDataRange().getValues().slice(1)
+    .filter(r => String(r[proposalCol('FUNDER') - 1] || "").trim() && !String(r[proposalCol('FUNDER') - 1]).startsWith("ERROR:"));
+
+  // New proposals appear in the history with no previous status; they get their own section.
+  const statusChanges = getStatusHistorySince(ss, since).filter(e => e.oldStatus) // From StatusHistory.js
+    .map(e => [formatDate(new Date(e.timestamp)), e.funder, e.title, `${e.oldStatus} → ${e.newStatus}`, e.source]);
+
+  const newProposals = proposals
+    .filter(r => { const added = _digestDate(proposalValue(r, 'PROC_TS')); return added && added > since; })
+    .map(r => [formatDate(_digestDate(proposalValue(r, 'PROC_TS'))), r[proposalCol('FUNDER') - 1], r[proposalCol('TITLE') - 1],
+      r[proposalCol('STATUS') - 1], _formatDigestAmount(proposalValue(r, 'AMT_REQ'))]);
+
+  // Same rule as the Dashboard: leave out proposals closed without an award.
+  const windowStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const windowEnd = new Date(windowStart.getTime() + DIGEST_DEADLINE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const upcoming = [];
+  proposals.forEach(r => {
+    const status = String(r[proposalCol('STATUS') - 1] || "").trim();
+    if (isTerminalStatus(status) && status !== MANUAL_REVIEW_NEEDED && (getStatusRank(status) ?? 0) < submittedRank) return;
+    PROPOSAL_KEY_DATE_FIELDS.forEach(({ key, label }) => {
+      const date = _digestDate(proposalValue(r, key));
+      if (date && date >= windowStart && date <= windowEnd) upcoming.push({ date: date, row: r, label: label });
+    });
+  });
+  const upcomingDates = upcoming.sort((a, b) => a.date - b.date)
+    .map(({ date, row, label }) => [formatDate(date), label, row[proposalCol('FUNDER') - 1], row[proposalCol('TITLE') - 1], row[proposalCol('STATUS') - 1]]);
+
+  const staleItems = proposals
+    .filter(r => String(proposalValue(r, 'FOLLOW_UP') || "").trim() && !isTerminalStatus(String(r[proposalCol('STATUS') - 1] || "").trim()))
+    .map(r => {
+      const lastUpdate = _digestDate(proposalValue(r, 'LAST_UPDATE'));
+      return [r[proposalCol('FUNDER') - 1], r[proposalCol('TITLE') - 1], r[proposalCol('STATUS') - 1], proposalValue(r, 'FOLLOW_UP'), lastUpdate ? formatDate(lastUpdate) : ""];
+    });
+
+  const sections = [
+    { title: "Status changes", headers: ["Date", "Funder", "Title", "Change", "Source"], rows: statusChanges, emptyText: "No status changes." },
+    { title: "New proposals", headers: ["Added", "Funder", "Title", "Status", "Requested"], rows: newProposals, emptyText: "No new proposals." },
+    { title: `Upcoming dates (next ${DIGEST_DEADLINE_WINDOW_DAYS} days)`, headers: ["Date", "What", "Funder", "Title", "Status"], rows: upcomingDates, emptyText: "Nothing due." },
+    { title: "Needs follow-up", headers: ["Funder", "Title", "Status", "Follow-Up", "Last Update"], rows: staleItems, emptyText: "No stale proposals." }
+  ];
+  const scorecards = _readDigestScorecards(ss);
+  const period = `${formatDate(since)} to ${formatDate(now)}`;
+
+  const htmlParts = [
+    `<div style="font-family: Arial, sans-serif; color: ${BRAND_COLORS.CHARCOAL}; max-width: 760px;">`,
+    `<h2 style="color: ${BRAND_COLORS.LAPIS_LAZULI}; margin-bottom: 4px;">Pipeline digest</h2>`,
+    `<p style="margin-top: 0;">${_escapeDigestHtml(ss.getName())} · ${period}</p>`
+  ];
+  if (scorecards.length > 0) {
+    const cells = scorecards.map(c => `<td style="background: ${BRAND_COLORS.PALE_ORANGE}; border: 1px solid ${BRAND_COLORS.MEDIUM_GREY_BORDER}; padding: 8px; text-align: center;">` +
+      `<div style="font-size: 12px;">${_escapeDigestHtml(c.label)}</div><div style="font-size: 18px; font-weight: bold;">${_escapeDigestHtml(c.value)}</div></td>`);
+    const cardRows = [];
+    for (let i = 0; i < cells.length; i += 4) cardRows.push(`<tr>${cells.slice(i, i + 4).join("")}</tr>`);
+    htmlParts.push(`<table style="border-collapse: collapse; width: 100%; margin-bottom: 16px;">${cardRows.join("")}</table>`);
+  }
+  sections.forEach(section => htmlParts.push(_buildDigestSectionHtml(section)));
+  htmlParts.push(`<p><a href="${_escapeDigestHtml(ss.getUrl())}" style="color: ${BRAND_COLORS.LAPIS_LAZULI};">Open the tracker</a></p></div>`);
+
+  const textParts = [`Pipeline digest: ${ss.getName()} (${period})`];
+  if (scorecards.length > 0) textParts.push(scorecards.map(c => `${c.label}: ${c.value}`).join("\n"));
+  sections.forEach(({ title, rows, emptyText }) => {
+    const shown = rows.slice(0, DIGEST_SECTION_LIMIT).map(r => `- ${r.filter(v => v !== "").join(" | ")}`);
+    if (rows.length > DIGEST_SECTION_LIMIT) shown.push(`...and ${rows.length - DIGEST_SECTION_LIMIT} more`);
+    textParts.push(`${title}\n${rows.length > 0 ? shown.join("\n") : emptyText}`);
+  });
+  textParts.push(ss.getUrl());
+
+  return {
+    subject: `FundingFlock.AI pipeline digest (${formatDate(now)}): ${statusChanges.length} status change(s), ${newProposals.length} new proposal(s)`,
+    htmlBody: htmlParts.join("\n"),
+    textBody: textParts.join("\n\n"),
+    counts: { statusChanges: statusChanges.length, newProposals: newProposals.length, upcomingDates: upcomingDates.length, staleItems: staleItems.length }
+  };
+}
+
+/**
+ * Reads the headline numbers from the Dashboard scorecards, as displayed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {Array<{label: string, value: string}>} Empty when there is no Dashboard.
+ * @private
+ */
+function _readDigestScorecards(ss) {
+  const dashboardSheet = ss.getSheetByName(DASHBOARD_TAB_NAME);
+  if (!dashboardSheet) return [];
+  // Each scorecard's label sits in the cell left of its value (see _createScorecard in Dashboard.js).
+  return Object.values(DASHBOARD_SCORECARD_CELLS).map(cell => {
+    const valueRange = dashboardSheet.getRange(cell);
+    return { label: valueRange.offset(0, -1).getDisplayValue(), value: valueRange.getDisplayValue() };
+  }).filter(c => c.label);
+}
+
+/**
+ * @param {{title: string, headers: string[], rows: Array<Array<*>>, emptyText: string}} section
+ * @returns {string} The section as an HTML heading and table, capped at DIGEST_SECTION_LIMIT rows.
+ * @private
+ */
+function _buildDigestSectionHtml(section) {
+  const heading = `<h3 style="color: ${BRAND_COLORS.CAROLINA_BLUE}; margin-bottom: 6px;">${_escapeDigestHtml(section.title)} (${section.rows.length})</h3>`;
+  if (section.rows.length === 0) return `${heading}<p style="margin-top: 0;">${_escapeDigestHtml(section.emptyText)}</p>`;
+  const cellStyle = `border: 1px solid ${BRAND_COLORS.MEDIUM_GREY_BORDER}; padding: 4px 8px; text-align: left;`;
+  const headerRow = `<tr>${section.headers.map(h => `<th style="${cellStyle} background: ${BRAND_COLORS.PALE_ORANGE};">${_escapeDigestHtml(h)}</th>`).join("")}</tr>`;
+  const bodyRows = section.rows.slice(0, DIGEST_SECTION_LIMIT)
+    .map(r => `<tr>${r.map(v => `<td style="${cellStyle}">${_escapeDigestHtml(v)}</td>`).join("")}</tr>`);
+  const more = section.rows.length > DIGEST_SECTION_LIMIT ? `<p>...and ${section.rows.length - DIGEST_SECTION_LIMIT} more in the tracker.</p>` : "";
+  return `${heading}<table style="border-collapse: collapse; width: 100%; font-size: 13px;">${headerRow}${bodyRows.join("")}</table>${more}`;
+}
+
+/**
+ * @param {*} value A cell value.
+ * @returns {Date|null} The value as a Date, or null if it is blank or not a date.
+ * @private
+ */
+function _digestDate(value) {
+  if (value === "" || value === null || typeof value === 'undefined') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {*} amount
+ * @returns {string} The amount as "$25,000", or "" when blank.
+ * @private
+ */
+function _formatDigestAmount(amount) {
+  if (amount === "" || amount === null || isNaN(Number(amount))) return "";
+  return `$${Number(amount).toLocaleString("en-US")}`;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} The value with HTML special characters escaped.
+ * @private
+ */
+function _escapeDigestHtml(value) {
+  return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
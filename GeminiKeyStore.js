@@ -0,0 +1,216 @@
+/**
+ * @file The Gemini API key store. The key lives in one place: script properties (GEMINI_API_KEY_PROPERTY),
+ * shared by everyone using this script and read by the time-driven triggers. Older versions stored it per user;
+ * such a key is moved to script properties the first time it is read. A key is only saved after a live test
+ * call succeeds, and the AI-active state (AI_FEATURES_ACTIVE_PROPERTY) is checked by _processingEngine.
+ */
+
+/**
+ * Returns the stored Gemini API key, moving a key left in user properties by older versions if needed.
+ * @param {GoogleAppsScript.Properties.Properties} [scriptProperties] Defaults to the script's properties.
+ * @returns {string} The key, or "" if none is set.
+ */
+function getGeminiApiKey(scriptProperties) {
+  const props = scriptProperties || PropertiesService.getScriptProperties();
+  const apiKey = String(props.getProperty(GEMINI_API_KEY_PROPERTY) || "").trim();
+  return apiKey || _migrateUserGeminiApiKey(props);
+}
+
+/**
+ * Runs a minimal live request with a key through _callGeminiAPI.
+ * @param {string} apiKey
+ * @returns {boolean} True if Gemini answered.
+ */
+function testGeminiApiKey(apiKey) {
+  const reply = _callGeminiAPI('Reply with exactly this JSON and nothing else: {"ok": true}', apiKey, { maxAttempts: 1, logContext: "GEMINI_KEY_TEST" }); // From GeminiService.js
+  return reply !== null;
+}
+
+/**
+ * Tests a key and, if it works, stores it (replacing any previous key) and marks AI features active.
+ * A key that fails the test is not stored, so the previous key keeps working.
+ * @param {string} apiKey
+ * @returns {{maskedKey: string, rotated: boolean}} The saved key, masked, and whether it replaced another key.
+ * @throws {Error} If the key is malformed or the live test fails.
+ */
+function saveGeminiApiKey(apiKey) {
+  const key = String(apiKey || "").trim();
+  if (key.length < GEMINI_API_KEY_MIN_LENGTH || /\s/.test(key)) {
+    throw new Error(`That does not look like a Gemini API key (at least ${GEMINI_API_KEY_MIN_LENGTH} characters, no spaces).`);
+  }
+  if (!testGeminiApiKey(key)) {
+    throw new Error("The test call to Gemini failed, so the key was not saved. Check the key and that the Generative Language API is enabled for it, or try again in a minute. Details are in the logs.");
+  }
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const previousKey = String(scriptProperties.getProperty(GEMINI_API_KEY_PROPERTY) || "").trim();
+  scriptProperties.setProperties({
+    [GEMINI_API_KEY_PROPERTY]: key,
+    [GEMINI_KEY_VALIDATED_AT_PROPERTY]: new Date().toISOString(),
+    [AI_FEATURES_ACTIVE_PROPERTY]: 'true'
+  });
+  _deleteUserGeminiApiKeys();
+  Logger.log(`[GEMINI_KEY_STORE] Gemini API key ${previousKey ? `rotated from ${maskSecret(previousKey)} to` : "set to"} ${maskSecret(key)}.`);
+  return { maskedKey: maskSecret(key), rotated: !!previousKey && previousKey !== key };
+}
+
+/**
+ * Removes the Gemini API key, including copies older versions left in user properties.
+ * @returns {boolean} True if a key was stored.
+ */
+function removeGeminiApiKey() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const existed = !!getGeminiApiKey(scriptProperties);
+  [GEMINI_API_KEY_PROPERTY, GEMINI_KEY_VALIDATED_AT_PROPERTY, AI_FEATURES_ACTIVE_PROPERTY].forEach(p => scriptProperties.deleteProperty(p));
+  _deleteUserGeminiApiKeys();
+  Logger.log(`[GEMINI_KEY_STORE] Gemini API key removed.`);
+  return existed;
+}
+
+/**
+ * Describes whether AI parsing is on. It is active when the provider is configured (for Gemini: a key is
+ * stored) and AI features were not turned off after a failed key test.
+ * @param {GoogleAppsScript.Properties.Properties} [scriptProperties] Defaults to the script's properties.
+ * @param {{provider: string, endpoint: string, apiKey: string}} [llmConfig] Defaults to getLlmProviderConfig().
+ * @returns {{active: boolean, provider: string, maskedKey: string, validatedAt: string, reason: string}}
+ */
+function getAiFeaturesState(scriptProperties, llmConfig) {
+  const props = scriptProperties || PropertiesService.getScriptProperties();
+  const config = llmConfig || getLlmProviderConfig(props); // From LlmProviders.js
+  const apiKey = getGeminiApiKey(props);
+  const state = {
+    active: false,
+    provider: config.provider,
+    maskedKey: apiKey ? maskSecret(apiKey) : "",
+    validatedAt: String(props.getProperty(GEMINI_KEY_VALIDATED_AT_PROPERTY) || ""),
+    reason: ""
+  };
+  if (!isLlmConfigured(config)) {
+    state.reason = config.provider === LLM_PROVIDERS.GEMINI ? "No Gemini API key is set." : `Provider "${config.provider}" is missing its endpoint or API key.`;
+  } else if (props.getProperty(AI_FEATURES_ACTIVE_PROPERTY) === 'false') {
+    state.reason = "AI features were turned off because the key failed its last test. Set the key again to turn them back on.";
+  } else {
+    state.active = true;
+  }
+  return state;
+}
+
+/**
+ * @param {string} value A key, token or other secret.
+ * @returns {string} The first and last four characters, e.g. "AIza…x9Qk"; shorter values are fully hidden.
+ */
+function maskSecret(value) {
+  const text = String(value || "");
+  return text.length <= 12 ? "••••" : `${text.substring(0, 4)}…${text.substring(text.length - 4)}`;
+}
+
+/**
+ * Menu action: shows the current key (masked) and AI state, then tests and saves a new key. Entering a key
+ * while one is stored rotates it; the old key stays in place if the new one fails its test.
+ */
+function setSharedGeminiApiKey_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const state = getAiFeaturesState();
+  const response = ui.prompt('Set Gemini API Key',
+    `${_describeAiFeaturesState(state)}\n\nPaste a ${state.maskedKey ? "new " : ""}Gemini API key. It is tested with a live call before it is saved, ` +
+    `and stored in script properties: shared by everyone using this spreadsheet's script and used by the scheduled runs.`,
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  if (!response.getResponseText().trim()) {
+    ui.alert('Set Gemini API Key', 'No key entered. Nothing was changed.', ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const result = saveGeminiApiKey(response.getResponseText());
+    ui.alert('Gemini API Key Saved', `The key ${result.maskedKey} passed a live test and ${result.rotated ? "replaced the previous key" : "is now in use"}. AI features are active.`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Gemini API Key Not Saved', `${e.message}${state.maskedKey ? `\n\nThe current key ${state.maskedKey} is unchanged.` : ""}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu action: removes the Gemini API key after confirmation. Email processing continues with the keyword parser.
+ */
+function removeGeminiApiKey_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const state = getAiFeaturesState();
+  if (!state.maskedKey) {
+    ui.alert('Remove Gemini API Key', 'No Gemini API key is stored.', ui.ButtonSet.OK);
+    return;
+  }
+  const confirm = ui.alert('Remove Gemini API Key', `Remove the key ${state.maskedKey}? Proposal emails will be parsed with keywords only until a new key is set.`, ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) return;
+  removeGeminiApiKey();
+  ui.alert('Remove Gemini API Key', 'The key was removed. AI features are off.', ui.ButtonSet.OK);
+}
+
+/**
+ * Menu action: shows the AI state and the current user's properties, with keys, tokens and secrets masked.
+ */
+function showAllUserProperties() {
+  const ui = SpreadsheetApp.getUi();
+  const userProperties = PropertiesService.getUserProperties().getProperties();
+  const lines = Object.keys(userProperties).sort().map(name => `${name} = ${_displayPropertyValue(name, userProperties[name])}`);
+  const message = `${_describeAiFeaturesState(getAiFeaturesState())}\n\nUser properties (your account only):\n${lines.length > 0 ? lines.join("\n") : "(none)"}`;
+  ui.alert('User Properties', message.substring(0, 1500), ui.ButtonSet.OK);
+}
+
+/**
+ * @param {{active: boolean, provider: string, maskedKey: string, validatedAt: string, reason: string}} state
+ * @returns {string} A short summary of the AI state and stored key for the dialogs.
+ * @private
+ */
+function _describeAiFeaturesState(state) {
+  const key = state.maskedKey ? `Gemini key: ${state.maskedKey}${state.validatedAt ? ` (last tested ${state.validatedAt.substring(0, 10)})` : ""}` : "Gemini key: none";
+  return `AI features: ${state.active ? "ACTIVE" : "NOT ACTIVE"} (provider: ${state.provider})\n${key}${state.active ? "" : `\n${state.reason}`}`;
+}
+
+/**
+ * @param {string} name A property name.
+ * @param {string} value Its value.
+ * @returns {string} The value for display: API tokens listed without their secrets, other secrets masked.
+ * @private
+ */
+function _displayPropertyValue(name, value) {
+  if (name === API_TOKENS_PROPERTY) {
+    try {
+      const tokens = JSON.parse(value || "{}");
+      return `${Object.keys(tokens).length} token(s): ` + Object.entries(tokens).map(([id, t]) => `${id.substring(0, 8)}… (created ${String(t.createdAt).substring(0, 10)})`).join(", ");
+    } catch (e) {
+      return maskSecret(value);
+    }
+  }
+  if (/KEY|TOKEN|SECRET|PASSWORD/i.test(name)) return maskSecret(value);
+  const text = String(value);
+  return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+}
+
+/**
+ * Moves a key stored in user properties by an older version to script properties.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @returns {string} The moved key, or "".
+ * @private
+ */
+function _migrateUserGeminiApiKey(scriptProperties) {
+  let userProperties;
+  try { userProperties = PropertiesService.getUserProperties(); } catch (e) { return ""; }
+  const legacyName = GEMINI_API_KEY_LEGACY_USER_PROPERTIES.find(name => String(userProperties.getProperty(name) || "").trim());
+  if (!legacyName) return "";
+  const apiKey = String(userProperties.getProperty(legacyName)).trim();
+  scriptProperties.setProperty(GEMINI_API_KEY_PROPERTY, apiKey);
+  _deleteUserGeminiApiKeys();
+  Logger.log(`[GEMINI_KEY_STORE] Moved the Gemini API key ${maskSecret(apiKey)} from user properties to script properties.`);
+  return apiKey;
+}
+
+/**
+ * Deletes the per-user key copies older versions kept, so they cannot be moved back over a newer key.
+ * @private
+ */
+function _deleteUserGeminiApiKeys() {
+  try {
+    const userProperties = PropertiesService.getUserProperties();
+    GEMINI_API_KEY_LEGACY_USER_PROPERTIES.forEach(name => userProperties.deleteProperty(name));
+  } catch (e) {
+    Logger.log(`[GEMINI_KEY_STORE WARN] Could not clear user-scoped key copies: ${e.message}`);
+  }
+}
@@ -1,10 +1,11 @@
 /**
- * @file Handles all interactions with the Google Gemini API for
- * AI-powered parsing of email content to extract job application details and job leads.
+ * @file Builds the parsing prompts for AI-powered extraction of grant proposal details and funding
+ * opportunities. Prompts are sent through the provider layer (LlmProviders.js); Gemini is the default provider.
  */
 
 /**
- * Private function to handle the core Gemini API call with retry logic.
+ * Private function to call the Gemini API directly with a bare API key, regardless of the configured provider.
+ * Delegates to the shared provider layer in LlmProviders.js.
  * @param {string} prompt The complete prompt to send to the API.
  * @param {string} apiKey The user's Gemini API key.
  * @param {object} options Additional options for the API call.
@@ -12,86 +13,74 @@
  * @private
  */
 function _callGeminiAPI(prompt, apiKey, options = {}) {
-  const { maxAttempts = 2, logContext = "GEMINI_API" } = options;
-  const API_ENDPOINT = GEMINI_API_ENDPOINT_TEXT_ONLY + "?key=" + apiKey;
+  return callLlmForJson(prompt, _resolveLlmConfig(apiKey), { logContext: "GEMINI_API", ...options });
+}
 
-  const payload = {
-    "contents": [{"parts": [{"text": prompt}]}],
-    "generationConfig": { "temperature": 0.2, "maxOutputTokens": 8192, "topP": 0.95, "topK": 40 },
-    "safetySettings": [
-      { "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
-      { "category": "HARM_CATEGORY_HATE_SPEECH", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
-      { "category": "HARM_CATEGORY_SEXUALLY_EXPLICIT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
-      { "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" }
-    ]
-  };
-  const fetchOptions = {'method':'post', 'contentType':'application/json', 'payload':JSON.stringify(payload), 'muteHttpExceptions':true};
+/**
+ * Calls the Gemini API to parse grant proposal details from an email.
+ * @param {string} emailSubject The subject of the email.
+ * @param {string} emailBody The plain text body of the email.
+ * @param {string|object} llmConfig The provider config from getLlmProviderConfig(), or a bare Gemini API key.
+ * @returns {{funderName: string, proposalTitle: string, submissionStatus: string, amountRequested: number|null, amountAwarded: number|null, loiDueDate: Date|null, proposalDeadline: Date|null, decisionDate: Date|null, reportDueDate: Date|null}|null} Parsed details or null on failure.
+ */
+function callGemini_forProposalStatus(emailSubject, emailBody, llmConfig) {
+  if (!llmConfig || (!emailSubject && !emailBody)) {
+    Logger.log("[GEMINI_SERVICE] AI provider config or email content is empty. Skipping AI call.");
+    return null;
+  }
 
-  if(DEBUG_MODE) Logger.log(`[DEBUG] ${logContext}: Calling API. Prompt len (approx): ${prompt.length}`);
+  const bodySnippet = emailBody ? emailBody.substring(0, getConfigValue('EMAIL_BODY_MAX_CHARS')) : "";
+  // The allowed statuses and their hints come from the Settings sheet (StatusSettings.js).
+  const instruction = GEMINI_SYSTEM_INSTRUCTION_PROPOSAL_TRACKER.replace("{{STATUS_OPTIONS}}", buildStatusPromptOptions());
+  const prompt = `${instruction}
 
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const response = UrlFetchApp.fetch(API_ENDPOINT, fetchOptions);
-      const responseCode = response.getResponseCode();
-      const responseBody = response.getContentText();
+--- EMAIL TO PROCESS START ---
+Subject: ${emailSubject}
+Body:
+${bodySnippet}
+--- EMAIL TO PROCESS END ---
 
-      if(DEBUG_MODE) Logger.log(`[DEBUG] ${logContext} (Attempt ${attempt}): RC: ${responseCode}. Body(start): ${responseBody.substring(0,200)}`);
+JSON Output:
+`;
 
-      if (responseCode === 200) {
-        const jsonResponse = JSON.parse(responseBody);
-        if (jsonResponse.candidates && jsonResponse.candidates[0]?.content?.parts?.[0]?.text) {
-          let extractedJsonString = jsonResponse.candidates[0].content.parts[0].text.trim();
-          if (extractedJsonString.startsWith("```json")) extractedJsonString = extractedJsonString.substring(7).trim();
-          if (extractedJsonString.startsWith("```")) extractedJsonString = extractedJsonString.substring(3).trim();
-          if (extractedJsonString.endsWith("```")) extractedJsonString = extractedJsonString.substring(0, extractedJsonString.length - 3).trim();
+  // Validated against the proposal schema (status enum, lengths, numeric amounts), with one repair re-prompt.
+  const extractedData = callLlmForValidatedJson(prompt, _resolveLlmConfig(llmConfig), buildProposalResponseSchema(), { logContext: "GEMINI_PARSE_PROPOSAL" });
 
-          if(DEBUG_MODE) Logger.log(`[DEBUG] ${logContext}: Cleaned JSON from API: ${extractedJsonString}`);
-          try {
-            return JSON.parse(extractedJsonString);
-          } catch (e) {
-            Logger.log(`[ERROR] ${logContext}: Error parsing JSON: ${e.toString()}\nString: >>>${extractedJsonString}<<<`);
-            return null;
-          }
-        } else {
-          Logger.log(`[ERROR] ${logContext}: API response structure unexpected. Body (start): ${responseBody.substring(0,500)}`);
-          return null;
-        }
-      } else if (responseCode === 429) {
-        Logger.log(`[WARN] ${logContext}: Rate limit (429). Attempt ${attempt}/${maxAttempts}. Waiting...`);
-        if (attempt < maxAttempts) {
-          Utilities.sleep(5000 + Math.floor(Math.random() * 5000));
-        }
-      } else {
-        Logger.log(`[ERROR] ${logContext}: API HTTP error. Code: ${responseCode}. Body (start): ${responseBody.substring(0,500)}`);
-        return null;
-      }
-    } catch (e) {
-      Logger.log(`[ERROR] ${logContext}: Exception during API call (Attempt ${attempt}): ${e.toString()}\nStack: ${e.stack}`);
-      if (attempt < maxAttempts) {
-        Utilities.sleep(3000);
-      }
-    }
+  if (extractedData) {
+    Logger.log(`[GEMINI_SERVICE] Success. F:"${extractedData.funderName}", T:"${extractedData.proposalTitle}", S:"${extractedData.submissionStatus}"`);
+    return {
+        funderName: extractedData.funderName || MANUAL_REVIEW_NEEDED,
+        proposalTitle: extractedData.proposalTitle || MANUAL_REVIEW_NEEDED,
+        submissionStatus: extractedData.submissionStatus || MANUAL_REVIEW_NEEDED,
+        amountRequested: parseCurrencyAmount(extractedData.amountRequested), // From ParsingUtils.js
+        amountAwarded: parseCurrencyAmount(extractedData.amountAwarded),
+        loiDueDate: parseDateString(extractedData.loiDueDate), // From ParsingUtils.js
+        proposalDeadline: parseDateString(extractedData.proposalDeadline),
+        decisionDate: parseDateString(extractedData.decisionDate),
+        reportDueDate: parseDateString(extractedData.reportDueDate)
+    };
+  } else {
+    // Returning null (rather than a Manual Review result) lets _processingEngine fall back to the keyword parser.
+    Logger.log(`[GEMINI_SERVICE] WARN: AI call failed or reply did not pass schema validation.`);
+    return null;
   }
-
-  Logger.log(`[ERROR] ${logContext}: Failed after ${maxAttempts} attempts.`);
-  return null;
 }
 
 /**
- * Calls the Gemini API to parse grant proposal details from an email.
+ * Calls the Gemini API to extract a list of funding opportunities from an RFP alert email.
  * @param {string} emailSubject The subject of the email.
  * @param {string} emailBody The plain text body of the email.
- * @param {string} apiKey The Gemini API key.
- * @returns {{funderName: string, proposalTitle: string, submissionStatus: string}|null} Parsed details or null on failure.
+ * @param {string|object} llmConfig The provider config from getLlmProviderConfig(), or a bare Gemini API key.
+ * @returns {Array<{funderName: string, programName: string, deadline: string, awardRange: string, eligibility: string, url: string}>|null} Parsed opportunities (possibly empty) or null on failure.
  */
-function callGemini_forProposalStatus(emailSubject, emailBody, apiKey) {
-  if (!apiKey || (!emailSubject && !emailBody)) {
-    Logger.log("[GEMINI_SERVICE] API Key or email content is empty. Skipping Gemini call.");
+function callGemini_forOpportunities(emailSubject, emailBody, llmConfig) {
+  if (!llmConfig || (!emailSubject && !emailBody)) {
+    Logger.log("[GEMINI_SERVICE] AI provider config or email content is empty. Skipping AI call.");
     return null;
   }
 
-  const bodySnippet = emailBody ? emailBody.substring(0, 12000) : "";
-  const prompt = `${GEMINI_SYSTEM_INSTRUCTION_PROPOSAL_TRACKER}
+  const bodySnippet = emailBody ? emailBody.substring(0, getConfigValue('EMAIL_BODY_MAX_CHARS')) : "";
+  const prompt = `${GEMINI_SYSTEM_INSTRUCTION_OPPORTUNITIES_PARSER}
 
 --- EMAIL TO PROCESS START ---
 Subject: ${emailSubject}
@@ -102,17 +91,24 @@ ${bodySnippet}
 JSON Output:
 `;
 
-  const extractedData = _callGeminiAPI(prompt, apiKey, { logContext: "GEMINI_PARSE_PROPOSAL" });
+  const extractedData = callLlmForValidatedJson(prompt, _resolveLlmConfig(llmConfig), OPPORTUNITIES_RESPONSE_SCHEMA, { logContext: "GEMINI_PARSE_OPPORTUNITIES" });
 
-  if (extractedData && typeof extractedData.funderName !== 'undefined' && typeof extractedData.proposalTitle !== 'undefined' && typeof extractedData.submissionStatus !== 'undefined') {
-    Logger.log(`[GEMINI_SERVICE] Success. F:"${extractedData.funderName}", T:"${extractedData.proposalTitle}", S:"${extractedData.submissionStatus}"`);
-    return {
-        funderName: extractedData.funderName || MANUAL_REVIEW_NEEDED,
-        proposalTitle: extractedData.proposalTitle || MANUAL_REVIEW_NEEDED,
-        submissionStatus: extractedData.submissionStatus || MANUAL_REVIEW_NEEDED
-    };
+  if (Array.isArray(extractedData)) {
+    const opportunities = extractedData
+      .filter(o => o && typeof o === 'object')
+      .map(o => ({
+        funderName: String(o.funderName || "N/A").trim(),
+        programName: String(o.programName || "N/A").trim(),
+        deadline: String(o.deadline || "N/A").trim(),
+        awardRange: String(o.awardRange || "N/A").trim(),
+        eligibility: String(o.eligibility || "N/A").trim(),
+        url: String(o.url || "N/A").trim()
+      }))
+      .filter(o => o.funderName !== "N/A" || o.programName !== "N/A");
+    Logger.log(`[GEMINI_SERVICE] Success. Extracted ${opportunities.length} opportunities.`);
+    return opportunities;
   } else {
-    Logger.log(`[GEMINI_SERVICE] WARN: JSON from Gemini missing fields or API call failed. Output: ${JSON.stringify(extractedData)}`);
-    return {funderName:MANUAL_REVIEW_NEEDED, proposalTitle:MANUAL_REVIEW_NEEDED, submissionStatus:MANUAL_REVIEW_NEEDED};
+    Logger.log(`[GEMINI_SERVICE] WARN: Expected a JSON array of opportunities from Gemini. Output: ${JSON.stringify(extractedData)}`);
+    return null;
   }
 }
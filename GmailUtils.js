@@ -49,12 +49,13 @@ function getOrCreateLabel(labelName) {
  * @param {GoogleAppsScript.Gmail.GmailLabel} processingLabel - The label indicating threads are being processed.
  * @param {GoogleAppsScript.Gmail.GmailLabel} processedLabelObj - The label for successfully processed threads.
  * @param {GoogleAppsScript.Gmail.GmailLabel} manualReviewLabelObj - The label for threads requiring manual review.
+ * @returns {number} The number of threads whose labels could not be fully changed.
  */
 function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, manualReviewLabelObj) {
   const threadIdsToUpdate = Object.keys(threadOutcomes);
   if (threadIdsToUpdate.length === 0) {
     Logger.log("[INFO] LABEL_MGMT: No thread outcomes to process for final labeling.");
-    return;
+    return 0;
   }
   Logger.log(`[INFO] LABEL_MGMT: Applying final labels for ${threadIdsToUpdate.length} threads.`);
   let successfulLabelChanges = 0;
@@ -63,15 +64,15 @@ function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, ma
   // Validate label objects before proceeding
   if (!processingLabel || typeof processingLabel.getName !== 'function') {
     Logger.log(`[ERROR] LABEL_MGMT: Invalid 'processingLabel' object provided. Aborting label application.`);
-    return;
+    return threadIdsToUpdate.length;
   }
   if (!processedLabelObj || typeof processedLabelObj.getName !== 'function') {
     Logger.log(`[ERROR] LABEL_MGMT: Invalid 'processedLabelObj' object provided. Aborting label application.`);
-    return;
+    return threadIdsToUpdate.length;
   }
   if (!manualReviewLabelObj || typeof manualReviewLabelObj.getName !== 'function') {
     Logger.log(`[ERROR] LABEL_MGMT: Invalid 'manualReviewLabelObj' object provided. Aborting label application.`);
-    return;
+    return threadIdsToUpdate.length;
   }
 
   const toProcessLabelName = processingLabel.getName(); // Get name once
@@ -100,6 +101,7 @@ function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, ma
           labelsActuallyChangedThisThread = true;
         } catch (eRem) {
           Logger.log(`[WARN] LABEL_MGMT: Failed to remove "${toProcessLabelName}" from thread ${threadId}: ${eRem.message}`);
+          labelErrors++;
           // Continue to attempt adding the target label
         }
       }
@@ -130,4 +132,5 @@ function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, ma
     }
   }
   Logger.log(`[INFO] LABEL_MGMT: Finished applying final labels. Success changes/verified: ${successfulLabelChanges}. Errors: ${labelErrors}.`);
+  return labelErrors;
 }
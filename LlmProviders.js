@@ -0,0 +1,247 @@
+/**
+ * @file Pluggable LLM provider layer. Every parser sends a prompt through callLlmForJson() or, for
+ * schema-checked replies, callLlmForValidatedJson(). Both dispatch to the adapter selected in script
+ * properties (Gemini, an OpenAI-compatible chat-completions endpoint, or a self-hosted Ollama server).
+ */
+
+/**
+ * Reads the active LLM provider settings from script properties.
+ * Gemini is the default; other providers are selected with the LLM_PROVIDER_PROPERTY.
+ * @param {GoogleAppsScript.Properties.Properties} [scriptProperties] Defaults to the script's properties.
+ * @returns {{provider: string, endpoint: string, model: string, apiKey: string}} The provider config.
+ */
+function getLlmProviderConfig(scriptProperties) {
+  const props = scriptProperties || PropertiesService.getScriptProperties();
+  const provider = String(props.getProperty(LLM_PROVIDER_PROPERTY) || LLM_PROVIDERS.GEMINI).trim().toLowerCase();
+  return {
+    provider: provider,
+    endpoint: String(props.getProperty(LLM_ENDPOINT_PROPERTY) || "").trim(),
+    model: String(props.getProperty(LLM_MODEL_PROPERTY) || "").trim(),
+    apiKey: provider === LLM_PROVIDERS.GEMINI ? getGeminiApiKey(props) : String(props.getProperty(LLM_API_KEY_PROPERTY) || "").trim() // From GeminiKeyStore.js
+  };
+}
+
+/**
+ * Checks whether a provider config has everything its adapter needs to make a call.
+ * @param {{provider: string, endpoint: string, apiKey: string}} llmConfig
+ * @returns {boolean} True if AI parsing can be attempted.
+ */
+function isLlmConfigured(llmConfig) {
+  if (!llmConfig) return false;
+  switch (llmConfig.provider) {
+    case LLM_PROVIDERS.GEMINI: return !!llmConfig.apiKey;
+    case LLM_PROVIDERS.OPENAI: return !!llmConfig.apiKey || !!llmConfig.endpoint; // Compatible servers may not need a key.
+    case LLM_PROVIDERS.OLLAMA: return !!llmConfig.endpoint;
+    default:
+      Logger.log(`[LLM_PROVIDERS WARN] Unknown provider "${llmConfig.provider}".`);
+      return false;
+  }
+}
+
+/**
+ * Accepts either a provider config or a bare Gemini API key (the original calling convention).
+ * @param {string|object} keyOrConfig
+ * @returns {{provider: string, endpoint: string, model: string, apiKey: string}}
+ * @private
+ */
+function _resolveLlmConfig(keyOrConfig) {
+  if (keyOrConfig && typeof keyOrConfig === 'object') return keyOrConfig;
+  return { provider: LLM_PROVIDERS.GEMINI, endpoint: "", model: "", apiKey: String(keyOrConfig || "") };
+}
+
+/**
+ * Adapters translate the common "prompt in, text out" contract into each provider's REST shape.
+ * buildRequest returns the URL and UrlFetchApp options; extractText pulls the model output from the response JSON.
+ * @private
+ */
+const LLM_PROVIDER_ADAPTERS = {
+  [LLM_PROVIDERS.GEMINI]: {
+    buildRequest(prompt, cfg, responseSchema) {
+      const endpoint = cfg.endpoint || (cfg.model ? `${GEMINI_API_BASE_URL}/${cfg.model}:generateContent` : getConfigValue('GEMINI_API_ENDPOINT'));
+      const payload = {
+        "contents": [{"parts": [{"text": prompt}]}],
+        "generationConfig": { "temperature": 0.2, "maxOutputTokens": 8192, "topP": 0.95, "topK": 40 },
+        "safetySettings": [
+          { "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
+          { "category": "HARM_CATEGORY_HATE_SPEECH", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
+          { "category": "HARM_CATEGORY_SEXUALLY_EXPLICIT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
+          { "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" }
+        ]
+      };
+      if (responseSchema) {
+        // JSON response mode: Gemini constrains its output to the schema instead of free text.
+        payload.generationConfig.responseMimeType = "application/json";
+        payload.generationConfig.responseSchema = toProviderSchema(responseSchema, LLM_PROVIDERS.GEMINI);
+      }
+      return { url: `${endpoint}?key=${cfg.apiKey}`, payload: payload, headers: {} };
+    },
+    extractText(json) {
+      return json.candidates?.[0]?.content?.parts?.[0]?.text || null;
+    }
+  },
+  [LLM_PROVIDERS.OPENAI]: {
+    buildRequest(prompt, cfg, responseSchema) {
+      const payload = {
+        "model": cfg.model || OPENAI_DEFAULT_MODEL,
+        "messages": [{ "role": "user", "content": prompt }],
+        "temperature": 0.2
+      };
+      // json_object mode is the widely supported subset among compatible servers, and it only applies to objects.
+      if (responseSchema && responseSchema.type === "OBJECT") payload.response_format = { "type": "json_object" };
+      const headers = cfg.apiKey ? { "Authorization": `Bearer ${cfg.apiKey}` } : {};
+      return { url: cfg.endpoint || OPENAI_DEFAULT_ENDPOINT, payload: payload, headers: headers };
+    },
+    extractText(json) {
+      return json.choices?.[0]?.message?.content || null;
+    }
+  },
+  [LLM_PROVIDERS.OLLAMA]: {
+    buildRequest(prompt, cfg, responseSchema) {
+      const payload = {
+        "model": cfg.model || OLLAMA_DEFAULT_MODEL,
+        "messages": [{ "role": "user", "content": prompt }],
+        "stream": false,
+        "options": { "temperature": 0.2 }
+      };
+      if (responseSchema) payload.format = toProviderSchema(responseSchema, LLM_PROVIDERS.OLLAMA);
+      const headers = cfg.apiKey ? { "Authorization": `Bearer ${cfg.apiKey}` } : {};
+      const endpoint = cfg.endpoint.replace(/\/+$/, "");
+      return { url: endpoint + (/\/api\/chat$/.test(endpoint) ? "" : "/api/chat"), payload: payload, headers: headers };
+    },
+    extractText(json) {
+      return json.message?.content || null;
+    }
+  }
+};
+
+/**
+ * Sends a prompt to the configured provider and returns the model's raw text reply, with retry on rate limits.
+ * @param {string} prompt The complete prompt to send.
+ * @param {{provider: string, endpoint: string, model: string, apiKey: string}} llmConfig The provider config.
+ * @param {object} [options] Additional options for the call.
+ * @param {number} [options.maxAttempts=2] Attempts on rate limits or exceptions.
+ * @param {string} [options.logContext="LLM_API"] Prefix for log lines.
+ * @param {object} [options.responseSchema] Schema (ResponseSchemas.js) requesting structured output where supported.
+ * @returns {string|null} The model output, or null on a transport/API failure.
+ * @private
+ */
+function _callLlmForText(prompt, llmConfig, options = {}) {
+  const { maxAttempts = 2, logContext = "LLM_API", responseSchema = null } = options;
+  const adapter = llmConfig && LLM_PROVIDER_ADAPTERS[llmConfig.provider];
+  if (!adapter) {
+    Logger.log(`[ERROR] ${logContext}: No adapter for provider "${llmConfig && llmConfig.provider}".`);
+    return null;
+  }
+
+  const request = adapter.buildRequest(prompt, llmConfig, responseSchema);
+  const fetchOptions = {'method':'post', 'contentType':'application/json', 'headers':request.headers, 'payload':JSON.stringify(request.payload), 'muteHttpExceptions':true};
+
+  if(DEBUG_MODE) Logger.log(`[DEBUG] ${logContext}: Calling ${llmConfig.provider}. Prompt len (approx): ${prompt.length}`);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const response = UrlFetchApp.fetch(request.url, fetchOptions);
+      const responseCode = response.getResponseCode();
+      const responseBody = response.getContentText();
+
+      if(DEBUG_MODE) Logger.log(`[DEBUG] ${logContext} (Attempt ${attempt}): RC: ${responseCode}. Body(start): ${responseBody.substring(0,200)}`);
+
+      if (responseCode === 200) {
+        const text = adapter.extractText(JSON.parse(responseBody));
+        if (!text) {
+          Logger.log(`[ERROR] ${logContext}: API response structure unexpected. Body (start): ${responseBody.substring(0,500)}`);
+          return null;
+        }
+        return text;
+      } else if (responseCode === 429) {
+        Logger.log(`[WARN] ${logContext}: Rate limit (429). Attempt ${attempt}/${maxAttempts}. Waiting...`);
+        if (attempt < maxAttempts) {
+          Utilities.sleep(5000 + Math.floor(Math.random() * 5000));
+        }
+      } else {
+        Logger.log(`[ERROR] ${logContext}: API HTTP error. Code: ${responseCode}. Body (start): ${responseBody.substring(0,500)}`);
+        return null;
+      }
+    } catch (e) {
+      Logger.log(`[ERROR] ${logContext}: Exception during API call (Attempt ${attempt}): ${e.toString()}\nStack: ${e.stack}`);
+      if (attempt < maxAttempts) {
+        Utilities.sleep(3000);
+      }
+    }
+  }
+
+  Logger.log(`[ERROR] ${logContext}: Failed after ${maxAttempts} attempts.`);
+  return null;
+}
+
+/**
+ * Sends a prompt to the configured provider and parses the model's reply as JSON.
+ * @param {string} prompt The complete prompt to send.
+ * @param {{provider: string, endpoint: string, model: string, apiKey: string}} llmConfig The provider config.
+ * @param {object} [options] Same options as _callLlmForText.
+ * @returns {object|Array|null} The parsed JSON response or null on failure.
+ */
+function callLlmForJson(prompt, llmConfig, options = {}) {
+  const text = _callLlmForText(prompt, llmConfig, options);
+  return text === null ? null : _parseJsonFromModelText(text, options.logContext || "LLM_API");
+}
+
+/**
+ * Sends a prompt with a response schema, validates the reply locally and, if it is malformed or
+ * breaks the schema (e.g. a status outside the allowed list), re-prompts the model with the errors.
+ * @param {string} prompt The complete prompt to send.
+ * @param {{provider: string, endpoint: string, model: string, apiKey: string}} llmConfig The provider config.
+ * @param {object} schema The schema from ResponseSchemas.js.
+ * @param {object} [options] Same options as _callLlmForText.
+ * @returns {object|Array|null} The validated JSON, or null if the call failed or the reply was still invalid after repair.
+ */
+function callLlmForValidatedJson(prompt, llmConfig, schema, options = {}) {
+  const logContext = options.logContext || "LLM_API";
+  const callOptions = { ...options, responseSchema: schema };
+  let currentPrompt = prompt;
+
+  for (let repair = 0; repair <= MAX_AI_REPAIR_ATTEMPTS; repair++) {
+    const text = _callLlmForText(currentPrompt, llmConfig, callOptions);
+    if (text === null) return null; // Transport/API failure: a repair prompt would not help.
+
+    const parsed = _parseJsonFromModelText(text, logContext);
+    const errors = parsed === null ? ["The reply was not valid JSON."] : validateAgainstSchema(parsed, schema);
+    if (errors.length === 0) return parsed;
+
+    Logger.log(`[WARN] ${logContext}: Reply failed validation (repair ${repair}/${MAX_AI_REPAIR_ATTEMPTS}): ${errors.join(" ")}`);
+    currentPrompt = `${prompt}
+
+--- YOUR PREVIOUS REPLY ---
+${String(text).substring(0, 4000)}
+--- END PREVIOUS REPLY ---
+
+Your previous reply was invalid:
+- ${errors.join("\n- ")}
+Reply again with ONLY the corrected JSON.
+`;
+  }
+  Logger.log(`[ERROR] ${logContext}: Reply still invalid after ${MAX_AI_REPAIR_ATTEMPTS} repair attempt(s).`);
+  return null;
+}
+
+/**
+ * Strips Markdown code fences from a model reply and parses it as JSON.
+ * @param {string} text The raw model output.
+ * @param {string} logContext Prefix for log lines.
+ * @returns {object|Array|null} The parsed JSON or null if it is not valid JSON.
+ * @private
+ */
+function _parseJsonFromModelText(text, logContext) {
+  let extractedJsonString = String(text).trim();
+  if (extractedJsonString.startsWith("```json")) extractedJsonString = extractedJsonString.substring(7).trim();
+  if (extractedJsonString.startsWith("```")) extractedJsonString = extractedJsonString.substring(3).trim();
+  if (extractedJsonString.endsWith("```")) extractedJsonString = extractedJsonString.substring(0, extractedJsonString.length - 3).trim();
+
+  if(DEBUG_MODE) Logger.log(`[DEBUG] ${logContext}: Cleaned JSON from API: ${extractedJsonString}`);
+  try {
+    return JSON.parse(extractedJsonString);
+  } catch (e) {
+    Logger.log(`[ERROR] ${logContext}: Error parsing JSON: ${e.toString()}\nString: >>>${extractedJsonString}<<<`);
+    return null;
+  }
+}
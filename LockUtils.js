@@ -0,0 +1,24 @@
+/**
+ * @file Concurrency guard shared by everything that reads and then rewrites the data sheets.
+ */
+
+/**
+ * Runs a callback while holding the document lock (the script lock when there is no container document).
+ * Manual menu runs and scheduled triggers use this so they never interleave their reads and appends.
+ * @param {string} funcName The caller, for log lines.
+ * @param {function(): *} callback The work to run under the lock.
+ * @returns {{acquired: boolean, result: *}} acquired is false (and the callback is not run) if another run
+ *   kept the lock for longer than DOCUMENT_LOCK_WAIT_MS.
+ */
+function withDocumentLock(funcName, callback) {
+  const lock = LockService.getDocumentLock() || LockService.getScriptLock();
+  if (!lock.tryLock(DOCUMENT_LOCK_WAIT_MS)) {
+    Logger.log(`[${funcName} WARN] Another run is still in progress (document lock busy). Skipping this run.`);
+    return { acquired: false, result: undefined };
+  }
+  try {
+    return { acquired: true, result: callback() };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -5,17 +5,22 @@
  */
 
 /**
- * Checks if the critical configuration variables are set correctly.
+ * Checks if the critical configuration variables are set correctly, including the merged runtime
+ * configuration (defaults, document properties and the Config sheet).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [ss] The spreadsheet whose Config sheet to check. Defaults to the active one.
  * @returns {boolean} True if the configuration is valid, false otherwise.
  */
-function checkConfig() {
+function checkConfig(ss) {
     const FUNC_NAME = "checkConfig";
+    const runtimeConfig = ss ? loadRuntimeConfig(ss) : getRuntimeConfig(); // From RuntimeConfig.js
     // MASTER_WEB_APP_URL removed as it's not in the new config and part of a separate system.
     const criticalVars = {
         TEMPLATE_SHEET_ID,
         MASTER_SCRIPT_ID,
         GEMINI_API_KEY_PROPERTY,
-        GEMINI_API_ENDPOINT_TEXT_ONLY
+        GEMINI_API_ENDPOINT: runtimeConfig.values.GEMINI_API_ENDPOINT,
+        TRACKER_GMAIL_FILTER_QUERY: runtimeConfig.values.TRACKER_GMAIL_FILTER_QUERY,
+        OPPORTUNITIES_GMAIL_FILTER_QUERY: runtimeConfig.values.OPPORTUNITIES_GMAIL_FILTER_QUERY
     };
     let allClear = true;
     for (const [varName, varValue] of Object.entries(criticalVars)) {
@@ -24,6 +29,10 @@ function checkConfig() {
             allClear = false;
         }
     }
+    runtimeConfig.errors.forEach(err => {
+        Logger.log(`[${FUNC_NAME} CRITICAL] Invalid configuration override: ${err}`);
+        allClear = false;
+    });
     return allClear;
 }
 
@@ -36,7 +45,7 @@ function runFullProjectInitialSetup(passedSpreadsheet) {
     const RUNDATE = new Date().toISOString();
     const FUNC_NAME = "runFullProjectInitialSetup";
     Logger.log(`==== ${FUNC_NAME}: STARTING (FundingFlock.AI v2.0 - ${RUNDATE}) ====`);
-    if (!checkConfig()) {
+    if (!checkConfig(passedSpreadsheet && typeof passedSpreadsheet.getId === 'function' ? passedSpreadsheet : undefined)) {
         Logger.log(`[${FUNC_NAME} CRITICAL] Configuration check failed. Aborting setup.`);
         return { success: false, message: "Critical configuration is missing.", detailedMessages: ["Critical configuration is missing. Please check the logs."], sheetId: null, sheetUrl: null };
     }
@@ -73,6 +82,14 @@ function runFullProjectInitialSetup(passedSpreadsheet) {
         return { success: true, message: "Setup skipped: Target is template.", detailedMessages: [templateMsg], sheetId: activeSS.getId(), sheetUrl: activeSS.getUrl() };
     }
 
+    // A sheet set up by an older version keeps its recorded version; its pending steps run through "Upgrade this sheet".
+    const schemaStatus = getSchemaStatus(activeSS); // From Migrations.js
+    if (activeSS.getSheetByName(LEGACY_APP_TRACKER_SHEET_TAB_NAME) && !activeSS.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME)) {
+        const legacyMsg = `This sheet still has the old "${LEGACY_APP_TRACKER_SHEET_TAB_NAME}" layout. Run "Admin & Config > Upgrade this sheet" first so its data is carried over.`;
+        Logger.log(`[${FUNC_NAME} WARN] ${legacyMsg} Setup aborted.`);
+        return { success: false, message: legacyMsg, detailedMessages: [legacyMsg], sheetId: activeSS.getId(), sheetUrl: activeSS.getUrl() };
+    }
+
     // --- Dashboard & Helper sheets are created FIRST ---
     const dashboardSheet = getOrCreateDashboardSheet(activeSS);
     const helperSheet = getOrCreateHelperSheet(activeSS);
@@ -84,7 +101,14 @@ function runFullProjectInitialSetup(passedSpreadsheet) {
     }
 
 const modules = [
-    { name: "Proposal Tracker", setupFunc: initialSetup_LabelsAndSheet }
+    { name: "Proposal Tracker", setupFunc: initialSetup_LabelsAndSheet },
+    { name: "Opportunities", setupFunc: initialSetup_Opportunities },
+    { name: "Funder Aliases", setupFunc: initialSetup_FunderAliases },
+    { name: "Status Settings", setupFunc: initialSetup_StatusSettings },
+    { name: "Runtime Config", setupFunc: initialSetup_RuntimeConfig },
+    { name: "Pipeline Digest", setupFunc: initialSetup_PipelineDigest },
+    { name: "Status History", setupFunc: initialSetup_StatusHistory },
+    { name: "Processed Messages", setupFunc: initialSetup_ProcessedMessageLedger }
 ];
 
     for (const module of modules) {
@@ -126,14 +150,21 @@ const modules = [
     if (overallSuccess) {
         Logger.log(`[${FUNC_NAME} INFO] Applying final tab order and cleaning up...`);
         try {
-            // Clear dummy data from the Proposals sheet now that the dashboard is primed
+            // Remove the dummy rows now that the dashboard is primed; real proposals on a re-run are kept.
             const proposalSheet = activeSS.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
             if (proposalSheet && proposalSheet.getLastRow() > 1) {
-                proposalSheet.getRange(2, 1, proposalSheet.getLastRow() - 1, proposalSheet.getLastColumn()).clearContent();
-                Logger.log(`[${FUNC_NAME} INFO] Cleared dummy data from Proposals sheet.`);
+                const emailIds = proposalSheet.getRange(2, proposalCol('EMAIL_ID'), proposalSheet.getLastRow() - 1, 1).getValues();
+                let removed = 0;
+                for (let i = emailIds.length - 1; i >= 0; i--) {
+                    if (DUMMY_PROPOSAL_EMAIL_IDS.includes(String(emailIds[i][0]))) {
+                        proposalSheet.deleteRow(i + 2);
+                        removed++;
+                    }
+                }
+                if (removed > 0) Logger.log(`[${FUNC_NAME} INFO] Removed ${removed} dummy row(s) from Proposals sheet.`);
             }
 
-            const tabOrder = [DASHBOARD_TAB_NAME, PROPOSAL_TRACKER_SHEET_TAB_NAME, OPPORTUNITIES_SHEET_TAB_NAME, HELPER_SHEET_NAME];
+            const tabOrder = [DASHBOARD_TAB_NAME, PROPOSAL_TRACKER_SHEET_TAB_NAME, OPPORTUNITIES_SHEET_TAB_NAME, FUNDER_ALIAS_SHEET_TAB_NAME, SETTINGS_SHEET_TAB_NAME, CONFIG_SHEET_TAB_NAME, HELPER_SHEET_NAME, STATUS_HISTORY_SHEET_TAB_NAME, PROCESSED_MESSAGES_SHEET_TAB_NAME];
             tabOrder.forEach((sheetName, index) => {
                 const sheetToMove = activeSS.getSheetByName(sheetName);
                 if (sheetToMove) {
@@ -145,12 +176,26 @@ const modules = [
             if (helperSheet && !helperSheet.isSheetHidden()) {
                 helperSheet.hideSheet();
             }
+            [STATUS_HISTORY_SHEET_TAB_NAME, PROCESSED_MESSAGES_SHEET_TAB_NAME].forEach(sheetName => {
+                const hiddenSheet = activeSS.getSheetByName(sheetName);
+                if (hiddenSheet && !hiddenSheet.isSheetHidden()) {
+                    hiddenSheet.hideSheet();
+                }
+            });
             setupMessages.push("Branding: Tab order & helper data visibility verified.");
         } catch (e) {
             Logger.log(`[${FUNC_NAME} WARN] Error during final cleanup/ordering: ${e.message}`);
         }
     }
 
+    if (overallSuccess) {
+        if (!schemaStatus.setupDone) {
+            setSchemaVersion(getLatestSchemaVersion()); // From Migrations.js
+        } else if (schemaStatus.pending.length > 0) {
+            setupMessages.push(`Schema: this sheet is at version ${schemaStatus.version} of ${schemaStatus.latest}. Run "Admin & Config > Upgrade this sheet" to apply ${schemaStatus.pending.length} pending step(s).`);
+        }
+    }
+
     const finalStatusMessage = `FundingFlock.AI Full Setup ${overallSuccess ? "completed" : "had issues"}.`;
     Logger.log(`\n==== ${FUNC_NAME} SUMMARY (SS ID: ${activeSS.getId()}) ====`);
     setupMessages.forEach(msg => Logger.log(`  - ${msg}`));
@@ -181,149 +226,468 @@ function initialSetup_LabelsAndSheet(activeSS) {
         sheetHeaders: PROPOSAL_TRACKER_SHEET_HEADERS,
         // Create a generic width mapping based on the number of headers
         columnWidths: PROPOSAL_TRACKER_SHEET_HEADERS.map((h, i) => ({ col: i + 1, width: 150 })),
+        columnResolver: ensureProposalColumns, // From ColumnMap.js
         bandingTheme: SpreadsheetApp.BandingTheme.BLUE,
         tabColor: BRAND_COLORS.LAPIS_LAZULI,
         gmailLabelParent: MASTER_GMAIL_LABEL_PARENT,
         gmailLabelToProcess: TRACKER_GMAIL_LABEL_TO_PROCESS,
         gmailLabelProcessed: TRACKER_GMAIL_LABEL_PROCESSED,
         gmailLabelManualReview: TRACKER_GMAIL_LABEL_MANUAL_REVIEW,
-        gmailFilterQuery: TRACKER_GMAIL_FILTER_QUERY,
+        gmailFilterQuery: getConfigValue('TRACKER_GMAIL_FILTER_QUERY'), // From RuntimeConfig.js
         triggerFunctionName: 'processEmails_triggerHandler',
-        triggerIntervalHours: 1,
-        staleRejectFunctionName: 'markStale_triggerHandler'
+        triggerIntervalHours: getConfigValue('PROPOSAL_TRIGGER_HOURS'),
+        triggerAtHour: getConfigValue('PROPOSAL_TRIGGER_HOUR'),
+        staleRejectFunctionName: 'markStale_triggerHandler',
+        seedDummyData: true
     };
     // _setupModule is a generic helper and does not need to be changed.
     return _setupModule(trackerConfig);
 }
 
 // START SNIPPET 5A: Replace _processingEngine in Main.js
-function _processingEngine(config, ss, scriptProperties) {
+/**
+ * Runs the generic email processing engine for a module while holding the document lock.
+ * In preview mode the first PREVIEW_MAX_THREADS threads are parsed as usual, but the resulting changes are
+ * written to the Preview sheet instead of the data sheet, and no labels, ledger entries or cursor are changed.
+ * @param {object} config The module's processing config.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @param {{preview?: boolean, continuation?: boolean}} [options] continuation is set by the continuation
+ *   handlers; if the lock is busy, another continuation is scheduled instead of waiting for the next recurring run.
+ * @returns {number|undefined} In preview mode, the number of changes written to the Preview sheet.
+ */
+function _processingEngine(config, ss, scriptProperties, options) {
+    // Taken before the lock wait, so ENGINE_MAX_RUNTIME_SECONDS counts the time spent waiting for another run.
+    const startTime = new Date();
+    const locked = withDocumentLock("_processingEngine", () => _runProcessingEngine(config, ss, scriptProperties, options, startTime)); // From LockUtils.js
+    if (!locked.acquired && options && options.continuation && config.continuationFunctionName) {
+        // The run holding the lock may finish without scheduling this module again, so keep the chain alive; the cursor is kept.
+        scheduleContinuationTrigger(config.continuationFunctionName, ENGINE_CONTINUATION_DELAY_MINUTES); // From Triggers.js
+    }
+    return locked.result;
+}
+
+function _runProcessingEngine(config, ss, scriptProperties, options, startTime) {
     const FUNC_NAME = "_processingEngine";
-    const SCRIPT_START_TIME = new Date();
+    const preview = !!(options && options.preview);
+    const SCRIPT_START_TIME = startTime || new Date();
     Logger.log(`\n==== ${FUNC_NAME}: STARTING (${SCRIPT_START_TIME.toLocaleString()}) - ${config.moduleName} ====`);
-    const geminiApiKey = scriptProperties.getProperty(GEMINI_API_KEY_PROPERTY);
-    if (!geminiApiKey) { /* ... error logging ... */ return; }
+    const llmConfig = getLlmProviderConfig(scriptProperties); // From LlmProviders.js
+    const aiState = getAiFeaturesState(scriptProperties, llmConfig); // From GeminiKeyStore.js
+    const aiConfigured = aiState.active;
+    if (!aiConfigured && !config.fallbackParserFunction) {
+        Logger.log(`[${FUNC_NAME} WARN] AI features are not active (${aiState.reason}) and ${config.moduleName} has no offline parser. Aborting.`);
+        return;
+    }
+    if (!aiConfigured) Logger.log(`[${FUNC_NAME} INFO] AI features are not active (${aiState.reason}). Using ${PARSER_NAME_KEYWORD} parser for this run.`);
     const dataSheet = ss.getSheetByName(config.sheetTabName);
     if (!dataSheet) { /* ... error logging ... */ return; }
+    // Structural changes to the data sheet (e.g. adding missing optional columns) happen only while the lock is held.
+    if (config.prepareSheet) config.prepareSheet(ss);
+    const messageIdColumns = typeof config.messageIdColumns === 'function' ? config.messageIdColumns() : (config.messageIdColumns || []);
 
     const procLbl = GmailApp.getUserLabelByName(config.gmailLabelToProcess);
     const processedLblObj = GmailApp.getUserLabelByName(config.gmailLabelProcessed);
     const manualLblObj = config.gmailLabelManualReview ? GmailApp.getUserLabelByName(config.gmailLabelManualReview) : processedLblObj;
     if (!procLbl || !processedLblObj || !manualLblObj) { /* ... error logging ... */ return; }
 
-    // --- THIS CACHING LOGIC IS NOW CRITICAL ---
-    const allSheetData = dataSheet.getDataRange().getValues();
-    const funderIndex = new Map();
-    for (let i = 1; i < allSheetData.length; i++) {
-        const rowData = allSheetData[i];
-        const funderName = rowData[PROP_FUNDER_COL - 1];
-        if (funderName && typeof funderName === 'string' && funderName.trim() !== "") {
-            const funderKey = funderName.toLowerCase();
-            if (!funderIndex.has(funderKey)) { funderIndex.set(funderKey, []); }
-            funderIndex.get(funderKey).push({
-                row: i + 1, rowData: rowData, emailId: rowData[PROP_EMAIL_ID_COL - 1],
-                funder: funderName, title: rowData[PROP_TITLE_COL - 1],
-                status: rowData[PROP_STATUS_COL - 1], peakStatus: rowData[PROP_PEAK_STATUS_COL - 1]
+    // Resume from the previous run's cursor: messages already applied from threads that were cut off mid-way.
+    let cursor = _loadEngineCursor(config, scriptProperties);
+    const ledgerIds = loadProcessedMessageIds(ss, config.moduleName); // From ProcessedMessageLedger.js
+    const indexBuilder = config.indexBuilder || _buildProposalIndex;
+    const finishedThreadIds = new Set();
+    let aiAvailable = aiConfigured;
+    let consecutiveAiFailures = 0;
+    let labelDrained = false, timedOut = false, stuck = false;
+    let labelErrors = 0;
+    let previewCount;
+
+    while (!timedOut) {
+        // A preview changes no labels, so it looks at one larger batch instead of draining the label.
+        const threadsToProcess = procLbl.getThreads(0, preview ? PREVIEW_MAX_THREADS : ENGINE_THREAD_BATCH_SIZE).filter(t => !finishedThreadIds.has(t.getId()));
+        if (threadsToProcess.length === 0) {
+            // Either the label is empty, or every thread returned was finished earlier in this run: its label
+            // change failed (stuck), or Gmail has not caught up with the label change yet (continue later).
+            labelDrained = procLbl.getThreads(0, 1).length === 0;
+            stuck = !labelDrained && labelErrors > 0;
+            break;
+        }
+
+        // --- THIS CACHING LOGIC IS NOW CRITICAL ---
+        // Each module supplies its own lookup index over existing rows (defaults to the proposal index).
+        // It is rebuilt per batch so rows appended by the previous batch have their row numbers.
+        const allSheetData = dataSheet.getDataRange().getValues();
+        const originalSheetData = preview ? allSheetData.map(rowData => [...rowData]) : null; // Handlers update indexed rows in place.
+        const rowIndex = indexBuilder(allSheetData, ss);
+        const alreadyApplied = new Set(Object.values(cursor).flatMap(entry => entry.messageIds));
+        // Idempotency: a message recorded in the ledger or on a data row is never applied again.
+        const recordedIds = new Set(ledgerIds);
+        messageIdColumns.forEach(col => {
+            allSheetData.slice(1).forEach(rowData => _splitIdList(rowData[col - 1]).forEach(id => recordedIds.add(id)));
+        });
+        const skippedIds = threadsToProcess.flatMap(thread => thread.getMessages()).map(m => m.getId())
+            .filter(id => recordedIds.has(id) && !alreadyApplied.has(id));
+        if (skippedIds.length > 0) Logger.log(`[${FUNC_NAME} INFO] Skipping ${skippedIds.length} message(s) already applied.`);
+        skippedIds.forEach(id => alreadyApplied.add(id));
+        const messagesToSort = threadsToProcess.flatMap(thread => thread.getMessages())
+            .filter(message => !alreadyApplied.has(message.getId()))
+            .sort((a, b) => a.getDate() - b.getDate());
+        const dataToUpdate = [];
+        const newRowsData = [];
+        const statusHistoryEntries = [];
+        const ledgerEntries = [];
+        const threadProcessingOutcomes = {};
+        Object.entries(cursor).forEach(([threadId, entry]) => { if (entry.outcome) threadProcessingOutcomes[threadId] = entry.outcome; });
+        const processedMessageIds = new Set(alreadyApplied);
+        const changeSources = new Map(); // Preview only: update or new row -> the message that produced it.
+
+        for (const message of messagesToSort) {
+            if ((new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > ENGINE_MAX_RUNTIME_SECONDS) { timedOut = true; break; }
+            const msgId = message.getId();
+            try {
+                // --- Tiered parsing: Gemini first, then the module's offline parser ---
+                let geminiResult = null;
+                let parsedBy = llmConfig.provider === LLM_PROVIDERS.GEMINI ? PARSER_NAME_GEMINI : `AI (${llmConfig.provider})`;
+                if (aiAvailable) {
+                    geminiResult = config.parserFunction(message.getSubject(), message.getPlainBody(), llmConfig);
+                    consecutiveAiFailures = geminiResult ? 0 : consecutiveAiFailures + 1;
+                    if (consecutiveAiFailures >= MAX_CONSECUTIVE_AI_FAILURES) {
+                        aiAvailable = false;
+                        Logger.log(`[${FUNC_NAME} WARN] Gemini failed ${consecutiveAiFailures} times in a row. Switching to ${PARSER_NAME_KEYWORD} for the rest of this run.`);
+                    }
+                }
+                if (!geminiResult && config.fallbackParserFunction) {
+                    geminiResult = config.fallbackParserFunction(message.getSubject(), message.getPlainBody(), message.getFrom());
+                    parsedBy = PARSER_NAME_KEYWORD;
+                }
+                if (geminiResult && !Array.isArray(geminiResult)) geminiResult.parsedBy = parsedBy;
+                const handlerResult = config.dataHandler(geminiResult, message, rowIndex, dataSheet);
+                if (handlerResult.updateInfo) { dataToUpdate.push(...[].concat(handlerResult.updateInfo)); }
+                if (handlerResult.newRowData) { newRowsData.push(...handlerResult.newRowData); }
+                if (handlerResult.statusHistory) { statusHistoryEntries.push(handlerResult.statusHistory); }
+                if (preview) {
+                    [].concat(handlerResult.updateInfo || [], handlerResult.newRowData || []).forEach(change => changeSources.set(change, message));
+                } else if (handlerResult.requiresManualReview && geminiResult && !Array.isArray(geminiResult)) {
+                    saveManualReviewPartial(scriptProperties, msgId, geminiResult); // Prefills the Manual Review sidebar.
+                }
+                threadProcessingOutcomes[message.getThread().getId()] = handlerResult.requiresManualReview ? 'manual' : 'done';
+                if (!handlerResult.requiresManualReview) {
+                    // Manual-review messages stay out of the ledger so a re-labeled thread is retried.
+                    ledgerEntries.push({ messageId: msgId, threadId: message.getThread().getId(), moduleName: config.moduleName });
+                    ledgerIds.add(msgId);
+                }
+            } catch (e) { /* ... error logging ... */ threadProcessingOutcomes[message.getThread().getId()] = 'manual'; }
+            processedMessageIds.add(msgId);
+        }
+
+        // Threads with every message applied get their final label; a thread cut off mid-way stays in the cursor.
+        const finishedOutcomes = {};
+        threadsToProcess.forEach(thread => {
+            const threadId = thread.getId();
+            const messageIds = thread.getMessages().map(m => m.getId());
+            const appliedIds = messageIds.filter(id => processedMessageIds.has(id));
+            delete cursor[threadId];
+            if (appliedIds.length === messageIds.length) {
+                finishedOutcomes[threadId] = threadProcessingOutcomes[threadId] || 'done';
+                finishedThreadIds.add(threadId);
+            } else if (appliedIds.length > 0) {
+                cursor[threadId] = { outcome: threadProcessingOutcomes[threadId] || null, messageIds: appliedIds };
+            }
+        });
+
+        if (preview) {
+            previewCount = writeProcessingPreview(ss, config, { // From Preview.js
+                headers: originalSheetData[0], originalSheetData, dataToUpdate, newRowsData, changeSources, finishedOutcomes, ledgerEntries
             });
+            break;
         }
-    }
-    
-    const threadsToProcess = procLbl.getThreads(0, 20);
-    if (threadsToProcess.length === 0) { /* ... logging ... */ return; }
-
-    const messagesToSort = threadsToProcess.flatMap(thread => thread.getMessages()).sort((a, b) => a.getDate() - b.getDate());
-    const dataToUpdate = [];
-    const newRowsData = [];
-    let threadProcessingOutcomes = {};
-
-    for (const message of messagesToSort) {
-        if ((new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > 320) break;
-        const msgId = message.getId();
-        try {
-            const geminiResult = config.parserFunction(message.getSubject(), message.getPlainBody(), geminiApiKey);
-            const handlerResult = config.dataHandler(geminiResult, message, funderIndex, dataSheet);
-            if (handlerResult.updateInfo) { dataToUpdate.push(handlerResult.updateInfo); }
-            if (handlerResult.newRowData) { newRowsData.push(...handlerResult.newRowData); }
-            threadProcessingOutcomes[message.getThread().getId()] = handlerResult.requiresManualReview ? 'manual' : 'done';
-        } catch (e) { /* ... error logging ... */ threadProcessingOutcomes[message.getThread().getId()] = 'manual'; }
-    }
 
-    if (dataToUpdate.length > 0) {
-        dataToUpdate.forEach(update => dataSheet.getRange(update.row, 1, 1, update.values.length).setValues([update.values]));
+        // Write this batch's results before touching labels, so a label change never gets ahead of the sheet.
+        if (dataToUpdate.length > 0) {
+            dataToUpdate.forEach(update => dataSheet.getRange(update.row, 1, 1, update.values.length).setValues([update.values]));
+        }
+        if (newRowsData.length > 0) {
+            dataSheet.getRange(dataSheet.getLastRow() + 1, 1, newRowsData.length, newRowsData[0].length).setValues(newRowsData);
+        }
+        appendStatusHistory(ss, statusHistoryEntries); // From StatusHistory.js
+        recordProcessedMessages(ss, ledgerEntries); // From ProcessedMessageLedger.js
+
+        labelErrors += applyFinalLabels(finishedOutcomes, procLbl, processedLblObj, manualLblObj);
+        _saveEngineCursor(config, scriptProperties, cursor);
+        Logger.log(`[${FUNC_NAME} INFO] Batch done: ${Object.keys(finishedOutcomes).length} thread(s) finished, ${Object.keys(cursor).length} carried over.`);
     }
-    if (newRowsData.length > 0) {
-        dataSheet.getRange(dataSheet.getLastRow() + 1, 1, newRowsData.length, newRowsData[0].length).setValues(newRowsData);
+
+    if (preview) {
+        if (typeof previewCount === 'undefined') previewCount = writeProcessingPreview(ss, config, null); // Nothing queued: clears the old preview.
+        Logger.log(`[${FUNC_NAME} INFO] Preview only: ${previewCount} change(s) written to "${PREVIEW_SHEET_TAB_NAME}". No labels or data rows were changed.`);
+    } else if (labelDrained) {
+        _saveEngineCursor(config, scriptProperties, {}); // Entries for threads whose label was removed by hand are dropped.
+        deleteContinuationTriggers(config.continuationFunctionName); // From Triggers.js
+        Logger.log(`[${FUNC_NAME} INFO] "${config.gmailLabelToProcess}" is drained.`);
+    } else if (stuck) {
+        Logger.log(`[${FUNC_NAME} WARN] Threads remain in "${config.gmailLabelToProcess}" whose labels could not be changed. Not scheduling a continuation.`);
+        deleteContinuationTriggers(config.continuationFunctionName);
+    } else if (config.continuationFunctionName) {
+        scheduleContinuationTrigger(config.continuationFunctionName, ENGINE_CONTINUATION_DELAY_MINUTES); // From Triggers.js
     }
-    applyFinalLabels(threadProcessingOutcomes, procLbl, processedLblObj, manualLblObj);
     Logger.log(`\n==== ${FUNC_NAME} FINISHED ====`);
+    return previewCount;
 }
 // END SNIPPET 5A
 
+/**
+ * Loads the engine's resume cursor for a module.
+ * @param {object} config The module's processing config.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @returns {Object<string, {outcome: string|null, messageIds: string[]}>} Thread ID -> outcome so far and applied message IDs.
+ * @private
+ */
+function _loadEngineCursor(config, scriptProperties) {
+    try {
+        const cursor = JSON.parse(scriptProperties.getProperty(`${ENGINE_CURSOR_PROPERTY_PREFIX}${config.gmailLabelToProcess}`) || "{}");
+        if (Object.keys(cursor).length > 0) Logger.log(`[_processingEngine INFO] Resuming ${config.moduleName}: ${Object.keys(cursor).length} partly processed thread(s).`);
+        return cursor;
+    } catch (e) {
+        Logger.log(`[_processingEngine WARN] Unreadable cursor for ${config.moduleName} ignored: ${e.message}`);
+        return {};
+    }
+}
+
+/**
+ * Saves (or clears, when empty) the engine's resume cursor for a module.
+ * @param {object} config The module's processing config.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @param {Object<string, {outcome: string|null, messageIds: string[]}>} cursor
+ * @private
+ */
+function _saveEngineCursor(config, scriptProperties, cursor) {
+    const key = `${ENGINE_CURSOR_PROPERTY_PREFIX}${config.gmailLabelToProcess}`;
+    if (Object.keys(cursor).length === 0) {
+        scriptProperties.deleteProperty(key);
+    } else {
+        scriptProperties.setProperty(key, JSON.stringify(cursor));
+    }
+}
+
+/**
+ * Builds the default lookup index for the Proposals sheet: rows by normalized (alias-resolved)
+ * funder name, and rows by every Gmail thread ID already linked to them.
+ * @param {Array<Array<*>>} allSheetData All values of the data sheet, including the header row.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [ss] Used to load the funder alias table.
+ * @returns {{byFunder: Map<string, Array<object>>, byThread: Map<string, object>}} The proposal index.
+ */
+function _buildProposalIndex(allSheetData, ss) {
+    loadFunderAliases(ss); // From ProposalMatching.js
+    loadStatusSettings(ss); // From StatusSettings.js; ranks used by _proposalDataHandler and the prompt.
+    const proposalIndex = { byFunder: new Map(), byThread: new Map() };
+    for (let i = 1; i < allSheetData.length; i++) {
+        const rowData = allSheetData[i];
+        const funderName = rowData[proposalCol('FUNDER') - 1];
+        if (funderName && typeof funderName === 'string' && funderName.trim() !== "") {
+            _addToProposalIndex(proposalIndex, {
+                row: i + 1, rowData: rowData, emailId: rowData[proposalCol('EMAIL_ID') - 1],
+                funder: funderName, title: rowData[proposalCol('TITLE') - 1],
+                status: rowData[proposalCol('STATUS') - 1], peakStatus: rowData[proposalCol('PEAK_STATUS') - 1]
+            });
+        }
+    }
+    return proposalIndex;
+}
+
+/**
+ * Adds an entry to the proposal index under its resolved funder key and each of its thread IDs.
+ * @param {{byFunder: Map<string, Array<object>>, byThread: Map<string, object>}} proposalIndex
+ * @param {object} entry
+ * @private
+ */
+function _addToProposalIndex(proposalIndex, entry) {
+    const funderKey = resolveFunderKey(entry.funder);
+    if (!proposalIndex.byFunder.has(funderKey)) { proposalIndex.byFunder.set(funderKey, []); }
+    proposalIndex.byFunder.get(funderKey).push(entry);
+    _splitIdList(entry.rowData[proposalCol('THREAD_IDS') - 1]).forEach(threadId => proposalIndex.byThread.set(threadId, entry));
+}
+
+/**
+ * Splits a comma-separated ID cell into its IDs.
+ * @param {*} cellValue
+ * @returns {string[]}
+ * @private
+ */
+function _splitIdList(cellValue) {
+    return String(cellValue || "").split(",").map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Adds an ID to a comma-separated ID cell if it is not already listed.
+ * @param {*} cellValue
+ * @param {string} id
+ * @returns {string} The updated cell value.
+ * @private
+ */
+function _appendIdToList(cellValue, id) {
+    const ids = _splitIdList(cellValue);
+    if (id && !ids.includes(id)) ids.push(id);
+    return ids.join(",");
+}
+
 /**
  * Parser function specific to the Proposal Tracker.
  * @param {string} subject
  * @param {string} body
- * @param {string} key
+ * @param {object} llmConfig The AI provider config from getLlmProviderConfig().
  * @returns {object}
  */
-function _proposalStatusParser(subject, body, key) {
-    return callGemini_forProposalStatus(subject, body, key);
+function _proposalStatusParser(subject, body, llmConfig) {
+    return callGemini_forProposalStatus(subject, body, llmConfig);
 }
 
 // START SNIPPET 5B: Replace _proposalDataHandler in Main.js
-function _proposalDataHandler(geminiResult, message, funderIndex, dataSheet) {
+function _proposalDataHandler(geminiResult, message, proposalIndex, dataSheet) {
     if (!geminiResult) return { requiresManualReview: true };
 
-    const { funderName, proposalTitle, submissionStatus } = geminiResult;
-    let requiresManualReview = (funderName === MANUAL_REVIEW_NEEDED || proposalTitle === MANUAL_REVIEW_NEEDED);
+    const { funderName, proposalTitle, submissionStatus, amountRequested, amountAwarded } = geminiResult;
+    const threadId = message.getThread().getId();
+    // A message in a thread already linked to a proposal attaches to it before any funder/title matching.
+    let existingRowInfo = proposalIndex.byThread.get(threadId) || null;
+    if (existingRowInfo && DEBUG_MODE) Logger.log(`[_proposalDataHandler DEBUG] Message ${message.getId()} linked by thread ${threadId}.`);
+
+    if (!existingRowInfo && submissionStatus === NOT_A_PROPOSAL_STATUS) {
+        Logger.log(`[_proposalDataHandler INFO] Message ${message.getId()} is not a proposal update. No row written.`);
+        return { requiresManualReview: false };
+    }
+    if (!existingRowInfo && (funderName === MANUAL_REVIEW_NEEDED || proposalTitle === MANUAL_REVIEW_NEEDED)) {
+        // No placeholder row or thread link: the row is written when the item is committed from Manual Review.
+        return { requiresManualReview: true };
+    }
 
-    let existingRowInfo = null;
-    if (!requiresManualReview) {
-        const potentialMatches = funderIndex.get(String(funderName).toLowerCase()) || [];
-        // Find an existing entry with the same funder AND proposal title
-        existingRowInfo = potentialMatches.find(e => e.title && e.title.toLowerCase() === proposalTitle.toLowerCase());
+    if (!existingRowInfo) {
+        // Fuzzy funder + title matching (ProposalMatching.js). Uncertain matches go to Manual Review
+        // rather than silently creating a duplicate row.
+        const match = findProposalMatch(funderName, proposalTitle, proposalIndex.byFunder);
+        // A user-confirmed commit from the Manual Review sidebar accepts the plausible candidate.
+        if (match.decision === 'review' && !geminiResult.confirmedByUser) {
+            Logger.log(`[_proposalDataHandler INFO] Uncertain match for "${funderName}" / "${proposalTitle}" (confidence ${match.confidence}). Sending to Manual Review.`);
+            return { requiresManualReview: true };
+        }
+        existingRowInfo = match.entry;
     }
 
     if (existingRowInfo) {
         // --- UPDATE PATH ---
         const rowDataForSheet = [...existingRowInfo.rowData];
-        rowDataForSheet[PROP_LAST_UPDATE_COL - 1] = message.getDate();
-        rowDataForSheet[PROP_EMAIL_SUBJ_COL - 1] = message.getSubject();
-        rowDataForSheet[PROP_EMAIL_LINK_COL - 1] = `https://mail.google.com/mail/u/0/#inbox/${message.getId()}`;
-        rowDataForSheet[PROP_EMAIL_ID_COL - 1] = message.getId();
-
-        const currentStatus = String(rowDataForSheet[PROP_STATUS_COL - 1]).trim() || STATUS_DRAFTING;
-        const currentRank = STATUS_HIERARCHY[currentStatus] ?? 0;
-        const newRank = STATUS_HIERARCHY[submissionStatus] ?? 0;
-        if (newRank >= currentRank) { // Only update status if it's a forward or equal progression
-            rowDataForSheet[PROP_STATUS_COL - 1] = submissionStatus;
+        rowDataForSheet[proposalCol('LAST_UPDATE') - 1] = message.getDate();
+        rowDataForSheet[proposalCol('EMAIL_SUBJ') - 1] = message.getSubject();
+        rowDataForSheet[proposalCol('EMAIL_LINK') - 1] = `https://mail.google.com/mail/u/0/#inbox/${message.getId()}`;
+        rowDataForSheet[proposalCol('EMAIL_ID') - 1] = message.getId();
+        rowDataForSheet[proposalCol('PARSED_BY') - 1] = geminiResult.parsedBy || "";
+        rowDataForSheet[proposalCol('THREAD_IDS') - 1] = _appendIdToList(rowDataForSheet[proposalCol('THREAD_IDS') - 1], threadId);
+        rowDataForSheet[proposalCol('MESSAGE_IDS') - 1] = _appendIdToList(rowDataForSheet[proposalCol('MESSAGE_IDS') - 1], message.getId());
+        // Rows written as "Manual Review Needed" placeholders by older versions take the confirmed funder and title.
+        if (geminiResult.confirmedByUser && _isManualReviewPlaceholder(existingRowInfo)) {
+            rowDataForSheet[proposalCol('FUNDER') - 1] = funderName;
+            rowDataForSheet[proposalCol('TITLE') - 1] = proposalTitle;
+            existingRowInfo.funder = funderName;
+            existingRowInfo.title = proposalTitle;
+        }
+        // News from the funder ends any stale follow-up (StaleFollowUp.js).
+        if (rowDataForSheet[proposalCol('FOLLOW_UP') - 1]) rowDataForSheet[proposalCol('FOLLOW_UP') - 1] = "";
+        proposalIndex.byThread.set(threadId, existingRowInfo);
+
+        const currentStatus = String(rowDataForSheet[proposalCol('STATUS') - 1]).trim() || STATUS_DRAFTING;
+        const currentRank = getStatusRank(currentStatus) ?? 0; // From StatusSettings.js
+        const newRank = getStatusRank(submissionStatus) ?? 0;
+        // Only update status on a forward or equal progression to a known status.
+        if (isKnownStatus(submissionStatus) && newRank >= currentRank) {
+            rowDataForSheet[proposalCol('STATUS') - 1] = submissionStatus;
         }
 
+        // Amounts: fill blanks from any email, but only overwrite a populated amount when this email
+        // is authoritative for it (a submission confirmation for Requested, an award letter for Awarded).
+        _applyAmountIfAuthoritative(rowDataForSheet, proposalCol('AMT_REQ'), amountRequested, submissionStatus === STATUS_SUBMITTED);
+        _applyAmountIfAuthoritative(rowDataForSheet, proposalCol('AMT_AWARD'), amountAwarded, submissionStatus === STATUS_AWARDED);
+
+        // Key dates: a date mentioned in a newer email replaces the earlier one (e.g., an extended deadline).
+        PROPOSAL_KEY_DATE_FIELDS.forEach(({ key, field }) => {
+            if (geminiResult[field] instanceof Date) rowDataForSheet[proposalCol(key) - 1] = geminiResult[field];
+        });
+
         const currentPeak = existingRowInfo.peakStatus || currentStatus;
-        const peakRank = STATUS_HIERARCHY[currentPeak] ?? 0;
-        const finalStatusRank = STATUS_HIERARCHY[rowDataForSheet[PROP_STATUS_COL - 1]] ?? 0;
+        const peakRank = getStatusRank(currentPeak) ?? 0;
+        const finalStatusRank = getStatusRank(rowDataForSheet[proposalCol('STATUS') - 1]) ?? 0;
         if (finalStatusRank > peakRank) {
-            rowDataForSheet[PROP_PEAK_STATUS_COL - 1] = rowDataForSheet[PROP_STATUS_COL - 1];
+            rowDataForSheet[proposalCol('PEAK_STATUS') - 1] = rowDataForSheet[proposalCol('STATUS') - 1];
+        }
+        const newStatus = rowDataForSheet[proposalCol('STATUS') - 1];
+        const statusHistory = newStatus !== existingRowInfo.rowData[proposalCol('STATUS') - 1]
+            ? buildStatusHistoryEntry(rowDataForSheet, existingRowInfo.rowData[proposalCol('STATUS') - 1], HISTORY_SOURCE_EMAIL, message.getId())
+            : null;
+
+        // Keep the index current so later messages in this run build on this update.
+        existingRowInfo.rowData.splice(0, existingRowInfo.rowData.length, ...rowDataForSheet);
+        existingRowInfo.status = rowDataForSheet[proposalCol('STATUS') - 1];
+        existingRowInfo.peakStatus = rowDataForSheet[proposalCol('PEAK_STATUS') - 1];
+        if (!existingRowInfo.row) {
+            return { statusHistory, requiresManualReview: false }; // Row created earlier in this run; it is appended with these values.
         }
-        return { updateInfo: { row: existingRowInfo.row, values: rowDataForSheet }, requiresManualReview };
+        return { updateInfo: { row: existingRowInfo.row, values: rowDataForSheet }, statusHistory, requiresManualReview: false };
     } else {
         // --- CREATE NEW ROW PATH ---
-        const newRowData = new Array(TOTAL_COLUMNS_IN_PROPOSAL_SHEET).fill("");
-        newRowData[PROP_PROC_TS_COL - 1] = new Date();
-        newRowData[PROP_SUBMIT_DATE_COL - 1] = message.getDate();
-        newRowData[PROP_FUNDER_COL - 1] = funderName;
-        newRowData[PROP_TITLE_COL - 1] = proposalTitle;
-        newRowData[PROP_STATUS_COL - 1] = submissionStatus || STATUS_SUBMITTED;
-        newRowData[PROP_PEAK_STATUS_COL - 1] = submissionStatus || STATUS_SUBMITTED;
-        newRowData[PROP_LAST_UPDATE_COL - 1] = message.getDate();
-        newRowData[PROP_EMAIL_SUBJ_COL - 1] = message.getSubject();
-        newRowData[PROP_EMAIL_LINK_COL - 1] = `https://mail.google.com/mail/u/0/#inbox/${message.getId()}`;
-        newRowData[PROP_EMAIL_ID_COL - 1] = message.getId();
-        return { newRowData: [newRowData], requiresManualReview };
+        const newRowData = newProposalRow();
+        newRowData[proposalCol('PROC_TS') - 1] = new Date();
+        newRowData[proposalCol('SUBMIT_DATE') - 1] = message.getDate();
+        newRowData[proposalCol('FUNDER') - 1] = funderName;
+        newRowData[proposalCol('TITLE') - 1] = proposalTitle;
+        newRowData[proposalCol('STATUS') - 1] = submissionStatus || STATUS_SUBMITTED;
+        newRowData[proposalCol('PEAK_STATUS') - 1] = submissionStatus || STATUS_SUBMITTED;
+        newRowData[proposalCol('LAST_UPDATE') - 1] = message.getDate();
+        newRowData[proposalCol('AMT_REQ') - 1] = amountRequested ?? "";
+        newRowData[proposalCol('AMT_AWARD') - 1] = amountAwarded ?? "";
+        newRowData[proposalCol('EMAIL_SUBJ') - 1] = message.getSubject();
+        newRowData[proposalCol('EMAIL_LINK') - 1] = `https://mail.google.com/mail/u/0/#inbox/${message.getId()}`;
+        newRowData[proposalCol('EMAIL_ID') - 1] = message.getId();
+        newRowData[proposalCol('PARSED_BY') - 1] = geminiResult.parsedBy || "";
+        newRowData[proposalCol('THREAD_IDS') - 1] = threadId;
+        newRowData[proposalCol('MESSAGE_IDS') - 1] = message.getId();
+        PROPOSAL_KEY_DATE_FIELDS.forEach(({ key, field }) => {
+            if (geminiResult[field] instanceof Date) newRowData[proposalCol(key) - 1] = geminiResult[field];
+        });
+        // Index the pending row (row: null until appended) so later emails in this run match it.
+        _addToProposalIndex(proposalIndex, {
+            row: null, rowData: newRowData, emailId: message.getId(), funder: funderName, title: proposalTitle,
+            status: newRowData[proposalCol('STATUS') - 1], peakStatus: newRowData[proposalCol('PEAK_STATUS') - 1]
+        });
+        const statusHistory = buildStatusHistoryEntry(newRowData, "", HISTORY_SOURCE_EMAIL, message.getId());
+        return { newRowData: [newRowData], statusHistory, requiresManualReview: false };
     }
 }
 // END SNIPPET 5B
 
+/**
+ * @param {object} entry A proposal index entry.
+ * @returns {boolean} True if the row is a "Manual Review Needed" placeholder rather than a real proposal.
+ * @private
+ */
+function _isManualReviewPlaceholder(entry) {
+    return String(entry.funder).trim() === MANUAL_REVIEW_NEEDED || String(entry.title).trim() === MANUAL_REVIEW_NEEDED;
+}
+
+/**
+ * Writes a parsed amount into a proposal row. Blank (or zero) cells are always filled; a populated
+ * cell is only overwritten when the email is authoritative for that amount.
+ * @param {Array<*>} rowData The row being updated (mutated).
+ * @param {number} col The 1-based amount column.
+ * @param {number|null} newAmount The parsed amount from the email.
+ * @param {boolean} isAuthoritative Whether this email may overwrite an existing amount.
+ * @private
+ */
+function _applyAmountIfAuthoritative(rowData, col, newAmount, isAuthoritative) {
+    if (typeof newAmount !== 'number' || newAmount <= 0) return;
+    const current = Number(rowData[col - 1]) || 0;
+    if (current === 0 || isAuthoritative) {
+        rowData[col - 1] = newAmount;
+    }
+}
+
 /**
  * Trigger handler for hourly email processing.
  */
@@ -336,6 +700,14 @@ function processEmails_triggerHandler() {
     Logger.log('Hourly email processing trigger finished.');
 }
 
+/**
+ * One-off trigger handler scheduled by _processingEngine when a run stops before the label is drained.
+ */
+function processEmails_continuationHandler() {
+    Logger.log('Proposal email processing continuation started.');
+    processProposalEmails(SpreadsheetApp.getActiveSpreadsheet(), PropertiesService.getScriptProperties(), { continuation: true });
+}
+
 /**
  * Trigger handler for daily stale application checks.
  */
@@ -355,58 +727,29 @@ function markStale_triggerHandler() {
  * This function is called by the time-driven trigger.
  * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
  * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @param {{preview?: boolean, continuation?: boolean}} [options] See _processingEngine.
+ * @returns {number|undefined} In preview mode, the number of changes written to the Preview sheet.
  */
-function processProposalEmails(ss, scriptProperties) {
+function processProposalEmails(ss, scriptProperties, options) {
+    // Resolve the Proposals columns without changing the sheet; a missing required header stops the run before any email is read.
+    loadProposalColumns(ss); // From ColumnMap.js
     const proposalProcessingConfig = {
         moduleName: "Proposal Tracker",
         sheetTabName: PROPOSAL_TRACKER_SHEET_TAB_NAME,
         parserFunction: _proposalStatusParser,
+        fallbackParserFunction: parseProposalWithKeywords, // From ParsingUtils.js
         dataHandler: _proposalDataHandler,
         // Pass the required Gmail labels from Config.js
         gmailLabelToProcess: TRACKER_GMAIL_LABEL_TO_PROCESS,
         gmailLabelProcessed: TRACKER_GMAIL_LABEL_PROCESSED,
-        gmailLabelManualReview: TRACKER_GMAIL_LABEL_MANUAL_REVIEW
+        gmailLabelManualReview: TRACKER_GMAIL_LABEL_MANUAL_REVIEW,
+        continuationFunctionName: 'processEmails_continuationHandler',
+        prepareSheet: ensureProposalColumns, // From ColumnMap.js; adds missing optional columns under the lock
+        // Resolved after prepareSheet, so an optional column it adds is included.
+        messageIdColumns: () => [proposalCol('EMAIL_ID'), proposalCol('MESSAGE_IDS')]
     };
     // The _processingEngine is generic and powerful, so we can reuse it without changes.
-    _processingEngine(proposalProcessingConfig, ss, scriptProperties);
-}
-
-/**
- * Marks stale proposals as "Declined".
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
- */
-function markStaleProposals(ss) {
-    const FUNC_NAME = "markStaleProposals";
-    Logger.log(`\n==== ${FUNC_NAME}: START (${new Date().toLocaleString()}) ====`);
-    if (!ss) { /* ... error logging ... */ return; }
-    const dataSheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
-    if (!dataSheet) { /* ... error logging ... */ return; }
-
-    const dataRange = dataSheet.getDataRange();
-    const sheetValues = dataRange.getValues();
-    const currentDate = new Date();
-    const staleThresholdDate = new Date();
-    staleThresholdDate.setDate(currentDate.getDate() - (WEEKS_THRESHOLD * 7));
-
-    let updatedProposalsCount = 0;
-    for (let i = 1; i < sheetValues.length; i++) {
-        const currentStatus = sheetValues[i][PROP_STATUS_COL - 1];
-        const lastUpdateDate = new Date(sheetValues[i][PROP_LAST_UPDATE_COL - 1]);
-
-        if (currentStatus && !FINAL_STATUSES_FOR_STALE_CHECK.has(currentStatus) && lastUpdateDate && lastUpdateDate < staleThresholdDate) {
-            sheetValues[i][PROP_STATUS_COL - 1] = STATUS_DECLINED;
-            sheetValues[i][PROP_LAST_UPDATE_COL - 1] = currentDate;
-            sheetValues[i][PROP_NOTES_COL - 1] = (sheetValues[i][PROP_NOTES_COL - 1] + ` (Auto-updated to Declined on ${currentDate.toLocaleDateString()})`).trim();
-            updatedProposalsCount++;
-        }
-    }
-
-    if (updatedProposalsCount > 0) {
-        dataRange.setValues(sheetValues);
-        Logger.log(`[${FUNC_NAME} INFO] Updated ${updatedProposalsCount} stale proposals to '${STATUS_DECLINED}'.`);
-    } else {
-        Logger.log(`[${FUNC_NAME} INFO] No stale proposals found.`);
-    }
+    return _processingEngine(proposalProcessingConfig, ss, scriptProperties, options);
 }
 
 // REPLACE the old onOpen with this one
@@ -421,24 +764,59 @@ function onOpen(e) {
   // --- ADDED SECTION ---
   menu.addSubMenu(ui.createMenu('Manual Processing')
       .addItem('📧 Process Proposal Emails', 'processEmails_triggerHandler')
-      .addItem('🗑️ Mark Stale Proposals', 'markStale_triggerHandler'));
+      .addItem('📬 Process Opportunity Emails', 'processOpportunities_triggerHandler')
+      .addItem('⏳ Check Stale Proposals', 'markStale_triggerHandler')
+      .addSeparator()
+      .addItem('⏪ Backfill Past Emails', 'startBackfill_UI')
+      .addItem('📈 Backfill Progress', 'showBackfillStatus_UI'));
+  menu.addSubMenu(ui.createMenu('Preview (Dry Run)')
+      .addItem('👁️ Preview Proposal Emails', 'previewProposalEmails_UI')
+      .addItem('👁️ Preview Opportunity Emails', 'previewOpportunityEmails_UI')
+      .addItem('👁️ Preview Stale Check', 'previewStaleProposals_UI')
+      .addSeparator()
+      .addItem('✅ Apply Preview', 'applyPreview_UI'));
+  menu.addItem('🔎 Review Manual Queue', 'showManualReviewSidebar_UI');
+  menu.addItem('📜 Show Proposal Timeline', 'showProposalTimeline_UI');
+  menu.addItem('📨 Send Digest Now', 'sendDigestNow_UI');
+  menu.addItem('↩️ Revert Auto-Declined Rows', 'revertAutoDeclined_UI');
   menu.addSeparator();
   // --- END ADDED SECTION ---
 
   menu.addSubMenu(ui.createMenu('Admin & Config')
+      .addItem('🩺 Diagnose & Repair', 'diagnoseAndRepair_UI')
+      .addItem('⬆️ Upgrade this sheet', 'upgradeSheet_UI')
+      .addSeparator()
       .addItem('🔑 Set Gemini API Key', 'setSharedGeminiApiKey_UI')
-      .addItem('🔍 Show All User Properties', 'showAllUserProperties'));
+      .addItem('🗑️ Remove Gemini API Key', 'removeGeminiApiKey_UI')
+      .addItem('🔍 Show All User Properties', 'showAllUserProperties')
+      .addItem('🧾 Show Effective Configuration', 'showEffectiveConfiguration_UI')
+      .addItem('⏰ Apply Trigger Schedule', 'applyTriggerSchedule_UI')
+      .addItem('🚫 Revoke Web App Tokens', 'revokeAllApiTokens_UI'));
   menu.addSeparator();
   menu.addItem('❌ Uninstall Backend', 'uninstall');
   menu.addToUi();
 
-  // Welcome prompt logic remains unchanged
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const initialSetupDone = scriptProperties.getProperty('initialSetupDone_vFF_1');
   const activeSS = SpreadsheetApp.getActiveSpreadsheet();
-
-  if (!initialSetupDone && activeSS.getId() !== TEMPLATE_SHEET_ID) {
+  if (activeSS.getId() === TEMPLATE_SHEET_ID) return;
+  const schemaStatus = getSchemaStatus(activeSS); // From Migrations.js
+  if (!schemaStatus.setupDone) {
     showWelcomePrompt_FF();
+  } else if (schemaStatus.pending.length > 0) {
+    activeSS.toast(`This sheet was set up by an older version. Run ${menuName} > Admin & Config > Upgrade this sheet to update it (a backup is made first).`, 'Upgrade Available', 15);
+  }
+}
+
+/**
+ * Simple trigger: records manual Status edits on the Proposals sheet in the Status History.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function onEdit(e) {
+  try {
+    recordManualStatusEdit(e); // From StatusHistory.js
+    handleStatusSettingsEdit(e); // From StatusSettings.js
+    handleRuntimeConfigEdit(e); // From RuntimeConfig.js
+  } catch (err) {
+    Logger.log(`[onEdit ERROR] ${err.message}`);
   }
 }
 
@@ -457,7 +835,6 @@ function showWelcomePrompt_FF() {
 // ADD THIS CORRECTED FUNCTION
 function userDrivenFullSetup() {
   const ui = SpreadsheetApp.getUi();
-  const scriptProperties = PropertiesService.getScriptProperties();
   const activeSS = SpreadsheetApp.getActiveSpreadsheet();
   
   // FIX #1: Corrected TEMPLATE_SHEET_ID
@@ -471,8 +848,6 @@ function userDrivenFullSetup() {
   const setupResult = runFullProjectInitialSetup(activeSS);
   
   if (setupResult && setupResult.success) {
-      scriptProperties.setProperty('initialSetupDone_vFF_1', 'true');
-      
       // FIX #2: Corrected activeSS.getName()
       let finalMessage = `Setup is complete for "${activeSS.getName()}".\n\nYour Grant Tracker is ready. To enable AI features, please set your Gemini API Key using the 'Admin & Config' menu.`;
       
@@ -483,81 +858,23 @@ function userDrivenFullSetup() {
 }
 
 /**
- * Uninstalls triggers and the Gmail filter created by the script.
+ * Re-tests the stored Gemini API key and turns AI features on or off to match the result.
+ * @returns {boolean} True if AI features are active.
  */
-function uninstall() {
-    const FUNC_NAME = "uninstall";
-    Logger.log(`\n==== ${FUNC_NAME}: STARTING ====`);
-    const ui = SpreadsheetApp.getUi();
-    const response = ui.alert('Confirm Full Uninstall',
-        'This will remove all triggers AND the Gmail filter that automatically labels grant emails. Are you sure?',
-        ui.ButtonSet.YES_NO);
-
-    if (response !== ui.Button.YES) {
-        ui.alert('Uninstall Canceled', 'No changes were made.', ui.ButtonSet.OK);
-        return;
-    }
-
-    // 1. Remove Triggers
-    const triggers = ScriptApp.getProjectTriggers();
-    triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
-    Logger.log(`[${FUNC_NAME}] All ${triggers.length} triggers removed.`);
-
-    // 2. Remove Gmail Filter
-    try {
-        const filterQuery = TRACKER_GMAIL_FILTER_QUERY; // From Config.js
-        const filters = Gmail.Users.Settings.Filters.list('me').filter;
-        let filterIdToRemove = null;
-
-        if (filters && filters.length > 0) {
-            const targetFilter = filters.find(f => f.criteria && f.criteria.query === filterQuery);
-            if (targetFilter) {
-                filterIdToRemove = targetFilter.id;
-            }
-        }
-
-        if (filterIdToRemove) {
-            Gmail.Users.Settings.Filters.remove('me', filterIdToRemove);
-            Logger.log(`[${FUNC_NAME}] Successfully removed Gmail filter with query: "${filterQuery}"`);
-            ui.alert('Uninstall Complete', `All triggers and the Gmail filter have been removed.`, ui.ButtonSet.OK);
-        } else {
-            Logger.log(`[${FUNC_NAME}] No matching Gmail filter was found to remove.`);
-            ui.alert('Uninstall Complete', 'All triggers have been removed. No matching Gmail filter was found.', ui.ButtonSet.OK);
-        }
-    } catch (e) {
-        Logger.log(`[${FUNC_NAME} ERROR] Could not remove Gmail filter: ${e.message}. Please check your advanced Gmail service is enabled.`);
-        ui.alert('Uninstall Partially Complete', `All triggers were removed, but there was an error removing the Gmail filter. Please check logs.`, ui.ButtonSet.OK);
-    }
-}
-
-/**
- * Placeholder function for a future feature.
- */
-function processOpportunities_placeholder() {
-    SpreadsheetApp.getUi().alert("This feature is not yet implemented.");
-}
-
 function activateAiFeatures() {
   const FUNC_NAME = "activateAiFeatures";
   const ui = SpreadsheetApp.getUi();
   const scriptProperties = PropertiesService.getScriptProperties();
-  const userProps = PropertiesService.getUserProperties();
-
-  // This function is now simplified to check for a key set manually via the UI.
-  // The web app sync logic has been removed as MASTER_WEB_APP_URL is not part of this project's config.
-  Logger.log(`[${FUNC_NAME}] Checking for locally set API key.`);
+  const apiKey = getGeminiApiKey(scriptProperties); // From GeminiKeyStore.js
 
-  const apiKey = userProps.getProperty(GEMINI_API_KEY_PROPERTY);
-
-  if (apiKey && apiKey.trim() !== "" && apiKey.startsWith("AIza") && apiKey.length > 30) {
-    scriptProperties.setProperty('aiFeaturesActive', 'true');
-    Logger.log(`[${FUNC_NAME}] Valid API key found in UserProperties. AI features marked as active.`);
-    ui.alert('AI Features Active', 'A valid Gemini API Key is configured. AI-powered features are enabled.', ui.ButtonSet.OK);
+  if (apiKey && testGeminiApiKey(apiKey)) {
+    scriptProperties.setProperties({ [AI_FEATURES_ACTIVE_PROPERTY]: 'true', [GEMINI_KEY_VALIDATED_AT_PROPERTY]: new Date().toISOString() });
+    Logger.log(`[${FUNC_NAME}] Gemini API key ${maskSecret(apiKey)} passed its test. AI features marked as active.`);
+    ui.alert('AI Features Active', `The Gemini API key ${maskSecret(apiKey)} works. AI-powered features are enabled.`, ui.ButtonSet.OK);
     return true;
-  } else {
-    scriptProperties.setProperty('aiFeaturesActive', 'false');
-    Logger.log(`[${FUNC_NAME}] No valid API key found. AI features are disabled.`);
-    ui.alert('AI Features Not Active', "Could not find a valid Gemini API Key. Please use the 'Admin & Config' -> 'Set Gemini API Key' menu to add your key.", ui.ButtonSet.OK);
-    return false;
   }
+  scriptProperties.setProperty(AI_FEATURES_ACTIVE_PROPERTY, 'false');
+  Logger.log(`[${FUNC_NAME}] ${apiKey ? `Gemini API key ${maskSecret(apiKey)} failed its test` : "No Gemini API key found"}. AI features are disabled.`);
+  ui.alert('AI Features Not Active', `${apiKey ? `The Gemini API key ${maskSecret(apiKey)} failed a test call.` : "No Gemini API key is set."} Please use the 'Admin & Config' -> 'Set Gemini API Key' menu to add a working key.`, ui.ButtonSet.OK);
+  return false;
 }
@@ -0,0 +1,158 @@
+/**
+ * @file Manual Review queue: a sidebar that lists Proposal threads labeled Manual Review, lets the user
+ * correct the parsed fields, and commits them through the same _proposalDataHandler path as the engine.
+ */
+
+/**
+ * Stores the partial parse of a message sent to Manual Review so the sidebar can prefill its form.
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @param {string} messageId
+ * @param {object} parsedResult The parser result (dates may be Date objects).
+ */
+function saveManualReviewPartial(scriptProperties, messageId, parsedResult) {
+  try {
+    const partials = JSON.parse(scriptProperties.getProperty(MANUAL_REVIEW_PARTIALS_PROPERTY) || "{}");
+    partials[messageId] = _serializeParsedResult(parsedResult);
+    const ids = Object.keys(partials);
+    ids.slice(0, Math.max(0, ids.length - MANUAL_REVIEW_PARTIALS_MAX)).forEach(id => delete partials[id]);
+    scriptProperties.setProperty(MANUAL_REVIEW_PARTIALS_PROPERTY, JSON.stringify(partials));
+  } catch (e) {
+    // Prefill is a convenience; never block processing on it.
+    Logger.log(`[MANUAL_REVIEW WARN] Could not store partial parse for ${messageId}: ${e.message}`);
+  }
+}
+
+/**
+ * Converts a parser result into plain JSON (Dates as YYYY-MM-DD) for storage and for google.script.run.
+ * @param {object} parsedResult
+ * @returns {object}
+ * @private
+ */
+function _serializeParsedResult(parsedResult) {
+  const out = {};
+  Object.entries(parsedResult || {}).forEach(([key, value]) => {
+    out[key] = value instanceof Date ? Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy-MM-dd") : value;
+  });
+  return out;
+}
+
+/**
+ * Menu action: opens the Manual Review sidebar.
+ */
+function showManualReviewSidebar_UI() {
+  const html = HtmlService.createHtmlOutputFromFile('ManualReviewSidebar').setTitle('Manual Review Queue');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Lists the threads waiting in the Proposals Manual Review label. Called from the sidebar.
+ * Prefill comes from the stored partial parse, or the keyword parser when nothing was stored.
+ * @returns {{statuses: string[], items: Array<object>}}
+ */
+function getManualReviewQueue() {
+  const label = GmailApp.getUserLabelByName(TRACKER_GMAIL_LABEL_MANUAL_REVIEW);
+  const statuses = [...getStatusNames().filter(s => s !== MANUAL_REVIEW_NEEDED), NOT_A_PROPOSAL_STATUS]; // From StatusSettings.js
+  if (!label) return { statuses: statuses, items: [] };
+
+  const partials = JSON.parse(PropertiesService.getScriptProperties().getProperty(MANUAL_REVIEW_PARTIALS_PROPERTY) || "{}");
+  const items = label.getThreads(0, MANUAL_REVIEW_QUEUE_LIMIT).map(thread => {
+    const messages = thread.getMessages();
+    const message = messages[messages.length - 1];
+    const guess = partials[message.getId()] || parseProposalWithKeywords(message.getSubject(), message.getPlainBody(), message.getFrom()) || {};
+    const clean = v => (v === MANUAL_REVIEW_NEEDED || v === "N/A" || v === null || typeof v === 'undefined') ? "" : v;
+    return {
+      threadId: thread.getId(),
+      messageId: message.getId(),
+      subject: message.getSubject(),
+      from: message.getFrom(),
+      date: message.getDate().toISOString(),
+      snippet: message.getPlainBody().replace(/\s+/g, " ").trim().substring(0, 300),
+      parsedBy: guess.parsedBy || (partials[message.getId()] ? "" : PARSER_NAME_KEYWORD),
+      fields: {
+        funderName: clean(guess.funderName),
+        proposalTitle: clean(guess.proposalTitle),
+        submissionStatus: clean(guess.submissionStatus),
+        amountRequested: clean(guess.amountRequested),
+        amountAwarded: clean(guess.amountAwarded)
+      }
+    };
+  });
+  return { statuses: statuses, items: items };
+}
+
+/**
+ * Commits a corrected Manual Review item: writes it through _proposalDataHandler and moves the thread
+ * to the Processed label via applyFinalLabels. Called from the sidebar.
+ * @param {{threadId: string, messageId: string, funderName: string, proposalTitle: string, submissionStatus: string,
+ *   amountRequested: string, amountAwarded: string}} form The corrected fields.
+ * @returns {{success: boolean, message: string}}
+ */
+function commitManualReviewItem(form) {
+  const FUNC_NAME = "commitManualReviewItem";
+  const funderName = String(form.funderName || "").trim();
+  const proposalTitle = String(form.proposalTitle || "").trim() || "N/A";
+  const isNotAProposal = form.submissionStatus === NOT_A_PROPOSAL_STATUS;
+  if (!isNotAProposal && !funderName) throw new Error("Funder is required.");
+  if (!isNotAProposal && !isKnownStatus(form.submissionStatus)) throw new Error(`Unknown status "${form.submissionStatus}".`);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const dataSheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  const message = GmailApp.getMessageById(form.messageId);
+  const manualLbl = GmailApp.getUserLabelByName(TRACKER_GMAIL_LABEL_MANUAL_REVIEW);
+  const processedLbl = GmailApp.getUserLabelByName(TRACKER_GMAIL_LABEL_PROCESSED);
+  if (!dataSheet || !message || !manualLbl || !processedLbl) {
+    throw new Error("Proposals sheet, message or Gmail labels not found. Run the project setup first.");
+  }
+
+  // Key dates the parser found are carried over; the sidebar only corrects the core fields.
+  const partials = JSON.parse(scriptProperties.getProperty(MANUAL_REVIEW_PARTIALS_PROPERTY) || "{}");
+  const partial = partials[form.messageId] || {};
+  const correctedResult = {
+    funderName: funderName,
+    proposalTitle: proposalTitle,
+    submissionStatus: form.submissionStatus,
+    amountRequested: parseCurrencyAmount(form.amountRequested || null),
+    amountAwarded: parseCurrencyAmount(form.amountAwarded || null),
+    parsedBy: PARSER_NAME_MANUAL_REVIEW,
+    confirmedByUser: true
+  };
+  PROPOSAL_KEY_DATE_FIELDS.forEach(({ field }) => { correctedResult[field] = parseDateString(partial[field]); });
+
+  // Same lock as the engine: the index read and the row append must not interleave with a processing run.
+  const locked = withDocumentLock(FUNC_NAME, () => {
+    ensureProposalColumns(ss); // From ColumnMap.js
+    const proposalIndex = _buildProposalIndex(dataSheet.getDataRange().getValues(), ss);
+    const result = _proposalDataHandler(correctedResult, message, proposalIndex, dataSheet);
+    if (result.requiresManualReview) return result;
+
+    [].concat(result.updateInfo || []).forEach(update => dataSheet.getRange(update.row, 1, 1, update.values.length).setValues([update.values]));
+    if (result.newRowData && result.newRowData.length > 0) {
+      const rows = result.newRowData;
+      dataSheet.getRange(dataSheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    if (result.statusHistory) {
+      result.statusHistory.source = HISTORY_SOURCE_MANUAL_REVIEW;
+      appendStatusHistory(ss, [result.statusHistory]);
+    }
+    recordProcessedMessages(ss, [{ messageId: form.messageId, threadId: form.threadId, moduleName: "Proposal Tracker" }]);
+    return result;
+  });
+  if (!locked.acquired) {
+    return { success: false, message: "Email processing is running. Try again in a minute." };
+  }
+  const handlerResult = locked.result;
+  if (handlerResult.requiresManualReview) {
+    return { success: false, message: "These fields still need review. Check the funder and title." };
+  }
+  // The Manual Review label plays the "to process" role here: it is removed and Processed is added.
+  applyFinalLabels({ [form.threadId]: 'done' }, manualLbl, processedLbl, manualLbl);
+
+  delete partials[form.messageId];
+  scriptProperties.setProperty(MANUAL_REVIEW_PARTIALS_PROPERTY, JSON.stringify(partials));
+
+  const outcome = isNotAProposal ? "dismissed as not a proposal update"
+    : handlerResult.updateInfo ? `updated row ${handlerResult.updateInfo.row}` : "added as a new proposal";
+  Logger.log(`[${FUNC_NAME} INFO] Thread ${form.threadId} ${outcome}.`);
+  return { success: true, message: `Saved: ${outcome}.` };
+}
@@ -0,0 +1,273 @@
+/**
+ * @file Schema versions and upgrades. Each spreadsheet records the last migration step applied to it
+ * (SCHEMA_VERSION_PROPERTY, a document property). SCHEMA_MIGRATIONS lists the steps in order; "Upgrade this
+ * sheet" backs the spreadsheet up to Drive, then runs every step above the recorded version, recording the
+ * version after each one so a failed upgrade resumes where it stopped. Setup stamps new sheets with the latest
+ * version. To change the layout, append a step with the next version number; never edit or renumber a
+ * released step, since existing sheets have already applied it.
+ */
+
+// Ordered migration steps. run(ss) must be safe to repeat and returns what it changed.
+const SCHEMA_MIGRATIONS = [
+  { version: 1, description: `Rename a CareerSuite "${LEGACY_APP_TRACKER_SHEET_TAB_NAME}" sheet and its headers`, run: _migrateLegacySheetAndHeaders },
+  { version: 2, description: "Change CareerSuite job statuses to proposal statuses", run: _migrateLegacyStatuses },
+  { version: 3, description: `Add missing "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" columns`, run: _migrateAddProposalColumns },
+  { version: 4, description: "Rebuild the Dashboard and helper formulas", run: _migrateRebuildDashboard },
+  { version: 5, description: "Replace the old setup flag with the schema version", run: _migrateLegacySetupFlag },
+  { version: 6, description: "Fix the upcoming-deadlines formula", run: _migrateUpcomingDeadlinesFormula },
+  { version: 7, description: `Move the "thank you for your submission" hint to ${STATUS_SUBMITTED}`, run: _migrateSubmissionThanksHint }
+];
+
+/**
+ * @returns {number} The version a fully upgraded sheet has: the last step in SCHEMA_MIGRATIONS.
+ */
+function getLatestSchemaVersion() {
+  return SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+}
+
+/**
+ * Describes where this spreadsheet stands. A sheet without a recorded version is at version 0: either it was
+ * set up before schema versions existed (setupDone is still true) or setup has not run yet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{version: number, latest: number, recorded: boolean, setupDone: boolean,
+ *     pending: Array<{version: number, description: string}>}}
+ */
+function getSchemaStatus(ss) {
+  const stored = PropertiesService.getDocumentProperties().getProperty(SCHEMA_VERSION_PROPERTY);
+  const version = stored ? parseInt(stored, 10) || 0 : 0;
+  const legacySetup = PropertiesService.getScriptProperties().getProperty(LEGACY_SETUP_DONE_PROPERTY) === 'true' ||
+    !!(ss && ss.getSheetByName(LEGACY_APP_TRACKER_SHEET_TAB_NAME));
+  return {
+    version: version,
+    latest: getLatestSchemaVersion(),
+    recorded: !!stored,
+    setupDone: !!stored || legacySetup,
+    pending: SCHEMA_MIGRATIONS.filter(step => step.version > version).map(step => ({ version: step.version, description: step.description }))
+  };
+}
+
+/**
+ * Records that every step up to a version has been applied.
+ * @param {number} version
+ */
+function setSchemaVersion(version) {
+  PropertiesService.getDocumentProperties().setProperty(SCHEMA_VERSION_PROPERTY, String(version));
+}
+
+/**
+ * Runs the pending migration steps in order while holding the document lock, after copying the spreadsheet
+ * to Drive. Stops at the first step that fails; the steps before it stay recorded.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {{backup?: boolean}} [options] backup defaults to true.
+ * @returns {{success: boolean, messages: string[], fromVersion: number, toVersion: number, backupUrl: ?string}}
+ */
+function runSchemaMigrations(ss, options) {
+  const FUNC_NAME = "runSchemaMigrations";
+  const backup = !options || options.backup !== false;
+  const status = getSchemaStatus(ss);
+  const outcome = { success: true, messages: [], fromVersion: status.version, toVersion: status.version, backupUrl: null };
+  if (status.pending.length === 0) {
+    outcome.messages.push(`Already at the latest version (${status.latest}). Nothing to upgrade.`);
+    return outcome;
+  }
+  if (!ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME) && !ss.getSheetByName(LEGACY_APP_TRACKER_SHEET_TAB_NAME)) {
+    return { ...outcome, success: false, messages: [`No "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" sheet found. Run "Finalize Project Setup" instead.`] };
+  }
+
+  const locked = withDocumentLock(FUNC_NAME, () => { // From LockUtils.js
+    if (backup) {
+      const copy = backupSpreadsheet(ss, `before upgrade to v${status.latest}`);
+      outcome.backupUrl = copy.url;
+      outcome.messages.push(`Backup saved as "${copy.name}".`);
+    }
+    for (const step of SCHEMA_MIGRATIONS.filter(s => s.version > status.version)) {
+      try {
+        const result = step.run(ss);
+        setSchemaVersion(step.version);
+        outcome.toVersion = step.version;
+        outcome.messages.push(`v${step.version} ${step.description}: ${result}`);
+        Logger.log(`[${FUNC_NAME} INFO] Applied v${step.version} (${step.description}): ${result}`);
+      } catch (e) {
+        Logger.log(`[${FUNC_NAME} ERROR] v${step.version} (${step.description}) failed: ${e.toString()}\n${e.stack}`);
+        outcome.messages.push(`v${step.version} ${step.description}: FAILED - ${e.message}`);
+        outcome.success = false;
+        break;
+      }
+    }
+  });
+  if (!locked.acquired) {
+    return { ...outcome, success: false, messages: ["Another run is in progress. Nothing was changed; try again in a minute."] };
+  }
+  return outcome;
+}
+
+/**
+ * Copies the spreadsheet, script included, next to the original in Drive.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} reason Added to the copy's name, e.g. "before upgrade to v5".
+ * @returns {{name: string, url: string}}
+ */
+function backupSpreadsheet(ss, reason) {
+  const stamp = Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), "yyyy-MM-dd HHmm");
+  const name = `${ss.getName()} (backup ${reason} ${stamp})`;
+  const copy = DriveApp.getFileById(ss.getId()).makeCopy(name);
+  Logger.log(`[backupSpreadsheet INFO] Saved "${name}".`);
+  return { name: name, url: copy.getUrl() };
+}
+
+/**
+ * Menu action: lists the pending upgrade steps, then backs up and runs them after confirmation.
+ */
+function upgradeSheet_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const status = getSchemaStatus(ss);
+  if (status.pending.length === 0) {
+    ui.alert('Upgrade This Sheet', `This sheet is up to date (version ${status.version}).`, ui.ButtonSet.OK);
+    return;
+  }
+  if (!status.setupDone) {
+    ui.alert('Upgrade This Sheet', 'This sheet has not been set up yet. Run "🚀 Finalize Project Setup" instead; it sets up the latest version.', ui.ButtonSet.OK);
+    return;
+  }
+  const steps = status.pending.map(step => `- v${step.version}: ${step.description}`).join("\n");
+  const confirm = ui.alert('Upgrade This Sheet',
+    `This sheet is at version ${status.version}; the latest is ${status.latest}. These steps will run:\n\n${steps}\n\n` +
+    'A copy of the spreadsheet is saved to Google Drive first. Continue?', ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) return;
+
+  const result = runSchemaMigrations(ss);
+  const backupNote = result.backupUrl ? `\n\nBackup: ${result.backupUrl}` : "";
+  ui.alert(result.success ? 'Upgrade Complete' : 'Upgrade Stopped',
+    `${result.messages.join("\n")}\n\nVersion ${result.fromVersion} → ${result.toVersion}.` +
+    (result.success ? "" : " Fix the problem above and run the upgrade again; it continues from the failed step.") + backupNote,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * v1: renames a CareerSuite "Applications" sheet to Proposals and its headers to the Proposals headers.
+ * A header is only renamed when the Proposals column it maps to is missing.
+ * @private
+ */
+function _migrateLegacySheetAndHeaders(ss) {
+  const changes = [];
+  let sheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  const legacySheet = ss.getSheetByName(LEGACY_APP_TRACKER_SHEET_TAB_NAME);
+  if (!sheet && legacySheet) {
+    legacySheet.setName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+    sheet = legacySheet;
+    changes.push(`renamed "${LEGACY_APP_TRACKER_SHEET_TAB_NAME}" to "${PROPOSAL_TRACKER_SHEET_TAB_NAME}"`);
+  }
+  if (!sheet || sheet.getLastColumn() === 0) return changes.length > 0 ? `${changes.join("; ")}.` : "nothing to rename.";
+
+  const resolved = resolveProposalColumns(sheet); // From ColumnMap.js
+  const missing = [...resolved.missingRequired, ...resolved.missingOptional];
+  const headerRow = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  Object.entries(LEGACY_PROPOSAL_HEADERS).filter(([key]) => missing.includes(key)).forEach(([key, oldHeaders]) => {
+    const oldNames = oldHeaders.map(_normalizeColumnHeader); // From ColumnMap.js
+    const index = headerRow.findIndex(header => oldNames.includes(_normalizeColumnHeader(header)));
+    if (index === -1) return;
+    sheet.getRange(1, index + 1).setValue(PROPOSAL_COLUMNS[key].header);
+    changes.push(`header "${headerRow[index]}" → "${PROPOSAL_COLUMNS[key].header}"`);
+  });
+  return changes.length > 0 ? `${changes.join("; ")}.` : "nothing to rename.";
+}
+
+/**
+ * v2: changes CareerSuite job statuses in the Status and Peak Status columns to the matching proposal status.
+ * @private
+ */
+function _migrateLegacyStatuses(ss) {
+  const sheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return "no rows to check.";
+  const resolved = resolveProposalColumns(sheet); // From ColumnMap.js
+  if (!resolved.columns.STATUS) throw new Error(`The "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" sheet has no ${describeProposalColumn('STATUS')} column.`);
+  const statusMap = new Map(Object.entries(LEGACY_STATUS_MAP).map(([oldStatus, newStatus]) => [oldStatus.toLowerCase(), newStatus]));
+
+  let changed = 0;
+  [resolved.columns.STATUS, resolved.columns.PEAK_STATUS].filter(Boolean).forEach(col => {
+    const range = sheet.getRange(2, col, sheet.getLastRow() - 1, 1);
+    const values = range.getValues();
+    let columnChanged = false;
+    values.forEach(row => {
+      const newStatus = statusMap.get(String(row[0]).trim().toLowerCase());
+      if (!newStatus) return;
+      row[0] = newStatus;
+      columnChanged = true;
+      changed++;
+    });
+    if (columnChanged) range.setValues(values);
+  });
+  return changed > 0 ? `changed ${changed} status cell(s).` : "no CareerSuite statuses found.";
+}
+
+/**
+ * v3: adds the Proposals columns the sheet is missing after the last column.
+ * @private
+ */
+function _migrateAddProposalColumns(ss) {
+  const sheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  const missing = sheet ? resolveProposalColumns(sheet).missingOptional : []; // From ColumnMap.js
+  ensureProposalColumns(ss); // From ColumnMap.js
+  return missing.length > 0 ? `added ${missing.map(key => `"${PROPOSAL_COLUMNS[key].header}"`).join(", ")}.` : "all columns present.";
+}
+
+/**
+ * v4: rewrites the Dashboard, helper formulas and Status validation for the current column positions.
+ * @private
+ */
+function _migrateRebuildDashboard(ss) {
+  const dashboardSheet = getOrCreateDashboardSheet(ss); // From Dashboard.js
+  const helperSheet = getOrCreateHelperSheet(ss); // From Dashboard.js
+  formatDashboardSheet(dashboardSheet);
+  setupHelperSheetFormulas(helperSheet);
+  updateDashboardMetrics(dashboardSheet, helperSheet);
+  if (!helperSheet.isSheetHidden()) helperSheet.hideSheet();
+  applyStatusValidation(ss); // From StatusSettings.js
+  return "Dashboard, charts and helper formulas rebuilt.";
+}
+
+/**
+ * v5: removes the setup flag older versions kept in script properties; the schema version replaces it.
+ * @private
+ */
+function _migrateLegacySetupFlag(ss) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  if (scriptProperties.getProperty(LEGACY_SETUP_DONE_PROPERTY) === null) return "no old flag stored.";
+  scriptProperties.deleteProperty(LEGACY_SETUP_DONE_PROPERTY);
+  return `removed "${LEGACY_SETUP_DONE_PROPERTY}".`;
+}
+
+/**
+ * v6: rewrites the status-dependent formulas, so the upcoming-deadlines list is built with ARRAYFORMULA.
+ * @private
+ */
+function _migrateUpcomingDeadlinesFormula(ss) {
+  if (!ss.getSheetByName(HELPER_SHEET_NAME)) return `no "${HELPER_SHEET_NAME}" sheet.`;
+  loadProposalColumns(ss); // From ColumnMap.js
+  loadStatusSettings(ss); // From StatusSettings.js
+  refreshStatusDependentFormulas(ss); // From Dashboard.js
+  return "formulas rewritten.";
+}
+
+/**
+ * v7: moves the "thank you for your submission" hint from Under Review to Submitted on the Settings sheet,
+ * so the keyword parser reads a plain submission confirmation as Submitted.
+ * @private
+ */
+function _migrateSubmissionThanksHint(ss) {
+  const sheet = ss.getSheetByName(SETTINGS_SHEET_TAB_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return `no "${SETTINGS_SHEET_TAB_NAME}" sheet.`;
+  const hint = "thank you for your submission";
+  const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4);
+  const rows = range.getValues();
+  const hints = row => String(row[3] || "").split(",").map(k => k.trim()).filter(Boolean);
+  const reviewRow = rows.find(r => String(r[0]).trim() === STATUS_UNDER_REVIEW);
+  const submittedRow = rows.find(r => String(r[0]).trim() === STATUS_SUBMITTED);
+  if (!reviewRow || !hints(reviewRow).some(k => k.toLowerCase() === hint)) return "hint not listed under Under Review.";
+  reviewRow[3] = hints(reviewRow).filter(k => k.toLowerCase() !== hint).join(", ");
+  if (submittedRow && !hints(submittedRow).some(k => k.toLowerCase() === hint)) submittedRow[3] = [...hints(submittedRow), hint].join(", ");
+  range.setValues(rows);
+  loadStatusSettings(ss); // From StatusSettings.js
+  return `moved "${hint}" to ${STATUS_SUBMITTED}.`;
+}
@@ -22,9 +22,12 @@ function _setupModule(config) {
     } else {
       Logger.log(`[${FUNC_NAME} INFO] Found existing sheet: "${config.sheetTabName}".`);
     }
-    if (!setupSheetFormatting(dataSh, config.sheetHeaders, config.columnWidths, true, config.bandingTheme)) {
+    // A sheet whose columns are found by header keeps its own header row: users may have reordered or added columns.
+    const keepHeaders = !!config.columnResolver && dataSh.getLastColumn() > 0;
+    if (!setupSheetFormatting(dataSh, keepHeaders ? null : config.sheetHeaders, keepHeaders ? null : config.columnWidths, true, config.bandingTheme)) {
       throw new Error(`Formatting failed for "${config.sheetTabName}".`);
     }
+    if (config.columnResolver) config.columnResolver(activeSS); // Adds missing columns, or throws if a required one is gone.
     dataSh.setTabColor(config.tabColor);
     messages.push(`Sheet '${config.sheetTabName}': Setup OK. Color: ${config.tabColor}.`);
   } catch (e) {
@@ -66,23 +69,27 @@ function _setupModule(config) {
       // Filter Creation
       const filterQuery = config.gmailFilterQuery; // from Config.gs
       const gmailApiServiceForFilter = Gmail; // Advanced Gmail Service
-      let filterExists = false;
+      let existingFilterId = null;
       const existingFiltersResponse = gmailApiServiceForFilter.Users.Settings.Filters.list('me');
       const existingFiltersList = (existingFiltersResponse && existingFiltersResponse.filter && Array.isArray(existingFiltersResponse.filter)) ? existingFiltersResponse.filter : [];
 
       for (const filterItem of existingFiltersList) {
         if (filterItem.criteria?.query === filterQuery && filterItem.action?.addLabelIds?.includes(trackerToProcessLabelId)) {
-          filterExists = true; break;
+          existingFilterId = filterItem.id; break;
         }
       }
-      if (!filterExists) {
+      if (!existingFilterId) {
         const filterResource = { criteria: { query: filterQuery }, action: { addLabelIds: [trackerToProcessLabelId] } };
         const createdFilterResponse = gmailApiServiceForFilter.Users.Settings.Filters.create(filterResource, 'me');
         if (!createdFilterResponse || !createdFilterResponse.id) {
           throw new Error(`Gmail filter creation for tracker FAILED or did not return ID. Response: ${JSON.stringify(createdFilterResponse)}`);
         }
+        recordInstalledFilter(createdFilterResponse.id, filterQuery); // From Uninstall.js
         messages.push("Tracker Filter: CREATED.");
-      } else { messages.push("Tracker Filter: Exists."); }
+      } else {
+        recordInstalledFilter(existingFilterId, filterQuery); // From Uninstall.js
+        messages.push("Tracker Filter: Exists.");
+      }
 
     } catch (e) {
       Logger.log(`[${FUNC_NAME} ERROR] Gmail Label/Filter setup: ${e.toString()}`);
@@ -91,14 +98,14 @@ function _setupModule(config) {
   }
 
 // START SNIPPET 6A: Replace the dummy data line in ModuleUtils.js
-if (moduleSuccess && dataSh && dataSh.getLastRow() <= 1) {
+if (moduleSuccess && config.seedDummyData && dataSh && dataSh.getLastRow() <= 1) {
     Logger.log(`[${FUNC_NAME} INFO] Adding dummy data to "${config.sheetTabName}".`);
     try {
         const today = new Date();
         const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
         const dummyRows = [
-            [new Date(), weekAgo, "Demo Foundation", "Community Arts Project", STATUS_SUBMITTED, STATUS_SUBMITTED, weekAgo, 5000, 0, "Initial Submission", "http://example.com", "dummy1", "Notes here"],
-            [new Date(), today, "Tech Grant Initiative", "STEM Education Program", STATUS_UNDER_REVIEW, STATUS_UNDER_REVIEW, today, 25000, 0, "Follow-up Email", "http://example.com", "dummy2", "Pending response"]
+            [new Date(), weekAgo, "Demo Foundation", "Community Arts Project", STATUS_SUBMITTED, STATUS_SUBMITTED, weekAgo, 5000, 0, "Initial Submission", "http://example.com", DUMMY_PROPOSAL_EMAIL_IDS[0], "Notes here"],
+            [new Date(), today, "Tech Grant Initiative", "STEM Education Program", STATUS_UNDER_REVIEW, STATUS_UNDER_REVIEW, today, 25000, 0, "Follow-up Email", "http://example.com", DUMMY_PROPOSAL_EMAIL_IDS[1], "Pending response"]
         ];
         const sizedDummyRows = dummyRows.map(r => {
             while (r.length < config.sheetHeaders.length) r.push("");
@@ -116,7 +123,7 @@ if (moduleSuccess && dataSh && dataSh.getLastRow() <= 1) {
   if (moduleSuccess) {
     Logger.log(`[${FUNC_NAME} INFO] Setting up triggers for ${config.moduleName} module...`);
     try { // Assumes createTimeDrivenTrigger & createOrVerifyStaleRejectTrigger are in Triggers.gs
-      if (createTimeDrivenTrigger(config.triggerFunctionName, config.triggerIntervalHours)) messages.push(`Trigger '${config.triggerFunctionName}': CREATED.`);
+      if (createTimeDrivenTrigger(config.triggerFunctionName, config.triggerIntervalHours, config.triggerAtHour)) messages.push(`Trigger '${config.triggerFunctionName}': CREATED.`);
       else messages.push(`Trigger '${config.triggerFunctionName}': Exists/Verified.`);
       if (config.staleRejectFunctionName) {
         if (createOrVerifyStaleProposalTrigger()) messages.push(`Trigger 'markStaleProposals': CREATED.`);
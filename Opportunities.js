@@ -0,0 +1,185 @@
+/**
+ * @file Opportunities module: parses funding-opportunity (RFP) alert emails into the Opportunities sheet.
+ * Reuses the generic module setup (_setupModule) and the shared _processingEngine.
+ */
+
+/**
+ * Sets up the Opportunities module: sheet, Gmail labels & filter, and processing trigger.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function initialSetup_Opportunities(activeSS) {
+    const opportunitiesConfig = {
+        activeSS: activeSS,
+        moduleName: "Opportunity Tracker",
+        sheetTabName: OPPORTUNITIES_SHEET_TAB_NAME,
+        sheetHeaders: OPPORTUNITIES_SHEET_HEADERS,
+        columnWidths: OPPORTUNITIES_SHEET_COLUMN_WIDTHS.map((w, i) => ({ col: i + 1, width: w })),
+        bandingTheme: SpreadsheetApp.BandingTheme.LIGHT_GREY,
+        tabColor: BRAND_COLORS.HUNYADI_YELLOW,
+        gmailLabelParent: OPPORTUNITIES_GMAIL_LABEL_PARENT,
+        gmailLabelToProcess: OPPORTUNITIES_GMAIL_LABEL_TO_PROCESS,
+        gmailLabelProcessed: OPPORTUNITIES_GMAIL_LABEL_PROCESSED,
+        gmailLabelManualReview: OPPORTUNITIES_GMAIL_LABEL_MANUAL_REVIEW,
+        gmailFilterQuery: getConfigValue('OPPORTUNITIES_GMAIL_FILTER_QUERY'), // From RuntimeConfig.js
+        triggerFunctionName: 'processOpportunities_triggerHandler',
+        triggerIntervalHours: getConfigValue('OPPORTUNITIES_TRIGGER_HOURS')
+    };
+    return _setupModule(opportunitiesConfig);
+}
+
+/**
+ * Trigger handler for opportunity alert processing.
+ */
+function processOpportunities_triggerHandler() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const scriptProperties = PropertiesService.getScriptProperties();
+    Logger.log('Opportunity email processing trigger started.');
+    processOpportunityEmails(ss, scriptProperties);
+    Logger.log('Opportunity email processing trigger finished.');
+}
+
+/**
+ * One-off trigger handler scheduled by _processingEngine when a run stops before the label is drained.
+ */
+function processOpportunities_continuationHandler() {
+    Logger.log('Opportunity email processing continuation started.');
+    processOpportunityEmails(SpreadsheetApp.getActiveSpreadsheet(), PropertiesService.getScriptProperties(), { continuation: true });
+}
+
+/**
+ * Main "stub" function for processing funding-opportunity alert emails.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {GoogleAppsScript.Properties.Properties} scriptProperties
+ * @param {{preview?: boolean, continuation?: boolean}} [options] See _processingEngine.
+ * @returns {number|undefined} In preview mode, the number of changes written to the Preview sheet.
+ */
+function processOpportunityEmails(ss, scriptProperties, options) {
+    const opportunityProcessingConfig = {
+        moduleName: "Opportunity Tracker",
+        sheetTabName: OPPORTUNITIES_SHEET_TAB_NAME,
+        parserFunction: _opportunityListParser,
+        dataHandler: _opportunityDataHandler,
+        indexBuilder: _buildOpportunityIndex,
+        gmailLabelToProcess: OPPORTUNITIES_GMAIL_LABEL_TO_PROCESS,
+        gmailLabelProcessed: OPPORTUNITIES_GMAIL_LABEL_PROCESSED,
+        gmailLabelManualReview: OPPORTUNITIES_GMAIL_LABEL_MANUAL_REVIEW,
+        continuationFunctionName: 'processOpportunities_continuationHandler',
+        messageIdColumns: [OPP_EMAIL_ID_COL]
+    };
+    return _processingEngine(opportunityProcessingConfig, ss, scriptProperties, options);
+}
+
+/**
+ * Parser function specific to the Opportunities module.
+ * @param {string} subject
+ * @param {string} body
+ * @param {object} llmConfig The AI provider config from getLlmProviderConfig().
+ * @returns {Array<object>|null}
+ */
+function _opportunityListParser(subject, body, llmConfig) {
+    return callGemini_forOpportunities(subject, body, llmConfig);
+}
+
+/**
+ * Builds the de-duplication key for an opportunity: its URL when present, otherwise funder + program name.
+ * @param {string} funderName
+ * @param {string} programName
+ * @param {string} url
+ * @returns {string|null} The key, or null if the opportunity cannot be identified.
+ * @private
+ */
+function _opportunityKey(funderName, programName, url) {
+    const cleanUrl = String(url || "").trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, "").replace(/[?#].*$/, "").replace(/\/+$/, "");
+    if (cleanUrl && cleanUrl !== "n/a") return `url:${cleanUrl}`;
+    const normalize = v => String(v || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+    const funder = normalize(funderName), program = normalize(programName);
+    if ((!funder || funder === "n a") && (!program || program === "n a")) return null;
+    return `name:${funder}|${program}`;
+}
+
+/**
+ * Builds the lookup index over existing Opportunities rows. Each row is indexed under
+ * both its URL key and its funder/program key so either can match a later alert.
+ * @param {Array<Array<*>>} allSheetData All values of the data sheet, including the header row.
+ * @returns {Map<string, {row: number|null, rowData: Array<*>}>}
+ */
+function _buildOpportunityIndex(allSheetData) {
+    const index = new Map();
+    for (let i = 1; i < allSheetData.length; i++) {
+        const rowData = allSheetData[i];
+        const entry = { row: i + 1, rowData: rowData };
+        const funder = rowData[OPP_FUNDER_COL - 1], program = rowData[OPP_PROGRAM_COL - 1];
+        [_opportunityKey(funder, program, rowData[OPP_URL_COL - 1]), _opportunityKey(funder, program, "")]
+            .forEach(key => { if (key && !index.has(key)) index.set(key, entry); });
+    }
+    return index;
+}
+
+/**
+ * Data handler for the Opportunities module. Appends new opportunities and removes duplicates
+ * across alerts: an opportunity already in the sheet (or seen earlier in this run) only has its
+ * blank fields filled in from the newer alert.
+ * @param {Array<object>|null} opportunities Parsed opportunities from the alert email.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The source message.
+ * @param {Map<string, {row: number|null, rowData: Array<*>}>} opportunityIndex Lookup index (mutated to include new rows).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet
+ * @returns {{updateInfo?: Array<{row: number, values: Array<*>}>, newRowData?: Array<Array<*>>, requiresManualReview: boolean}}
+ */
+function _opportunityDataHandler(opportunities, message, opportunityIndex, dataSheet) {
+    if (!Array.isArray(opportunities)) return { requiresManualReview: true };
+
+    const updateInfo = [];
+    const newRowData = [];
+    const fillableCols = {
+        [OPP_DEADLINE_COL]: 'deadline', [OPP_AWARD_RANGE_COL]: 'awardRange',
+        [OPP_ELIGIBILITY_COL]: 'eligibility', [OPP_URL_COL]: 'url'
+    };
+
+    for (const opp of opportunities) {
+        const urlKey = _opportunityKey(opp.funderName, opp.programName, opp.url);
+        const nameKey = _opportunityKey(opp.funderName, opp.programName, "");
+        if (!urlKey) continue;
+        const existing = opportunityIndex.get(urlKey) || (nameKey && opportunityIndex.get(nameKey));
+
+        if (existing) {
+            // --- DUPLICATE: only fill blanks ---
+            let changed = false;
+            for (const [col, field] of Object.entries(fillableCols)) {
+                const current = String(existing.rowData[col - 1] || "").trim();
+                if ((!current || current === "N/A") && opp[field] && opp[field] !== "N/A") {
+                    existing.rowData[col - 1] = opp[field];
+                    changed = true;
+                }
+            }
+            // Rows created earlier in this run (row === null) are updated in place before they are written.
+            if (changed && existing.row) {
+                updateInfo.push({ row: existing.row, values: existing.rowData });
+            }
+            if (DEBUG_MODE) Logger.log(`[OPPORTUNITIES DEBUG] Duplicate "${opp.programName}" (${opp.funderName}). Changed: ${changed}.`);
+            continue;
+        }
+
+        // --- NEW OPPORTUNITY ---
+        const row = new Array(TOTAL_COLUMNS_IN_OPPORTUNITIES_SHEET).fill("");
+        row[OPP_DATE_ADDED_COL - 1] = message.getDate();
+        row[OPP_FUNDER_COL - 1] = opp.funderName;
+        row[OPP_PROGRAM_COL - 1] = opp.programName;
+        row[OPP_DEADLINE_COL - 1] = opp.deadline;
+        row[OPP_AWARD_RANGE_COL - 1] = opp.awardRange;
+        row[OPP_ELIGIBILITY_COL - 1] = opp.eligibility;
+        row[OPP_URL_COL - 1] = opp.url;
+        row[OPP_STATUS_COL - 1] = DEFAULT_OPPORTUNITY_STATUS;
+        row[OPP_EMAIL_SUBJ_COL - 1] = message.getSubject();
+        row[OPP_EMAIL_ID_COL - 1] = message.getId();
+        row[OPP_PROC_TS_COL - 1] = new Date();
+        newRowData.push(row);
+
+        const entry = { row: null, rowData: row };
+        opportunityIndex.set(urlKey, entry);
+        if (nameKey) opportunityIndex.set(nameKey, entry);
+    }
+
+    Logger.log(`[OPPORTUNITIES] Message ${message.getId()}: ${opportunities.length} parsed, ${newRowData.length} new, ${updateInfo.length} updated.`);
+    return { updateInfo: updateInfo, newRowData: newRowData, requiresManualReview: false };
+}
@@ -1,11 +1,12 @@
 /**
  * @file Contains functions dedicated to parsing email content (subject, body, sender)
- * using regular expressions and keyword matching to extract job application details.
+ * using regular expressions and keyword matching to extract grant proposal details. Also serves as the
+ * offline fallback parser when Gemini is unavailable.
  */
 
 /**
  * Parses the email body for keywords to determine the proposal status.
- * It uses predefined keyword lists from `Config.js`.
+ * The keyword hints come from the Settings sheet (StatusSettings.js).
  * @param {string} plainBody The plain text body of the email.
  * @returns {string|null} The determined status or null if no keywords are matched.
  */
@@ -14,23 +15,139 @@ function parseBodyForStatus(plainBody) {
     if (DEBUG_MODE) Logger.log("[PARSING_UTILS] Body too short for status parse.");
     return null;
   }
-  // Normalize the text for reliable matching
-  let bL = plainBody.toLowerCase().replace(/[.,!?;:()\[\]{}'"“”‘’\-–—]/g, ' ').replace(/\s+/g, ' ').trim();
-  
-  // Keywords are sourced from your new Config.js
-  if (AWARDED_KEYWORDS.some(k => bL.includes(k))) {
-    Logger.log(`[PARSING_UTILS] Matched AWARDED_STATUS.`);
-    return STATUS_AWARDED;
+  const status = matchStatusKeywords(plainBody);
+  if (status) {
+    Logger.log(`[PARSING_UTILS] Matched status "${status}".`);
+  } else if (DEBUG_MODE) {
+    Logger.log("[PARSING_UTILS] No specific status keywords found by regex.");
   }
-  if (UNDER_REVIEW_KEYWORDS.some(k => bL.includes(k))) {
-    Logger.log(`[PARSING_UTILS] Matched UNDER_REVIEW_STATUS.`);
-    return STATUS_UNDER_REVIEW;
+  return status;
+}
+
+/**
+ * Parses a currency string such as "$25,000", "USD 1.2M", "$50K" or "1.5 million" into a number.
+ * @param {string|number|null} value The amount as written in the email (or already a number).
+ * @returns {number|null} The amount in whole currency units, or null if no amount could be parsed.
+ */
+function parseCurrencyAmount(value) {
+  if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+  if (value === null || typeof value === 'undefined') return null;
+  const text = String(value).toLowerCase().replace(/usd|us\$|dollars?/g, ' ').replace(/[$,\s]/g, '');
+  if (!text || text === 'n/a') return null;
+
+  const match = text.match(/^(\d+(?:\.\d+)?)(k|thousand|m|mm|million|b|bn|billion)?/);
+  if (!match) {
+    if (DEBUG_MODE) Logger.log(`[PARSING_UTILS] Could not parse currency amount from "${value}".`);
+    return null;
   }
-  if (DECLINED_KEYWORDS.some(k => bL.includes(k))) {
-    Logger.log(`[PARSING_UTILS] Matched DECLINED_STATUS.`);
-    return STATUS_DECLINED;
+  const multipliers = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+  const amount = parseFloat(match[1]) * (match[2] ? multipliers[match[2]] : 1);
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Parses a date string returned by the parser (preferably "YYYY-MM-DD") into a Date.
+ * ISO dates are read as local calendar dates so they do not shift a day across time zones.
+ * @param {string|Date|null} value The date as returned by the parser.
+ * @returns {Date|null} The parsed date, or null if missing or unparseable.
+ */
+function parseDateString(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (value === null || typeof value === 'undefined') return null;
+  const text = String(value).trim();
+  if (!text || text.toUpperCase() === 'N/A') return null;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(text);
+  if (isNaN(date.getTime())) {
+    if (DEBUG_MODE) Logger.log(`[PARSING_UTILS] Could not parse date from "${value}".`);
+    return null;
   }
+  return date;
+}
 
-  if (DEBUG_MODE) Logger.log("[PARSING_UTILS] No specific status keywords found by regex.");
-  return null; // No specific status matched
+/**
+ * Offline fallback parser for proposal emails, used when Gemini is unavailable.
+ * Status comes from keyword matching; the funder from the subject line or the sender's domain.
+ * @param {string} subject The email subject.
+ * @param {string} plainBody The plain text body of the email.
+ * @param {string} sender The raw "From" header (e.g., "Grants Team <grants@kresge.org>").
+ * @returns {{funderName: string, proposalTitle: string, submissionStatus: string, amountRequested: null, amountAwarded: null}|null}
+ *   Parsed details in the same shape as callGemini_forProposalStatus, or null if the email has no recognizable status.
+ */
+function parseProposalWithKeywords(subject, plainBody, sender) {
+  const text = `${subject || ""}\n${plainBody || ""}`;
+  const status = parseBodyForStatus(text);
+  if (!status) {
+    Logger.log(`[PARSING_UTILS] Keyword fallback found no status for "${subject}".`);
+    return null;
+  }
+
+  const funderName = detectFunderFromSubject(subject) || detectFunderFromSender(sender) || MANUAL_REVIEW_NEEDED;
+  // Without a title the email could only start a junk row, so it goes to Manual Review unless its thread is linked.
+  const proposalTitle = detectProposalTitleFromSubject(subject) || MANUAL_REVIEW_NEEDED;
+  Logger.log(`[PARSING_UTILS] Keyword fallback. F:"${funderName}", T:"${proposalTitle}", S:"${status}"`);
+  return {
+    funderName: funderName,
+    proposalTitle: proposalTitle,
+    submissionStatus: status,
+    amountRequested: null,
+    amountAwarded: null
+  };
+}
+
+/**
+ * Finds an organization name in a subject line, e.g. "Your proposal to The Kresge Foundation" -> "The Kresge Foundation".
+ * @param {string} subject The email subject.
+ * @returns {string|null} The funder name or null if none was found.
+ */
+function detectFunderFromSubject(subject) {
+  if (!subject) return null;
+  const suffixPattern = FUNDER_NAME_SUFFIXES.join("|");
+  const re = new RegExp(`((?:The\\s+)?(?:[A-Z][\\w&.'-]*\\s+){1,5}(?:${suffixPattern}))\\b`);
+  const match = String(subject).match(re);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Derives a funder name from the sender: the display name if it looks like an organization,
+ * otherwise the sender's domain (e.g., "grants@gatesfoundation.org" -> "Gates Foundation").
+ * @param {string} sender The raw "From" header.
+ * @returns {string|null} The funder name or null for free-mail and grant-portal senders.
+ */
+function detectFunderFromSender(sender) {
+  if (!sender) return null;
+  const displayName = String(sender).replace(/<[^>]*>/, "").replace(/"/g, "").trim();
+  const fromDisplayName = detectFunderFromSubject(displayName);
+  if (fromDisplayName) return fromDisplayName;
+
+  const emailMatch = String(sender).match(/@([\w.-]+)/);
+  if (!emailMatch) return null;
+  const domain = emailMatch[1].toLowerCase();
+  if (NON_FUNDER_SENDER_DOMAINS.some(d => domain === d || domain.endsWith(`.${d}`))) return null;
+
+  const parts = domain.split(".");
+  if (parts.length < 2) return null;
+  const orgLabel = parts[parts.length - 2];
+  const suffixRe = new RegExp(`(${FUNDER_NAME_SUFFIXES.join("|")})$`, "i");
+  return orgLabel
+    .replace(suffixRe, " $1")
+    .split(/[-\s]+/)
+    .filter(Boolean)
+    .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+/**
+ * Extracts a proposal title from common subject phrasings, e.g. 'Re: Your application for "Youth STEM Initiative"'.
+ * @param {string} subject The email subject.
+ * @returns {string|null} The title or null if none was found.
+ */
+function detectProposalTitleFromSubject(subject) {
+  if (!subject) return null;
+  const cleaned = String(subject).replace(/^((re|fwd?|fw)\s*:\s*)+/i, "").trim();
+  const quoted = cleaned.match(/["“']([^"”']{4,120})["”']/);
+  if (quoted) return quoted[1].trim();
+  const phrased = cleaned.match(/(?:proposal|application|grant request|LOI)\s+(?:for|titled|entitled|re:?)\s+(.{4,120}?)(?:\s+[-–|]\s+.*)?$/i);
+  return phrased ? phrased[1].trim() : null;
 }
@@ -0,0 +1,269 @@
+/**
+ * @file Dry-run previews. _processingEngine and markStaleProposals can write the changes they would make to
+ * the Preview sheet as a cell-level diff instead of applying them; applyPreview then commits exactly those
+ * changes (data cells, appended rows, status history, ledger entries and thread labels), and sends the
+ * follow-up reminders for stale-check rows it moves to a reminder step. Each preview replaces the previous one.
+ */
+
+/**
+ * Writes an engine run's planned changes to the Preview sheet. Called by _processingEngine in preview mode.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {object} config The module's processing config.
+ * @param {{headers: Array<string>, originalSheetData: Array<Array<*>>, dataToUpdate: Array<{row: number, values: Array<*>}>,
+ *   newRowsData: Array<Array<*>>, changeSources: Map<object, GoogleAppsScript.Gmail.GmailMessage>,
+ *   finishedOutcomes: Object<string, string>, ledgerEntries: Array<{messageId: string, threadId: string}>}|null} plan
+ *   The batch results, or null when nothing was queued.
+ * @returns {number} The number of changes written.
+ */
+function writeProcessingPreview(ss, config, plan) {
+  if (!plan) return _writePreviewRows(ss, []);
+  const rows = _diffSheetChanges(config.moduleName, config.sheetTabName, plan.headers, plan.originalSheetData,
+    plan.dataToUpdate, plan.newRowsData, plan.changeSources);
+
+  const ledgerIdsByThread = {};
+  plan.ledgerEntries.forEach(entry => (ledgerIdsByThread[entry.threadId] = ledgerIdsByThread[entry.threadId] || []).push(entry.messageId));
+  Object.entries(plan.finishedOutcomes).forEach(([threadId, outcome]) => {
+    const targetLabel = outcome === 'manual' ? (config.gmailLabelManualReview || config.gmailLabelProcessed) : config.gmailLabelProcessed;
+    rows.push([PREVIEW_CHANGE_LABEL, config.moduleName, "", "", "", config.gmailLabelToProcess, targetLabel, "",
+      (ledgerIdsByThread[threadId] || []).join(","), threadId]);
+  });
+  return _writePreviewRows(ss, rows);
+}
+
+/**
+ * Writes a stale check's planned changes to the Preview sheet. Called by markStaleProposals in preview mode.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Array<Array<*>>} originalValues The Proposals sheet values before the check, including the header row.
+ * @param {Array<{row: number, values: Array<*>}>} updates The rows the check would rewrite.
+ * @returns {number} The number of changes written.
+ */
+function writeStalePreview(ss, originalValues, updates) {
+  return _writePreviewRows(ss, _diffSheetChanges(PREVIEW_MODULE_STALE, PROPOSAL_TRACKER_SHEET_TAB_NAME, originalValues[0],
+    originalValues, updates, [], new Map()));
+}
+
+/**
+ * Commits the changes listed on the Preview sheet, then deletes it. Nothing is written if any previewed
+ * cell has changed since the preview, or rows were added to a sheet that the preview appends to. Stale-check
+ * rows written with a new reminder or stale-flag step get their follow-up email, which the preview held back.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{success: boolean, message: string}}
+ */
+function applyPreview(ss) {
+  const FUNC_NAME = "applyPreview";
+  const previewSheet = ss.getSheetByName(PREVIEW_SHEET_TAB_NAME);
+  if (!previewSheet || previewSheet.getLastRow() < 2) {
+    return { success: false, message: "There is no preview to apply. Run one of the previews first." };
+  }
+  const changes = previewSheet.getRange(2, 1, previewSheet.getLastRow() - 1, PREVIEW_SHEET_HEADERS.length).getValues()
+    .map(r => ({ change: r[0], module: r[1], sheet: r[2], row: Number(r[3]), column: r[4], oldValue: r[5], newValue: r[6], messageId: String(r[8]), threadId: String(r[9]) }));
+  const cellChanges = changes.filter(c => c.change === PREVIEW_CHANGE_UPDATE || c.change === PREVIEW_CHANGE_NEW_ROW);
+  const labelChanges = changes.filter(c => c.change === PREVIEW_CHANGE_LABEL);
+
+  const locked = withDocumentLock(FUNC_NAME, () => {
+    // 1. Check every sheet against the preview before writing anything.
+    const targets = {};
+    for (const sheetName of [...new Set(cellChanges.map(c => c.sheet))]) {
+      const sheet = ss.getSheetByName(sheetName);
+      if (!sheet) return { success: false, message: `Sheet "${sheetName}" not found.` };
+      const values = sheet.getDataRange().getValues();
+      const conflicts = [];
+      const sheetChanges = cellChanges.filter(c => c.sheet === sheetName);
+      sheetChanges.forEach(c => {
+        c.col = values[0].indexOf(c.column);
+        if (c.col === -1) conflicts.push(`column "${c.column}" not found`);
+        else if (c.change === PREVIEW_CHANGE_UPDATE && !_samePreviewValue(values[c.row - 1] && values[c.row - 1][c.col], c.oldValue)) {
+          conflicts.push(`row ${c.row} "${c.column}"`);
+        }
+      });
+      const newRowNumbers = sheetChanges.filter(c => c.change === PREVIEW_CHANGE_NEW_ROW).map(c => c.row);
+      if (newRowNumbers.length > 0 && Math.min(...newRowNumbers) !== values.length + 1) conflicts.push("rows were added");
+      if (conflicts.length > 0) {
+        return { success: false, message: `"${sheetName}" changed since the preview (${conflicts.slice(0, 5).join(", ")}). Run the preview again.` };
+      }
+      targets[sheetName] = { sheet, values, changes: sheetChanges };
+    }
+
+    // 2. Write the data, then the history and ledger that go with it.
+    const historyEntries = [];
+    const followUpRows = [];
+    loadFunderAliases(ss); // Proposal keys in the history use alias-resolved funder names.
+    if (targets[PROPOSAL_TRACKER_SHEET_TAB_NAME]) loadProposalColumns(ss); // From ColumnMap.js
+    Object.entries(targets).forEach(([sheetName, { sheet, values, changes: sheetChanges }]) => {
+      const width = values[0].length;
+      const rows = new Map();
+      sheetChanges.forEach(c => {
+        if (!rows.has(c.row)) rows.set(c.row, { before: c.row <= values.length ? [...values[c.row - 1]] : new Array(width).fill(""), messageId: "", module: c.module });
+        const entry = rows.get(c.row);
+        entry.after = entry.after || [...entry.before];
+        entry.after[c.col] = c.newValue;
+        if (c.messageId) entry.messageId = c.messageId;
+      });
+      const newRows = [];
+      [...rows.keys()].sort((a, b) => a - b).forEach(rowNumber => {
+        const { before, after, messageId, module } = rows.get(rowNumber);
+        if (rowNumber <= values.length) {
+          sheet.getRange(rowNumber, 1, 1, width).setValues([after]);
+        } else {
+          newRows.push(after);
+        }
+        if (sheetName === PROPOSAL_TRACKER_SHEET_TAB_NAME && before[proposalCol('STATUS') - 1] !== after[proposalCol('STATUS') - 1]) {
+          const source = module === PREVIEW_MODULE_STALE ? HISTORY_SOURCE_STALE : HISTORY_SOURCE_EMAIL;
+          historyEntries.push(buildStatusHistoryEntry(after, before[proposalCol('STATUS') - 1], source, messageId)); // From StatusHistory.js
+        }
+        if (module === PREVIEW_MODULE_STALE && before[proposalCol('FOLLOW_UP') - 1] !== after[proposalCol('FOLLOW_UP') - 1]) followUpRows.push(after);
+      });
+      if (newRows.length > 0) sheet.getRange(values.length + 1, 1, newRows.length, width).setValues(newRows);
+    });
+    appendStatusHistory(ss, historyEntries);
+    recordProcessedMessages(ss, labelChanges.flatMap(c => _splitIdList(c.messageId).map(id => ({ messageId: id, threadId: c.threadId, moduleName: c.module }))));
+    return { success: true, followUpRows: followUpRows };
+  });
+  if (!locked.acquired) return { success: false, message: "Email processing is running. Try again in a minute." };
+  if (!locked.result.success) return locked.result;
+  const reminded = sendAppliedFollowUpReminders(ss, locked.result.followUpRows); // From StaleFollowUp.js
+
+  // 3. Labels last, as in the engine, so a label change never gets ahead of the sheet.
+  let labelErrors = 0;
+  const byLabels = {};
+  labelChanges.forEach(c => {
+    const key = `${c.oldValue}\n${c.newValue}`;
+    (byLabels[key] = byLabels[key] || {})[c.threadId] = 'done';
+  });
+  Object.entries(byLabels).forEach(([key, outcomes]) => {
+    const [fromName, toName] = key.split("\n");
+    const toLabel = GmailApp.getUserLabelByName(toName);
+    labelErrors += applyFinalLabels(outcomes, GmailApp.getUserLabelByName(fromName), toLabel, toLabel); // From GmailUtils.js
+  });
+
+  ss.deleteSheet(previewSheet);
+  const message = `Applied ${cellChanges.length} cell change(s) and moved ${labelChanges.length} thread(s).` +
+    (reminded > 0 ? ` Sent the follow-up reminder for ${reminded} stale proposal(s).` : "") +
+    (labelErrors > 0 ? ` ${labelErrors} thread(s) could not be relabeled; they will be picked up by the next run.` : "");
+  Logger.log(`[${FUNC_NAME} INFO] ${message}`);
+  return { success: true, message: message };
+}
+
+/**
+ * Menu action: previews the next batch of proposal emails.
+ */
+function previewProposalEmails_UI() {
+  _runPreview_UI('Preview Proposal Emails', ss => processProposalEmails(ss, PropertiesService.getScriptProperties(), { preview: true }));
+}
+
+/**
+ * Menu action: previews the next batch of opportunity alert emails.
+ */
+function previewOpportunityEmails_UI() {
+  _runPreview_UI('Preview Opportunity Emails', ss => processOpportunityEmails(ss, PropertiesService.getScriptProperties(), { preview: true }));
+}
+
+/**
+ * Menu action: previews the stale proposal check.
+ */
+function previewStaleProposals_UI() {
+  _runPreview_UI('Preview Stale Check', ss => markStaleProposals(ss, { preview: true }));
+}
+
+/**
+ * Menu action: applies the Preview sheet after confirmation.
+ */
+function applyPreview_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert('Apply Preview', `Write the changes listed on the "${PREVIEW_SHEET_TAB_NAME}" sheet and update the Gmail labels?`, ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+  const result = applyPreview(SpreadsheetApp.getActiveSpreadsheet());
+  ui.alert('Apply Preview', result.message, ui.ButtonSet.OK);
+}
+
+/**
+ * Runs a preview and reports how many changes it found.
+ * @param {string} title The dialog title.
+ * @param {function(GoogleAppsScript.Spreadsheet.Spreadsheet): (number|undefined)} runPreview
+ * @private
+ */
+function _runPreview_UI(title, runPreview) {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const count = runPreview(ss);
+  if (typeof count === 'undefined') {
+    ui.alert(title, 'The preview did not run. Another run may be in progress, or the setup is incomplete. Check the logs.', ui.ButtonSet.OK);
+    return;
+  }
+  const sheet = ss.getSheetByName(PREVIEW_SHEET_TAB_NAME);
+  if (sheet) ss.setActiveSheet(sheet);
+  ui.alert(title, count > 0
+    ? `${count} change(s) written to the "${PREVIEW_SHEET_TAB_NAME}" sheet. Nothing else was changed.\n\nUse "Apply Preview" to commit exactly these changes.`
+    : 'No changes. Nothing would be written.', ui.ButtonSet.OK);
+}
+
+/**
+ * Builds the diff rows for a sheet: one row per changed cell of an existing row, and one per non-blank
+ * cell of a row to append (numbered as it would be appended).
+ * @param {string} moduleName
+ * @param {string} sheetName
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} originalSheetData The sheet values before the run, including the header row.
+ * @param {Array<{row: number, values: Array<*>}>} updates In write order; a later update of a row wins.
+ * @param {Array<Array<*>>} newRows
+ * @param {Map<object, GoogleAppsScript.Gmail.GmailMessage>} changeSources
+ * @returns {Array<Array<*>>}
+ * @private
+ */
+function _diffSheetChanges(moduleName, sheetName, headers, originalSheetData, updates, newRows, changeSources) {
+  const rows = [];
+  const sourceCells = message => message ? [message.getSubject(), message.getId(), message.getThread().getId()] : ["", "", ""];
+  const columnName = c => headers[c] || `Column ${c + 1}`;
+
+  const latestByRow = new Map();
+  updates.forEach(update => latestByRow.set(update.row, update));
+  [...latestByRow.keys()].sort((a, b) => a - b).forEach(rowNumber => {
+    const update = latestByRow.get(rowNumber);
+    const before = originalSheetData[rowNumber - 1];
+    update.values.forEach((value, c) => {
+      if (_samePreviewValue(value, before[c])) return;
+      rows.push([PREVIEW_CHANGE_UPDATE, moduleName, sheetName, rowNumber, columnName(c), before[c], value, ...sourceCells(changeSources.get(update))]);
+    });
+  });
+  newRows.forEach((rowData, i) => {
+    rowData.forEach((value, c) => {
+      if (value === "" || value === null || typeof value === 'undefined') return;
+      rows.push([PREVIEW_CHANGE_NEW_ROW, moduleName, sheetName, originalSheetData.length + 1 + i, columnName(c), "", value, ...sourceCells(changeSources.get(rowData))]);
+    });
+  });
+  return rows;
+}
+
+/**
+ * Replaces the Preview sheet's contents.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Array<Array<*>>} rows
+ * @returns {number} The number of rows written.
+ * @private
+ */
+function _writePreviewRows(ss, rows) {
+  let sheet = ss.getSheetByName(PREVIEW_SHEET_TAB_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PREVIEW_SHEET_TAB_NAME);
+    setupSheetFormatting(sheet, PREVIEW_SHEET_HEADERS, PREVIEW_SHEET_HEADERS.map((h, i) => ({ col: i + 1, width: i >= 5 && i <= 7 ? 240 : 120 })), false);
+    sheet.setTabColor(BRAND_COLORS.HUNYADI_YELLOW);
+  }
+  if (sheet.getLastRow() > 1) sheet.getRange(2, 1, sheet.getLastRow() - 1, PREVIEW_SHEET_HEADERS.length).clearContent();
+  if (rows.length > 0) sheet.getRange(2, 1, rows.length, PREVIEW_SHEET_HEADERS.length).setValues(rows);
+  return rows.length;
+}
+
+/**
+ * Compares two cell values the way they read back from a sheet (Dates by time, everything else as text).
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ * @private
+ */
+function _samePreviewValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  const text = v => (v === null || typeof v === 'undefined') ? "" : String(v);
+  return text(a) === text(b);
+}
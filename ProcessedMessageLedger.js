@@ -0,0 +1,68 @@
+/**
+ * @file Processed-message ledger: a hidden sheet listing every Gmail message the engine has applied,
+ * so a message is never applied twice (re-runs, re-labeled threads, overlapping runs).
+ */
+
+/**
+ * Sets up the hidden Processed Messages sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function initialSetup_ProcessedMessageLedger(activeSS) {
+  try {
+    getOrCreateProcessedMessagesSheet(activeSS);
+    return { success: true, messages: [`Sheet '${PROCESSED_MESSAGES_SHEET_TAB_NAME}': Setup OK (hidden).`] };
+  } catch (e) {
+    Logger.log(`[initialSetup_ProcessedMessageLedger ERROR] ${e.toString()}`);
+    return { success: false, messages: [`Sheet '${PROCESSED_MESSAGES_SHEET_TAB_NAME}' setup FAILED: ${e.message}.`] };
+  }
+}
+
+/**
+ * Returns the Processed Messages sheet, creating (and hiding) it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getOrCreateProcessedMessagesSheet(ss) {
+  let sheet = ss.getSheetByName(PROCESSED_MESSAGES_SHEET_TAB_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PROCESSED_MESSAGES_SHEET_TAB_NAME);
+    setupSheetFormatting(sheet, PROCESSED_MESSAGES_SHEET_HEADERS, PROCESSED_MESSAGES_SHEET_HEADERS.map((h, i) => ({ col: i + 1, width: 180 })), false);
+    sheet.setTabColor(BRAND_COLORS.CHARCOAL);
+    sheet.hideSheet();
+    Logger.log(`[MESSAGE_LEDGER] Created hidden sheet "${PROCESSED_MESSAGES_SHEET_TAB_NAME}".`);
+  }
+  return sheet;
+}
+
+/**
+ * Loads the IDs of messages already applied by a module.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} moduleName The engine config's moduleName.
+ * @returns {Set<string>}
+ */
+function loadProcessedMessageIds(ss, moduleName) {
+  const sheet = ss.getSheetByName(PROCESSED_MESSAGES_SHEET_TAB_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return new Set();
+  return new Set(sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues()
+    .filter(r => r[2] === moduleName).map(r => String(r[0])));
+}
+
+/**
+ * Appends applied messages to the ledger in one write.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Array<{messageId: string, threadId: string, moduleName: string}>} entries
+ */
+function recordProcessedMessages(ss, entries) {
+  if (!ss || !entries || entries.length === 0) return;
+  try {
+    const sheet = getOrCreateProcessedMessagesSheet(ss);
+    const now = new Date();
+    const rows = entries.map(e => [e.messageId, e.threadId, e.moduleName, now]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    if (DEBUG_MODE) Logger.log(`[MESSAGE_LEDGER] Recorded ${rows.length} processed message(s).`);
+  } catch (e) {
+    // The message IDs stored on the data rows still prevent most duplicates; do not fail the run.
+    Logger.log(`[MESSAGE_LEDGER ERROR] Failed to record processed messages: ${e.message}`);
+  }
+}
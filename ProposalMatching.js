@@ -0,0 +1,173 @@
+/**
+ * @file Matching subsystem that links a parsed email to an existing proposal row.
+ * Funder names are normalized (articles, "Foundation/Fund/Trust" suffixes and punctuation removed) and
+ * resolved through the user-editable "Funder Aliases" sheet; titles are scored by token similarity.
+ */
+
+// Per-execution cache of the alias table (normalized alias -> normalized canonical name).
+let _funderAliasMap = null;
+// Per-execution cache of the funders' usual decision wait (normalized canonical name -> weeks).
+let _funderDecisionWeeks = null;
+
+/**
+ * Normalizes an organization name for comparison, e.g. "The Kresge Foundation, Inc." -> "kresge".
+ * @param {string} name The funder name as written.
+ * @returns {string} The normalized name ("" if nothing is left).
+ */
+function normalizeOrgName(name) {
+  let text = String(name || "").toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9\s]/g, " ").replace(/\s+/g, " ").trim();
+  text = text.replace(/^(the|a|an)\s+/, "");
+  const suffixRe = new RegExp(`\\s+(${FUNDER_NAME_STRIP_SUFFIXES.join("|")})$`);
+  let previous;
+  do { previous = text; text = text.replace(suffixRe, "").trim(); } while (text !== previous);
+  return text || String(name || "").toLowerCase().trim();
+}
+
+/**
+ * Normalizes a proposal title into comparable tokens: lowercased, punctuation and stop words removed,
+ * and standalone years / cycle numbers dropped ("Youth STEM Initiative 2025" -> ["youth", "stem", "initiative"]).
+ * @param {string} title The title as written.
+ * @returns {string[]} The title tokens.
+ */
+function tokenizeTitle(title) {
+  return String(title || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/)
+    .filter(t => t && !TITLE_STOP_WORDS.includes(t) && !/^(19|20)\d{2}$/.test(t) && !/^\d{1,2}$/.test(t));
+}
+
+/**
+ * Scores how similar two proposal titles are, from 0 (unrelated) to 1 (same after normalization).
+ * Uses the Dice coefficient on title tokens, boosted when one title's tokens are contained in the other's.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function scoreTitleSimilarity(a, b) {
+  const ta = new Set(tokenizeTitle(a)), tb = new Set(tokenizeTitle(b));
+  if (ta.size === 0 || tb.size === 0) return 0;
+  const shared = [...ta].filter(t => tb.has(t)).length;
+  const dice = (2 * shared) / (ta.size + tb.size);
+  const containment = shared / Math.min(ta.size, tb.size);
+  return Math.max(dice, containment === 1 ? 0.9 : 0);
+}
+
+/**
+ * Scores how similar two funder names are, from 0 to 1, after alias resolution and normalization.
+ * Falls back to character-bigram similarity to tolerate small spelling differences.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function scoreFunderSimilarity(a, b) {
+  const na = resolveFunderKey(a), nb = resolveFunderKey(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+  const bigrams = s => { const out = []; for (let i = 0; i < s.length - 1; i++) out.push(s.substring(i, i + 2)); return out; };
+  const ba = bigrams(na.replace(/\s/g, "")), bb = bigrams(nb.replace(/\s/g, ""));
+  if (ba.length === 0 || bb.length === 0) return 0;
+  const pool = [...bb];
+  let shared = 0;
+  ba.forEach(g => { const idx = pool.indexOf(g); if (idx >= 0) { shared++; pool.splice(idx, 1); } });
+  return (2 * shared) / (ba.length + bb.length);
+}
+
+/**
+ * Resolves a funder name to its index key: the normalized canonical name from the alias table if listed,
+ * otherwise the normalized name itself.
+ * @param {string} name
+ * @returns {string}
+ */
+function resolveFunderKey(name) {
+  const normalized = normalizeOrgName(name);
+  const aliases = _funderAliasMap || new Map();
+  return aliases.get(normalized) || normalized;
+}
+
+/**
+ * Loads the alias table (and the funders' decision weeks) from the "Funder Aliases" sheet into the per-execution cache.
+ * A row may leave the alias blank to set only a funder's decision weeks.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {Map<string, string>} Normalized alias -> normalized canonical name.
+ */
+function loadFunderAliases(ss) {
+  _funderAliasMap = new Map();
+  _funderDecisionWeeks = new Map();
+  const sheet = ss ? ss.getSheetByName(FUNDER_ALIAS_SHEET_TAB_NAME) : null;
+  if (!sheet || sheet.getLastRow() < 2) return _funderAliasMap;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues().forEach(([alias, canonical, decisionWeeks]) => {
+    const aliasKey = normalizeOrgName(alias), canonicalKey = normalizeOrgName(canonical);
+    if (aliasKey && canonicalKey) {
+      _funderAliasMap.set(aliasKey, canonicalKey);
+      _funderAliasMap.set(canonicalKey, canonicalKey);
+    }
+    if (canonicalKey && decisionWeeks !== "" && Number(decisionWeeks) > 0) {
+      _funderDecisionWeeks.set(canonicalKey, Number(decisionWeeks));
+    }
+  });
+  Logger.log(`[PROPOSAL_MATCHING] Loaded ${_funderAliasMap.size} funder alias keys.`);
+  return _funderAliasMap;
+}
+
+/**
+ * @param {string} funderName
+ * @returns {number|undefined} The funder's usual weeks from submission to decision, if set on the Funder Aliases sheet.
+ */
+function getFunderDecisionWeeks(funderName) {
+  return _funderDecisionWeeks ? _funderDecisionWeeks.get(resolveFunderKey(funderName)) : undefined;
+}
+
+/**
+ * Finds the existing proposal that best matches a parsed email.
+ * @param {string} funderName The parsed funder name.
+ * @param {string} proposalTitle The parsed proposal title ("N/A" if unknown).
+ * @param {Map<string, Array<object>>} funderIndex The byFunder map from _buildProposalIndex.
+ * @returns {{entry: object|null, confidence: number, decision: 'match'|'review'|'new'}}
+ *   'match' when confidence reaches MATCH_CONFIDENCE_THRESHOLD, 'review' when a plausible but uncertain
+ *   candidate exists, 'new' when no candidate is close.
+ */
+function findProposalMatch(funderName, proposalTitle, funderIndex) {
+  let best = { entry: null, confidence: 0 };
+  const titleUnknown = !proposalTitle || proposalTitle === "N/A";
+
+  for (const [funderKey, entries] of funderIndex) {
+    const funderScore = funderKey === resolveFunderKey(funderName) ? 1 : scoreFunderSimilarity(funderName, entries[0].funder);
+    if (funderScore < FUNDER_MATCH_MIN_SCORE) continue;
+    for (const entry of entries) {
+      // Without a title (keyword parser), only a funder's single proposal is a confident match.
+      const titleScore = titleUnknown ? (entries.length === 1 ? 1 : 0.5) : scoreTitleSimilarity(proposalTitle, entry.title);
+      const confidence = Math.round((0.4 * funderScore + 0.6 * titleScore) * 100) / 100;
+      if (confidence > best.confidence) best = { entry: entry, confidence: confidence };
+    }
+  }
+
+  let decision = 'new';
+  if (best.confidence >= MATCH_CONFIDENCE_THRESHOLD) decision = 'match';
+  else if (best.confidence >= MATCH_REVIEW_THRESHOLD) decision = 'review';
+  if (DEBUG_MODE || decision === 'review') {
+    Logger.log(`[PROPOSAL_MATCHING] "${funderName}" / "${proposalTitle}" -> ${decision} (confidence ${best.confidence}${best.entry ? `, row ${best.entry.row}` : ""}).`);
+  }
+  return { entry: decision === 'new' ? null : best.entry, confidence: best.confidence, decision: decision };
+}
+
+/**
+ * Sets up the user-editable "Funder Aliases" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function initialSetup_FunderAliases(activeSS) {
+  try {
+    let sheet = activeSS.getSheetByName(FUNDER_ALIAS_SHEET_TAB_NAME);
+    const isNew = !sheet;
+    if (isNew) sheet = activeSS.insertSheet(FUNDER_ALIAS_SHEET_TAB_NAME);
+    if (!setupSheetFormatting(sheet, FUNDER_ALIAS_SHEET_HEADERS, [{ col: 1, width: 260 }, { col: 2, width: 260 }, { col: 3, width: 170 }], false)) {
+      throw new Error(`Formatting failed for "${FUNDER_ALIAS_SHEET_TAB_NAME}".`);
+    }
+    if (isNew) {
+      sheet.getRange(2, 1, 1, 2).setValues([["MacArthur Foundation", "John D. and Catherine T. MacArthur Foundation"]]);
+    }
+    sheet.setTabColor(BRAND_COLORS.CAROLINA_BLUE);
+    return { success: true, messages: [`Sheet '${FUNDER_ALIAS_SHEET_TAB_NAME}': Setup OK.`] };
+  } catch (e) {
+    Logger.log(`[initialSetup_FunderAliases ERROR] ${e.toString()}`);
+    return { success: false, messages: [`Sheet '${FUNDER_ALIAS_SHEET_TAB_NAME}' setup FAILED: ${e.message}.`] };
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * @file Response schemas for AI parsing and a small local validator.
+ * Schemas use Gemini's OpenAPI-style types (OBJECT, ARRAY, STRING, NUMBER). Constraints Gemini does not accept
+ * (maxLength, minimum, pattern) are only enforced locally; toProviderSchema() strips or converts them per provider.
+ */
+
+const ISO_DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}$";
+
+/** Schema for callGemini_forProposalStatus with the built-in statuses; see buildProposalResponseSchema(). */
+const PROPOSAL_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    funderName: { type: "STRING", minLength: 1, maxLength: 200 },
+    proposalTitle: { type: "STRING", minLength: 1, maxLength: 300 },
+    submissionStatus: { type: "STRING", enum: [STATUS_SUBMITTED, STATUS_UNDER_REVIEW, STATUS_AWARDED, STATUS_DECLINED, NOT_A_PROPOSAL_STATUS] },
+    amountRequested: { type: "NUMBER", nullable: true, minimum: 0 },
+    amountAwarded: { type: "NUMBER", nullable: true, minimum: 0 },
+    loiDueDate: { type: "STRING", nullable: true, pattern: ISO_DATE_PATTERN },
+    proposalDeadline: { type: "STRING", nullable: true, pattern: ISO_DATE_PATTERN },
+    decisionDate: { type: "STRING", nullable: true, pattern: ISO_DATE_PATTERN },
+    reportDueDate: { type: "STRING", nullable: true, pattern: ISO_DATE_PATTERN }
+  },
+  required: ["funderName", "proposalTitle", "submissionStatus"]
+};
+
+/** Schema for callGemini_forOpportunities. */
+const OPPORTUNITIES_RESPONSE_SCHEMA = {
+  type: "ARRAY",
+  items: {
+    type: "OBJECT",
+    properties: {
+      funderName: { type: "STRING", maxLength: 200 },
+      programName: { type: "STRING", maxLength: 300 },
+      deadline: { type: "STRING", maxLength: 100 },
+      awardRange: { type: "STRING", maxLength: 100 },
+      eligibility: { type: "STRING", maxLength: 500 },
+      url: { type: "STRING", maxLength: 2000 }
+    },
+    required: ["funderName", "programName"]
+  }
+};
+
+/**
+ * Builds the proposal schema with the status enum taken from the Settings sheet.
+ * @returns {object}
+ */
+function buildProposalResponseSchema() {
+  const statusSchema = { ...PROPOSAL_RESPONSE_SCHEMA.properties.submissionStatus, enum: [...getParserStatuses().map(s => s.name), NOT_A_PROPOSAL_STATUS] };
+  return { ...PROPOSAL_RESPONSE_SCHEMA, properties: { ...PROPOSAL_RESPONSE_SCHEMA.properties, submissionStatus: statusSchema } };
+}
+
+/**
+ * Validates a parsed value against one of the schemas above.
+ * @param {*} value The parsed JSON value.
+ * @param {object} schema The schema.
+ * @param {string} [path="$"] Location used in error messages.
+ * @returns {string[]} A list of human-readable errors; empty if the value is valid.
+ */
+function validateAgainstSchema(value, schema, path = "$") {
+  if (value === null || typeof value === 'undefined') {
+    return schema.nullable ? [] : [`${path} is required but was ${value === null ? "null" : "missing"}.`];
+  }
+  const errors = [];
+  switch (schema.type) {
+    case "OBJECT":
+      if (typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object.`];
+      (schema.required || []).forEach(key => {
+        if (value[key] === null || typeof value[key] === 'undefined') errors.push(`${path}.${key} is required.`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        if (typeof value[key] !== 'undefined') errors.push(...validateAgainstSchema(value[key], propSchema, `${path}.${key}`));
+      });
+      break;
+    case "ARRAY":
+      if (!Array.isArray(value)) return [`${path} must be an array.`];
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+      break;
+    case "STRING":
+      if (typeof value !== 'string') return [`${path} must be a string.`];
+      if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${JSON.stringify(schema.enum)} but was "${value}".`);
+      if (typeof schema.minLength === 'number' && value.trim().length < schema.minLength) errors.push(`${path} must not be empty.`);
+      if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters.`);
+      if (schema.pattern && value.toUpperCase() !== "N/A" && !new RegExp(schema.pattern).test(value)) errors.push(`${path} must match ${schema.pattern} but was "${value}".`);
+      break;
+    case "NUMBER":
+      if (typeof value !== 'number' || !isFinite(value)) return [`${path} must be a number.`];
+      if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}.`);
+      break;
+    default:
+      errors.push(`${path} has unsupported schema type "${schema.type}".`);
+  }
+  return errors;
+}
+
+/**
+ * Converts a schema into the form a provider accepts for structured output.
+ * Gemini gets its OpenAPI subset (local-only constraints removed); other providers get standard JSON Schema.
+ * @param {object} schema The schema.
+ * @param {string} provider One of LLM_PROVIDERS.
+ * @returns {object} The provider-ready schema.
+ */
+function toProviderSchema(schema, provider) {
+  if (provider === LLM_PROVIDERS.GEMINI) {
+    const out = { type: schema.type };
+    if (schema.nullable) out.nullable = true;
+    if (schema.enum) { out.format = "enum"; out.enum = schema.enum; }
+    if (schema.properties) out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toProviderSchema(v, provider)]));
+    if (schema.required) out.required = schema.required;
+    if (schema.items) out.items = toProviderSchema(schema.items, provider);
+    return out;
+  }
+  const type = schema.type.toLowerCase();
+  const out = { type: schema.nullable ? [type, "null"] : type };
+  ["enum", "required", "minLength", "maxLength", "minimum", "pattern"].forEach(k => { if (typeof schema[k] !== 'undefined') out[k] = schema[k]; });
+  if (schema.properties) out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toProviderSchema(v, provider)]));
+  if (schema.items) out.items = toProviderSchema(schema.items, provider);
+  return out;
+}
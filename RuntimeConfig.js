@@ -0,0 +1,204 @@
+/**
+ * @file Layered runtime configuration. Each setting in RUNTIME_CONFIG_DEFINITIONS starts from its default in
+ * code, is overridden by a FUNDINGFLOCK_CONFIG_<SETTING> document property, and then by the "Config" sheet.
+ * Invalid overrides are logged and ignored (the lower layer's value is used); checkConfig reports them.
+ */
+
+// Per-execution cache of the merged configuration.
+let _runtimeConfig = null;
+
+/**
+ * Sets up the Config sheet with one row per setting. Values are left blank, which means "use the default";
+ * rows already on the sheet keep their values.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function initialSetup_RuntimeConfig(activeSS) {
+  try {
+    let sheet = activeSS.getSheetByName(CONFIG_SHEET_TAB_NAME);
+    if (!sheet) sheet = activeSS.insertSheet(CONFIG_SHEET_TAB_NAME);
+    if (!setupSheetFormatting(sheet, CONFIG_SHEET_HEADERS, [{ col: 1, width: 260 }, { col: 2, width: 320 }, { col: 3, width: 320 }, { col: 4, width: 420 }], false)) {
+      throw new Error(`Formatting failed for "${CONFIG_SHEET_TAB_NAME}".`);
+    }
+    const lastRow = sheet.getLastRow();
+    const existingKeys = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, 1).getValues().map(r => String(r[0]).trim());
+    const missingRows = Object.entries(RUNTIME_CONFIG_DEFINITIONS)
+      .filter(([key]) => !existingKeys.includes(key))
+      .map(([key, def]) => [key, "", String(def.defaultValue), def.description]);
+    if (missingRows.length > 0) {
+      sheet.getRange(Math.max(lastRow, 1) + 1, 1, missingRows.length, CONFIG_SHEET_HEADERS.length).setValues(missingRows);
+    }
+    sheet.setTabColor(BRAND_COLORS.CAROLINA_BLUE);
+    return { success: true, messages: [`Sheet '${CONFIG_SHEET_TAB_NAME}': Setup OK (${missingRows.length} setting(s) added).`] };
+  } catch (e) {
+    Logger.log(`[initialSetup_RuntimeConfig ERROR] ${e.toString()}`);
+    return { success: false, messages: [`Sheet '${CONFIG_SHEET_TAB_NAME}' setup FAILED: ${e.message}.`] };
+  }
+}
+
+/**
+ * Merges the defaults, document properties and Config sheet into the per-execution cache.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [ss] The spreadsheet whose Config sheet to read.
+ * @returns {{values: Object<string, *>, sources: Object<string, string>, errors: string[]}} The merged values,
+ *   where each one came from ("default", "document property" or "Config sheet"), and the rejected overrides.
+ */
+function loadRuntimeConfig(ss) {
+  const config = { values: {}, sources: {}, errors: [] };
+  Object.entries(RUNTIME_CONFIG_DEFINITIONS).forEach(([key, def]) => {
+    config.values[key] = def.defaultValue;
+    config.sources[key] = "default";
+  });
+
+  let documentProperties = null;
+  try { documentProperties = PropertiesService.getDocumentProperties(); } catch (e) { /* No document context (standalone, Web App). */ }
+  if (documentProperties) {
+    Object.keys(RUNTIME_CONFIG_DEFINITIONS).forEach(key => {
+      const raw = documentProperties.getProperty(RUNTIME_CONFIG_PROPERTY_PREFIX + key);
+      if (raw !== null && String(raw).trim() !== "") _applyRuntimeOverride(config, key, raw, "document property");
+    });
+  }
+
+  const sheet = ss ? ss.getSheetByName(CONFIG_SHEET_TAB_NAME) : null;
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(([key, raw], i) => {
+      const settingName = String(key || "").trim();
+      if (!settingName || raw === "" || raw === null) return;
+      if (!RUNTIME_CONFIG_DEFINITIONS[settingName]) {
+        config.errors.push(`${CONFIG_SHEET_TAB_NAME} row ${i + 2}: unknown setting "${settingName}".`);
+        return;
+      }
+      _applyRuntimeOverride(config, settingName, raw, "Config sheet");
+    });
+  }
+
+  config.errors.forEach(err => Logger.log(`[RUNTIME_CONFIG WARN] ${err}`));
+  _runtimeConfig = config;
+  return _runtimeConfig;
+}
+
+/**
+ * Returns the merged configuration, loading it from the active spreadsheet on first use.
+ * @returns {{values: Object<string, *>, sources: Object<string, string>, errors: string[]}}
+ */
+function getRuntimeConfig() {
+  if (!_runtimeConfig) {
+    let ss = null;
+    try { ss = SpreadsheetApp.getActiveSpreadsheet(); } catch (e) { /* No active spreadsheet (Web App, standalone). */ }
+    loadRuntimeConfig(ss);
+  }
+  return _runtimeConfig;
+}
+
+/**
+ * @param {string} key A key of RUNTIME_CONFIG_DEFINITIONS.
+ * @returns {*} The effective value of the setting.
+ */
+function getConfigValue(key) {
+  if (!RUNTIME_CONFIG_DEFINITIONS[key]) throw new Error(`Unknown configuration setting "${key}".`);
+  return getRuntimeConfig().values[key];
+}
+
+/**
+ * onEdit hook: reloads the configuration when the Config sheet is edited and flags rejected values with a toast.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function handleRuntimeConfigEdit(e) {
+  if (!e || !e.range || e.range.getSheet().getName() !== CONFIG_SHEET_TAB_NAME) return;
+  const ss = e.source || e.range.getSheet().getParent();
+  const config = loadRuntimeConfig(ss);
+  if (config.errors.length > 0) {
+    ss.toast(`${config.errors.join("\n")}\nThe previous value is used instead.`, "Invalid configuration", 10);
+  }
+}
+
+/**
+ * Menu action: shows every setting's effective value and where it came from, plus any rejected overrides.
+ */
+function showEffectiveConfiguration_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const config = loadRuntimeConfig(SpreadsheetApp.getActiveSpreadsheet());
+  const lines = Object.keys(RUNTIME_CONFIG_DEFINITIONS).map(key => {
+    const value = String(config.values[key]);
+    return `${key} = ${value.length > 120 ? value.substring(0, 117) + "..." : value}  [${config.sources[key]}]`;
+  });
+  const problems = config.errors.length > 0 ? `\n\nIgnored (invalid):\n- ${config.errors.join("\n- ")}` : "";
+  const note = "\n\nTrigger schedule changes take effect after '⏰ Apply Trigger Schedule'. Filter query changes take effect after re-running setup.";
+  ui.alert('Effective Configuration', lines.join("\n") + problems + note, ui.ButtonSet.OK);
+}
+
+/**
+ * Menu action: recreates the recurring triggers with the configured schedule.
+ */
+function applyTriggerSchedule_UI() {
+  const ui = SpreadsheetApp.getUi();
+  loadRuntimeConfig(SpreadsheetApp.getActiveSpreadsheet());
+  const messages = rebuildScheduledTriggers(); // From Triggers.js
+  ui.alert('Trigger Schedule', messages.join("\n"), ui.ButtonSet.OK);
+}
+
+/**
+ * Validates one override and, if it is valid, replaces the setting's current value.
+ * @param {{values: object, sources: object, errors: string[]}} config The configuration being merged.
+ * @param {string} key
+ * @param {*} raw The override as read from the sheet or property.
+ * @param {string} source Where the override came from.
+ * @private
+ */
+function _applyRuntimeOverride(config, key, raw, source) {
+  const result = _validateRuntimeConfigValue(RUNTIME_CONFIG_DEFINITIONS[key], raw);
+  if (result.error) {
+    config.errors.push(`${key} (${source}): ${result.error}`);
+    return;
+  }
+  config.values[key] = result.value;
+  config.sources[key] = source;
+}
+
+/**
+ * Checks a raw value against its setting definition and converts it to the setting's type.
+ * @param {{type: string, min?: number, max?: number, allowed?: number[], options?: string[]}} def
+ * @param {*} raw
+ * @returns {{value?: *, error?: string}}
+ * @private
+ */
+function _validateRuntimeConfigValue(def, raw) {
+  const text = String(raw).trim();
+  switch (def.type) {
+    case 'integer': {
+      const number = Number(text);
+      if (!Number.isInteger(number)) return { error: `"${text}" is not a whole number.` };
+      if (def.allowed && !def.allowed.includes(number)) return { error: `${number} must be one of ${def.allowed.join(", ")}.` };
+      if ((typeof def.min === 'number' && number < def.min) || (typeof def.max === 'number' && number > def.max)) {
+        return { error: `${number} must be between ${def.min} and ${def.max}.` };
+      }
+      return { value: number };
+    }
+    case 'enum': {
+      const option = text.toUpperCase();
+      return def.options.includes(option) ? { value: option } : { error: `"${text}" must be one of ${def.options.join(", ")}.` };
+    }
+    case 'query': {
+      let depth = 0;
+      for (const ch of text.replace(/"[^"]*"/g, "")) {
+        if (ch === "(") depth++;
+        if (ch === ")" && --depth < 0) break;
+      }
+      if ((text.match(/"/g) || []).length % 2 !== 0 || depth !== 0) return { error: "unbalanced quotes or parentheses." };
+      return { value: text };
+    }
+    case 'boolean':
+      if (raw === true || raw === false) return { value: raw };
+      if (/^(true|yes|y|1)$/i.test(text)) return { value: true };
+      if (/^(false|no|n|0)$/i.test(text)) return { value: false };
+      return { error: `"${text}" must be TRUE or FALSE.` };
+    case 'emails': {
+      const addresses = text.split(/[,;\s]+/).filter(Boolean);
+      const invalid = addresses.filter(a => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(a));
+      return invalid.length > 0 ? { error: `not an email address: ${invalid.join(", ")}.` } : { value: addresses.join(", ") };
+    }
+    case 'url':
+      return /^https:\/\/\S+$/.test(text) ? { value: text } : { error: `"${text}" is not an https:// URL.` };
+    default:
+      return { error: `unsupported setting type "${def.type}".` };
+  }
+}
@@ -224,23 +224,23 @@ function _writeErrorToSheet(sheet, errorInfo) {
         let errorRow = [];
         // Use the moduleName to determine which sheet's headers to use for formatting
         if (errorInfo.moduleName === "Proposal Tracker") {
-            errorRow = new Array(PROPOSAL_TRACKER_SHEET_HEADERS.length).fill("");
-            errorRow[PROP_PROC_TS_COL - 1] = new Date();
-            errorRow[PROP_FUNDER_COL - 1] = `ERROR: ${errorInfo.errorType}`;
-            errorRow[PROP_TITLE_COL - 1] = "See Notes";
-            errorRow[PROP_STATUS_COL - 1] = MANUAL_REVIEW_NEEDED;
-            errorRow[PROP_NOTES_COL - 1] = String(errorInfo.details).substring(0, 500);
-            errorRow[PROP_EMAIL_SUBJ_COL - 1] = errorInfo.messageSubject;
-            errorRow[PROP_EMAIL_ID_COL - 1] = errorInfo.messageId;
-        } else if (errorInfo.moduleName === "Job Leads Tracker") { // This can be adapted for the "Opportunities" module in the future
-            errorRow = new Array(LEADS_SHEET_HEADERS.length).fill("");
-            errorRow[LEADS_DATE_ADDED_COL - 1] = new Date();
-            errorRow[LEADS_COMPANY_COL - 1] = `ERROR: ${errorInfo.errorType}`;
-            errorRow[LEADS_JOB_TITLE_COL - 1] = "See Notes";
-            errorRow[LEADS_STATUS_COL - 1] = "Error";
-            errorRow[LEADS_NOTES_COL - 1] = String(errorInfo.details).substring(0, 500);
-            errorRow[LEADS_EMAIL_SUBJECT_COL - 1] = errorInfo.messageSubject;
-            errorRow[LEADS_EMAIL_ID_COL - 1] = errorInfo.messageId;
+            errorRow = newProposalRow(); // From ColumnMap.js
+            errorRow[proposalCol('PROC_TS') - 1] = new Date();
+            errorRow[proposalCol('FUNDER') - 1] = `ERROR: ${errorInfo.errorType}`;
+            errorRow[proposalCol('TITLE') - 1] = "See Notes";
+            errorRow[proposalCol('STATUS') - 1] = MANUAL_REVIEW_NEEDED;
+            errorRow[proposalCol('NOTES') - 1] = String(errorInfo.details).substring(0, 500);
+            errorRow[proposalCol('EMAIL_SUBJ') - 1] = errorInfo.messageSubject;
+            errorRow[proposalCol('EMAIL_ID') - 1] = errorInfo.messageId;
+        } else if (errorInfo.moduleName === "Opportunity Tracker") {
+            errorRow = new Array(OPPORTUNITIES_SHEET_HEADERS.length).fill("");
+            errorRow[OPP_DATE_ADDED_COL - 1] = new Date();
+            errorRow[OPP_FUNDER_COL - 1] = `ERROR: ${errorInfo.errorType}`;
+            errorRow[OPP_PROGRAM_COL - 1] = "See Notes";
+            errorRow[OPP_STATUS_COL - 1] = "Error";
+            errorRow[OPP_NOTES_COL - 1] = String(errorInfo.details).substring(0, 500);
+            errorRow[OPP_EMAIL_SUBJ_COL - 1] = errorInfo.messageSubject;
+            errorRow[OPP_EMAIL_ID_COL - 1] = errorInfo.messageId;
         } else {
             Logger.log(`[${FUNC_NAME}] WARN: Unknown moduleName "${errorInfo.moduleName}". Cannot format error row.`);
             return;
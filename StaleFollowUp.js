@@ -0,0 +1,267 @@
+/**
+ * @file Stale-proposal follow-up. A submitted proposal with no news past its follow-up date escalates in steps,
+ * recorded with their date in the Follow-Up column: a reminder email, then (STALE_FLAG_AFTER_WEEKS later) the
+ * "Stale – Follow Up" flag, and only when STALE_AUTO_CLOSE is enabled (STALE_AUTO_CLOSE_AFTER_WEEKS after the
+ * flag) "Declined". The status is left alone until that last step, so a slow funder does
+ * not distort the award-rate metrics. Auto-declined rows can be reverted from the menu.
+ */
+
+/**
+ * Runs the stale check while holding the document lock, so it cannot overlap email processing.
+ * In preview mode the changes are written to the Preview sheet instead and no reminder is sent; applyPreview
+ * sends it when it writes the rows (sendAppliedFollowUpReminders).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object.
+ * @param {{preview?: boolean}} [options]
+ * @returns {number|undefined} In preview mode, the number of changes written to the Preview sheet.
+ */
+function markStaleProposals(ss, options) {
+  // The weekly trigger calls this handler directly and passes its event object.
+  if (!ss || typeof ss.getSheetByName !== 'function') ss = SpreadsheetApp.getActiveSpreadsheet();
+  return withDocumentLock("markStaleProposals", () => _markStaleProposals(ss, options)).result; // From LockUtils.js
+}
+
+function _markStaleProposals(ss, options) {
+  const FUNC_NAME = "markStaleProposals";
+  const preview = !!(options && options.preview);
+  Logger.log(`\n==== ${FUNC_NAME}: START (${new Date().toLocaleString()}) ====`);
+  if (!ss) { Logger.log(`[${FUNC_NAME} ERROR] No spreadsheet. Aborting.`); return; }
+  const dataSheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  if (!dataSheet) { Logger.log(`[${FUNC_NAME} ERROR] Sheet "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" not found. Aborting.`); return; }
+  ensureProposalColumns(ss); // From ColumnMap.js; adds the Follow-Up column to sheets created before it existed.
+
+  const dataRange = dataSheet.getDataRange();
+  const sheetValues = dataRange.getValues();
+  const originalValues = preview ? sheetValues.map(rowData => [...rowData]) : null;
+  const currentDate = new Date();
+  const today = Utilities.formatDate(currentDate, ss.getSpreadsheetTimeZone(), "yyyy-MM-dd");
+  loadFunderAliases(ss); // Proposal keys and funder decision weeks use alias-resolved funder names.
+  loadStatusSettings(ss); // From StatusSettings.js
+  loadRuntimeConfig(ss); // From RuntimeConfig.js
+  const submittedRank = getStatusRank(STATUS_SUBMITTED) ?? 0;
+
+  const statusHistoryEntries = [];
+  const changedRowIndexes = [];
+  const followUps = [];
+  for (let i = 1; i < sheetValues.length; i++) {
+    const rowData = sheetValues[i];
+    const currentStatus = String(rowData[proposalCol('STATUS') - 1] || "").trim();
+    // Only proposals waiting on a funder: submitted or later, and not closed.
+    if (!currentStatus || isTerminalStatus(currentStatus) || (getStatusRank(currentStatus) ?? 0) < submittedRank) continue;
+
+    const followUpDate = getStaleFollowUpDate(rowData);
+    if (!followUpDate || currentDate < followUpDate) continue;
+    const currentStep = _getFollowUpStep(rowData);
+    const nextStep = _getNextFollowUpStep(rowData, currentStep, followUpDate, currentDate);
+    if (nextStep === currentStep) continue;
+
+    const stepLabel = STALE_FOLLOW_UP_STEPS[nextStep - 1];
+    rowData[proposalCol('FOLLOW_UP') - 1] = `${stepLabel} (${today})`;
+    if (stepLabel === FOLLOW_UP_AUTO_DECLINED) {
+      rowData[proposalCol('STATUS') - 1] = STATUS_DECLINED;
+      statusHistoryEntries.push(buildStatusHistoryEntry(rowData, currentStatus, HISTORY_SOURCE_STALE, ""));
+      rowData[proposalCol('LAST_UPDATE') - 1] = currentDate;
+      rowData[proposalCol('NOTES') - 1] = (rowData[proposalCol('NOTES') - 1] + ` (${STALE_AUTO_DECLINE_NOTE} ${currentDate.toLocaleDateString()})`).trim();
+    } else {
+      followUps.push({ rowData: rowData, step: stepLabel, followUpDate: followUpDate });
+    }
+    changedRowIndexes.push(i);
+  }
+
+  if (preview) {
+    const updates = changedRowIndexes.map(i => ({ row: i + 1, values: sheetValues[i] }));
+    const previewCount = writeStalePreview(ss, originalValues, updates); // From Preview.js
+    Logger.log(`[${FUNC_NAME} INFO] Preview only: ${previewCount} change(s) written to "${PREVIEW_SHEET_TAB_NAME}".`);
+    return previewCount;
+  }
+  if (changedRowIndexes.length > 0) {
+    dataRange.setValues(sheetValues);
+    appendStatusHistory(ss, statusHistoryEntries);
+    Logger.log(`[${FUNC_NAME} INFO] Escalated ${changedRowIndexes.length} stale proposal(s); ${statusHistoryEntries.length} auto-declined.`);
+    _sendFollowUpReminder(ss, followUps);
+  } else {
+    Logger.log(`[${FUNC_NAME} INFO] No stale proposals found.`);
+  }
+}
+
+/**
+ * Works out when a proposal needs a follow-up: a few weeks (STALE_DECISION_GRACE_WEEKS) after its expected
+ * decision, which is the Decision Date column or else the submission date plus the funder's Decision Weeks.
+ * Without either, it is WEEKS_THRESHOLD weeks after the last update. News after that date restarts the clock.
+ * @param {Array<*>} rowData A Proposals row.
+ * @returns {Date|null} The follow-up date, or null if the row has no usable dates.
+ */
+function getStaleFollowUpDate(rowData) {
+  const asDate = value => {
+    if (value === "" || value === null || typeof value === 'undefined') return null;
+    const date = new Date(value); // Also accepts dates typed as text.
+    return isNaN(date.getTime()) ? null : date;
+  };
+  const lastUpdate = asDate(rowData[proposalCol('LAST_UPDATE') - 1]);
+  const submitted = asDate(rowData[proposalCol('SUBMIT_DATE') - 1]);
+  const funderWeeks = getFunderDecisionWeeks(rowData[proposalCol('FUNDER') - 1]); // From ProposalMatching.js
+  const expectedDecision = asDate(rowData[proposalCol('DECISION_DATE') - 1])
+    || (submitted && funderWeeks ? _addWeeksToDate(submitted, funderWeeks) : null);
+
+  const threshold = getConfigValue('WEEKS_THRESHOLD'); // From RuntimeConfig.js
+  let followUpDate = expectedDecision
+    ? _addWeeksToDate(expectedDecision, getConfigValue('STALE_DECISION_GRACE_WEEKS'))
+    : (lastUpdate ? _addWeeksToDate(lastUpdate, threshold) : null);
+  if (followUpDate && lastUpdate && lastUpdate >= followUpDate) followUpDate = _addWeeksToDate(lastUpdate, threshold);
+  return followUpDate;
+}
+
+/**
+ * Menu action: reverts the auto-declined proposals in the selected Proposals rows.
+ */
+function revertAutoDeclined_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const range = sheet.getActiveRange();
+  if (sheet.getName() !== PROPOSAL_TRACKER_SHEET_TAB_NAME || !range || range.getLastRow() < 2) {
+    ui.alert('Select Proposals', `Select the auto-declined rows on the "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" sheet first.`, ui.ButtonSet.OK);
+    return;
+  }
+  const rowNumbers = [];
+  for (let row = Math.max(range.getRow(), 2); row <= range.getLastRow(); row++) rowNumbers.push(row);
+
+  const locked = withDocumentLock("revertAutoDeclined", () => revertAutoDeclinedRows(ss, rowNumbers)); // From LockUtils.js
+  if (!locked.acquired) {
+    ui.alert('Revert Auto-Declined', 'Email processing is running. Try again in a minute.', ui.ButtonSet.OK);
+    return;
+  }
+  const { reverted, skipped } = locked.result;
+  const lines = reverted.map(r => `Row ${r.row}: ${STATUS_DECLINED} → ${r.status}`);
+  if (skipped.length > 0) lines.push(`Not auto-declined (unchanged): row ${skipped.join(", ")}`);
+  ui.alert('Revert Auto-Declined', lines.join("\n") || "Nothing to revert.", ui.ButtonSet.OK);
+}
+
+/**
+ * Restores auto-declined proposals to the status the stale job replaced (from the Status History; the Peak
+ * Status or "Under Review" if none was recorded), clears the Follow-Up step and restarts the stale clock.
+ * Rows that were not auto-declined are skipped. Call while holding the document lock.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {number[]} rowNumbers Proposals sheet rows.
+ * @returns {{reverted: Array<{row: number, status: string}>, skipped: number[]}}
+ */
+function revertAutoDeclinedRows(ss, rowNumbers) {
+  const FUNC_NAME = "revertAutoDeclinedRows";
+  const sheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  ensureProposalColumns(ss); // From ColumnMap.js
+  loadFunderAliases(ss);
+  loadStatusSettings(ss); // From StatusSettings.js
+  const currentDate = new Date();
+  const result = { reverted: [], skipped: [] };
+  const historyEntries = [];
+
+  rowNumbers.forEach(row => {
+    const rowData = sheet.getRange(row, 1, 1, proposalRowWidth()).getValues()[0];
+    const wasAutoDeclined = rowData[proposalCol('STATUS') - 1] === STATUS_DECLINED &&
+      (String(rowData[proposalCol('FOLLOW_UP') - 1]).startsWith(FOLLOW_UP_AUTO_DECLINED) || String(rowData[proposalCol('NOTES') - 1]).includes(STALE_AUTO_DECLINE_NOTE));
+    if (!wasAutoDeclined) {
+      result.skipped.push(row);
+      return;
+    }
+    const staleEntries = getProposalTimeline(ss, getProposalKey(rowData[proposalCol('FUNDER') - 1], rowData[proposalCol('TITLE') - 1])) // From StatusHistory.js
+      .filter(t => t.source === HISTORY_SOURCE_STALE && t.newStatus === STATUS_DECLINED);
+    const candidates = [staleEntries.length > 0 ? staleEntries[staleEntries.length - 1].oldStatus : "", rowData[proposalCol('PEAK_STATUS') - 1]];
+    const restoredStatus = candidates.find(s => s && isKnownStatus(s) && !isTerminalStatus(s)) || STATUS_UNDER_REVIEW;
+
+    rowData[proposalCol('STATUS') - 1] = restoredStatus;
+    rowData[proposalCol('LAST_UPDATE') - 1] = currentDate;
+    rowData[proposalCol('FOLLOW_UP') - 1] = "";
+    const notes = String(rowData[proposalCol('NOTES') - 1]).replace(new RegExp(`\\s*\\(${STALE_AUTO_DECLINE_NOTE}[^)]*\\)`, "g"), "");
+    rowData[proposalCol('NOTES') - 1] = `${notes} (Auto-decline reverted on ${currentDate.toLocaleDateString()})`.trim();
+    sheet.getRange(row, 1, 1, rowData.length).setValues([rowData]);
+    historyEntries.push(buildStatusHistoryEntry(rowData, STATUS_DECLINED, HISTORY_SOURCE_STALE_REVERT, ""));
+    result.reverted.push({ row: row, status: restoredStatus });
+  });
+  appendStatusHistory(ss, historyEntries);
+  Logger.log(`[${FUNC_NAME} INFO] Reverted ${result.reverted.length} row(s); skipped ${result.skipped.length}.`);
+  return result;
+}
+
+/**
+ * @param {Array<*>} rowData A Proposals row.
+ * @returns {number} The follow-up step already reached (0 = none), from the Follow-Up column. A leftover
+ *   "Auto-Declined" on a row that is no longer closed (reopened by hand) counts as none.
+ * @private
+ */
+function _getFollowUpStep(rowData) {
+  const value = String(rowData[proposalCol('FOLLOW_UP') - 1] || "");
+  const step = STALE_FOLLOW_UP_STEPS.findIndex(label => value.startsWith(label)) + 1;
+  return STALE_FOLLOW_UP_STEPS[step - 1] === FOLLOW_UP_AUTO_DECLINED ? 0 : step;
+}
+
+/**
+ * Decides the next step for a proposal past its follow-up date. Steps are never skipped, and each waits
+ * for its delay counted from the date the previous step was recorded.
+ * @param {Array<*>} rowData A Proposals row.
+ * @param {number} currentStep From _getFollowUpStep.
+ * @param {Date} followUpDate Used when the previous step's date cannot be read.
+ * @param {Date} currentDate
+ * @returns {number} The step to record (currentStep if none is due).
+ * @private
+ */
+function _getNextFollowUpStep(rowData, currentStep, followUpDate, currentDate) {
+  if (currentStep === 0) return 1;
+  const stepDateMatch = String(rowData[proposalCol('FOLLOW_UP') - 1]).match(/\((\d{4})-(\d{2})-(\d{2})\)/);
+  const stepDate = stepDateMatch ? new Date(Number(stepDateMatch[1]), Number(stepDateMatch[2]) - 1, Number(stepDateMatch[3])) : followUpDate;
+  const weeksSinceStep = (currentDate - stepDate) / (7 * 24 * 60 * 60 * 1000);
+  if (currentStep === 1 && weeksSinceStep >= getConfigValue('STALE_FLAG_AFTER_WEEKS')) return 2;
+  if (currentStep === 2 && getConfigValue('STALE_AUTO_CLOSE') && weeksSinceStep >= getConfigValue('STALE_AUTO_CLOSE_AFTER_WEEKS')) return 3;
+  return currentStep;
+}
+
+/**
+ * Sends the follow-up email for rows an applied stale preview moved to the reminder or the stale flag.
+ * The preview itself sends nothing, and the next check sees the step as done.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Array<Array<*>>} rows The Proposals rows as written, with their new Follow-Up value.
+ * @returns {number} The number of proposals in the email.
+ */
+function sendAppliedFollowUpReminders(ss, rows) {
+  if (rows.length === 0) return 0;
+  loadRuntimeConfig(ss); // From RuntimeConfig.js; the follow-up date depends on the configured thresholds.
+  const followUps = rows
+    .map(rowData => ({ rowData: rowData, step: STALE_FOLLOW_UP_STEPS[_getFollowUpStep(rowData) - 1], followUpDate: getStaleFollowUpDate(rowData) }))
+    .filter(f => f.step === FOLLOW_UP_REMINDED || f.step === FOLLOW_UP_STALE);
+  _sendFollowUpReminder(ss, followUps);
+  return followUps.length;
+}
+
+/**
+ * Emails the user one list of the proposals that reached a reminder or the stale flag in this run.
+ * Failures are logged; the Follow-Up column already records the step.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Array<{rowData: Array<*>, step: string, followUpDate: Date}>} followUps
+ * @private
+ */
+function _sendFollowUpReminder(ss, followUps) {
+  if (followUps.length === 0) return;
+  try {
+    const tz = ss.getSpreadsheetTimeZone();
+    const formatDate = d => (d instanceof Date ? Utilities.formatDate(d, tz, "yyyy-MM-dd") : "unknown");
+    const lines = followUps.map(({ rowData, step, followUpDate }) =>
+      `- ${rowData[proposalCol('FUNDER') - 1]} — ${rowData[proposalCol('TITLE') - 1]} (${rowData[proposalCol('STATUS') - 1]}; ` +
+      `last news ${formatDate(rowData[proposalCol('LAST_UPDATE') - 1])}; follow up since ${formatDate(followUpDate)}) [${step}]`);
+    MailApp.sendEmail({
+      to: Session.getEffectiveUser().getEmail(),
+      subject: `FundingFlock.AI: ${followUps.length} proposal(s) need a follow-up`,
+      body: `These proposals have had no news from the funder past their expected decision:\n\n${lines.join("\n")}\n\n` +
+        `Contact the funder, then update the row. New mail from the funder clears the Follow-Up column.\n${ss.getUrl()}`
+    });
+  } catch (e) {
+    Logger.log(`[STALE_FOLLOW_UP WARN] Could not send the follow-up reminder: ${e.message}`);
+  }
+}
+
+/**
+ * @param {Date} date
+ * @param {number} weeks
+ * @returns {Date}
+ * @private
+ */
+function _addWeeksToDate(date, weeks) {
+  return new Date(date.getTime() + weeks * 7 * 24 * 60 * 60 * 1000);
+}
@@ -0,0 +1,174 @@
+/**
+ * @file Status history / audit trail. Every proposal status transition (email parser, stale job or
+ * manual edit) is appended as one row to the hidden "Status History" sheet.
+ */
+
+/**
+ * Builds the stable key used to group a proposal's history: its normalized funder and title.
+ * Survives minor wording differences ("The Kresge Foundation" / "Kresge Foundation") and row moves.
+ * @param {string} funderName
+ * @param {string} proposalTitle
+ * @returns {string}
+ */
+function getProposalKey(funderName, proposalTitle) {
+  return `${resolveFunderKey(funderName)}|${tokenizeTitle(proposalTitle).join(" ")}`; // From ProposalMatching.js
+}
+
+/**
+ * Builds a status history entry for a proposal row.
+ * @param {Array<*>} rowData The proposal row (after the change).
+ * @param {string} oldStatus The status before the change ("" for a new proposal).
+ * @param {string} source One of the HISTORY_SOURCE_* constants.
+ * @param {string} [emailId] The Gmail message ID that caused the change, if any.
+ * @returns {{timestamp: Date, key: string, funder: string, title: string, oldStatus: string, newStatus: string, source: string, emailId: string}}
+ */
+function buildStatusHistoryEntry(rowData, oldStatus, source, emailId) {
+  const funder = rowData[proposalCol('FUNDER') - 1], title = rowData[proposalCol('TITLE') - 1];
+  return {
+    timestamp: new Date(),
+    key: getProposalKey(funder, title),
+    funder: funder,
+    title: title,
+    oldStatus: oldStatus || "",
+    newStatus: rowData[proposalCol('STATUS') - 1] || "",
+    source: source,
+    emailId: emailId || ""
+  };
+}
+
+/**
+ * Sets up the hidden Status History sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function initialSetup_StatusHistory(activeSS) {
+  try {
+    getOrCreateStatusHistorySheet(activeSS);
+    return { success: true, messages: [`Sheet '${STATUS_HISTORY_SHEET_TAB_NAME}': Setup OK (hidden).`] };
+  } catch (e) {
+    Logger.log(`[initialSetup_StatusHistory ERROR] ${e.toString()}`);
+    return { success: false, messages: [`Sheet '${STATUS_HISTORY_SHEET_TAB_NAME}' setup FAILED: ${e.message}.`] };
+  }
+}
+
+/**
+ * Returns the Status History sheet, creating (and hiding) it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getOrCreateStatusHistorySheet(ss) {
+  let sheet = ss.getSheetByName(STATUS_HISTORY_SHEET_TAB_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(STATUS_HISTORY_SHEET_TAB_NAME);
+    setupSheetFormatting(sheet, STATUS_HISTORY_SHEET_HEADERS, STATUS_HISTORY_SHEET_HEADERS.map((h, i) => ({ col: i + 1, width: 160 })), false);
+    sheet.setTabColor(BRAND_COLORS.CHARCOAL);
+    sheet.hideSheet();
+    Logger.log(`[STATUS_HISTORY] Created hidden sheet "${STATUS_HISTORY_SHEET_TAB_NAME}".`);
+  }
+  return sheet;
+}
+
+/**
+ * Appends status history entries in one write.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Array<object>} entries Entries from buildStatusHistoryEntry().
+ */
+function appendStatusHistory(ss, entries) {
+  if (!ss || !entries || entries.length === 0) return;
+  try {
+    const sheet = getOrCreateStatusHistorySheet(ss);
+    const rows = entries.map(e => [
+      e.timestamp, e.key, e.funder, e.title, e.oldStatus, e.newStatus, e.source, e.emailId,
+      e.emailId ? `https://mail.google.com/mail/u/0/#inbox/${e.emailId}` : ""
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    Logger.log(`[STATUS_HISTORY] Recorded ${rows.length} status transition(s).`);
+  } catch (e) {
+    // History must never block processing.
+    Logger.log(`[STATUS_HISTORY ERROR] Failed to record status history: ${e.message}`);
+  }
+}
+
+/**
+ * Records a manual Status edit on the Proposals sheet. Called from the onEdit simple trigger.
+ * Script writes do not fire onEdit, so only user edits reach this function.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function recordManualStatusEdit(e) {
+  if (!e || !e.range) return;
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== PROPOSAL_TRACKER_SHEET_TAB_NAME || e.range.getRow() < 2) return;
+  const ss = sheet.getParent();
+  loadProposalColumns(ss); // From ColumnMap.js
+  if (e.range.getColumn() > proposalCol('STATUS') || e.range.getLastColumn() < proposalCol('STATUS')) return;
+
+  loadFunderAliases(ss);
+  const entries = [];
+  for (let row = e.range.getRow(); row <= e.range.getLastRow(); row++) {
+    const rowData = sheet.getRange(row, 1, 1, proposalRowWidth()).getValues()[0];
+    // oldValue is only provided for single-cell edits.
+    const oldStatus = e.range.getNumRows() === 1 && e.range.getNumColumns() === 1 ? (e.oldValue || "") : "(bulk edit)";
+    if (String(oldStatus) !== String(rowData[proposalCol('STATUS') - 1])) {
+      entries.push(buildStatusHistoryEntry(rowData, oldStatus, HISTORY_SOURCE_MANUAL, ""));
+    }
+  }
+  appendStatusHistory(ss, entries);
+}
+
+/**
+ * Returns the status timeline of one proposal, oldest first.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} proposalKey Key from getProposalKey().
+ * @returns {Array<{timestamp: Date, oldStatus: string, newStatus: string, source: string, emailId: string}>}
+ */
+function getProposalTimeline(ss, proposalKey) {
+  const sheet = ss.getSheetByName(STATUS_HISTORY_SHEET_TAB_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, STATUS_HISTORY_SHEET_HEADERS.length).getValues()
+    .filter(r => r[1] === proposalKey)
+    .map(r => ({ timestamp: r[0], oldStatus: r[4], newStatus: r[5], source: r[6], emailId: r[7] }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Returns the status transitions of all proposals recorded after a point in time, oldest first.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Date} since
+ * @returns {Array<{timestamp: Date, funder: string, title: string, oldStatus: string, newStatus: string, source: string}>}
+ */
+function getStatusHistorySince(ss, since) {
+  const sheet = ss.getSheetByName(STATUS_HISTORY_SHEET_TAB_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, STATUS_HISTORY_SHEET_HEADERS.length).getValues()
+    .filter(r => r[0] && new Date(r[0]) > since)
+    .map(r => ({ timestamp: r[0], funder: r[2], title: r[3], oldStatus: r[4], newStatus: r[5], source: r[6] }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Menu action: shows the status timeline of the proposal in the currently selected Proposals row.
+ */
+function showProposalTimeline_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const row = sheet.getActiveRange() ? sheet.getActiveRange().getRow() : 0;
+  if (sheet.getName() !== PROPOSAL_TRACKER_SHEET_TAB_NAME || row < 2) {
+    ui.alert('Select a Proposal', `Select a row on the "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" sheet first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  loadProposalColumns(ss); // From ColumnMap.js
+  const rowData = sheet.getRange(row, 1, 1, proposalRowWidth()).getValues()[0];
+  loadFunderAliases(ss);
+  const timeline = getProposalTimeline(ss, getProposalKey(rowData[proposalCol('FUNDER') - 1], rowData[proposalCol('TITLE') - 1]));
+  const heading = `${rowData[proposalCol('FUNDER') - 1]} — ${rowData[proposalCol('TITLE') - 1]}`;
+  if (timeline.length === 0) {
+    ui.alert('Proposal Timeline', `${heading}\n\nNo status changes have been recorded for this proposal yet.`, ui.ButtonSet.OK);
+    return;
+  }
+  const tz = ss.getSpreadsheetTimeZone();
+  const lines = timeline.map(t =>
+    `${Utilities.formatDate(new Date(t.timestamp), tz, "yyyy-MM-dd HH:mm")}  ${t.oldStatus || "(new)"} → ${t.newStatus}  [${t.source}]`);
+  ui.alert('Proposal Timeline', `${heading}\n\n${lines.join('\n')}`.substring(0, 1500), ui.ButtonSet.OK);
+}
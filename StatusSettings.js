@@ -0,0 +1,227 @@
+/**
+ * @file The proposal status pipeline, defined on the user-editable "Settings" sheet: one row per status with
+ * its rank (a status only replaces one of equal or lower rank), whether it is terminal (closed; never marked
+ * stale), and keyword hints for the AI prompt and the offline keyword parser. The built-in statuses are seeded
+ * at setup; the ones the code depends on (STATUS_CORE_NAMES) are restored from the defaults if removed.
+ */
+
+// Per-execution cache of the status pipeline, in sheet order.
+let _statusSettings = null;
+
+/**
+ * Sets up the Settings sheet and the Status column's data validation on the Proposals sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} activeSS The spreadsheet object.
+ * @returns {{success: boolean, messages: string[]}}
+ */
+function initialSetup_StatusSettings(activeSS) {
+  try {
+    let sheet = activeSS.getSheetByName(SETTINGS_SHEET_TAB_NAME);
+    const isNew = !sheet;
+    if (isNew) sheet = activeSS.insertSheet(SETTINGS_SHEET_TAB_NAME);
+    if (!setupSheetFormatting(sheet, SETTINGS_SHEET_HEADERS, [{ col: 1, width: 220 }, { col: 2, width: 70 }, { col: 3, width: 80 }, { col: 4, width: 420 }, { col: 5, width: 320 }], false)) {
+      throw new Error(`Formatting failed for "${SETTINGS_SHEET_TAB_NAME}".`);
+    }
+    if (isNew) {
+      const rows = _defaultStatusSettings().map(s => [s.name, s.rank, s.terminal, s.keywords.join(", "), s.description]);
+      sheet.getRange(2, 1, rows.length, SETTINGS_SHEET_HEADERS.length).setValues(rows);
+    }
+    sheet.getRange(2, 3, sheet.getMaxRows() - 1, 1).insertCheckboxes();
+    sheet.setTabColor(BRAND_COLORS.CAROLINA_BLUE);
+    applyStatusValidation(activeSS);
+    return { success: true, messages: [`Sheet '${SETTINGS_SHEET_TAB_NAME}': Setup OK.`] };
+  } catch (e) {
+    Logger.log(`[initialSetup_StatusSettings ERROR] ${e.toString()}`);
+    return { success: false, messages: [`Sheet '${SETTINGS_SHEET_TAB_NAME}' setup FAILED: ${e.message}.`] };
+  }
+}
+
+/**
+ * Restricts the Proposals sheet's Status column to the statuses listed on the Settings sheet.
+ * The rule points at the Settings range, so statuses added later are accepted without re-running this.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ */
+function applyStatusValidation(ss) {
+  const dataSheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  const settingsSheet = ss.getSheetByName(SETTINGS_SHEET_TAB_NAME);
+  if (!dataSheet || !settingsSheet) return;
+  loadProposalColumns(ss); // From ColumnMap.js
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInRange(settingsSheet.getRange(2, 1, settingsSheet.getMaxRows() - 1, 1), true)
+    .setAllowInvalid(false)
+    .setHelpText(`Choose a status from the "${SETTINGS_SHEET_TAB_NAME}" sheet.`)
+    .build();
+  dataSheet.getRange(2, proposalCol('STATUS'), dataSheet.getMaxRows() - 1, 1).setDataValidation(rule);
+}
+
+/**
+ * Loads the status pipeline from the Settings sheet into the per-execution cache. Rows without a name or
+ * with a non-numeric rank are skipped; missing core statuses are added from the defaults.
+ * Falls back to the built-in defaults when the sheet does not exist.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {Array<{name: string, rank: number, terminal: boolean, keywords: string[]}>}
+ */
+function loadStatusSettings(ss) {
+  const sheet = ss ? ss.getSheetByName(SETTINGS_SHEET_TAB_NAME) : null;
+  if (!sheet) {
+    _statusSettings = _defaultStatusSettings();
+    return _statusSettings;
+  }
+  const statuses = [];
+  const lastRow = sheet.getLastRow();
+  const rows = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, 4).getValues();
+  rows.forEach(([name, rank, terminal, keywords], i) => {
+    const statusName = String(name || "").trim();
+    if (!statusName) return;
+    if (rank === "" || isNaN(Number(rank)) || /["']/.test(statusName) || statuses.some(s => s.name === statusName)) {
+      Logger.log(`[STATUS_SETTINGS WARN] Skipping "${statusName}" on row ${i + 2}: it needs a numeric rank, a name without quotes, and must be listed once.`);
+      return;
+    }
+    statuses.push({
+      name: statusName,
+      rank: Number(rank),
+      terminal: terminal === true || /^(true|yes|y|x)$/i.test(String(terminal).trim()),
+      keywords: String(keywords || "").split(",").map(k => _normalizeKeywordText(k)).filter(Boolean)
+    });
+  });
+  _defaultStatusSettings().filter(s => STATUS_CORE_NAMES.includes(s.name) && !statuses.some(x => x.name === s.name)).forEach(s => {
+    Logger.log(`[STATUS_SETTINGS WARN] Core status "${s.name}" is missing from "${SETTINGS_SHEET_TAB_NAME}". Using its default.`);
+    statuses.push(s);
+  });
+  _statusSettings = statuses;
+  if (DEBUG_MODE) Logger.log(`[STATUS_SETTINGS] Loaded ${statuses.length} statuses.`);
+  return _statusSettings;
+}
+
+/**
+ * Returns the cached status pipeline, loading it from the active spreadsheet on first use.
+ * @returns {Array<{name: string, rank: number, terminal: boolean, keywords: string[]}>}
+ */
+function getStatusSettings() {
+  if (!_statusSettings) {
+    let ss = null;
+    try { ss = SpreadsheetApp.getActiveSpreadsheet(); } catch (e) { /* No active spreadsheet (Web App, standalone). */ }
+    loadStatusSettings(ss);
+  }
+  return _statusSettings;
+}
+
+/**
+ * @param {string} status
+ * @returns {number|undefined} The status's rank, or undefined if it is not a configured status.
+ */
+function getStatusRank(status) {
+  const entry = getStatusSettings().find(s => s.name === status);
+  return entry ? entry.rank : undefined;
+}
+
+/**
+ * @param {string} status
+ * @returns {boolean} True if the status is configured on the Settings sheet.
+ */
+function isKnownStatus(status) {
+  return getStatusSettings().some(s => s.name === status);
+}
+
+/**
+ * @param {string} status
+ * @returns {boolean} True if the status is configured as terminal (closed; skipped by the stale check).
+ */
+function isTerminalStatus(status) {
+  return getStatusSettings().some(s => s.name === status && s.terminal);
+}
+
+/**
+ * @returns {string[]} All configured status names, in sheet order.
+ */
+function getStatusNames() {
+  return getStatusSettings().map(s => s.name);
+}
+
+/**
+ * @returns {Array<{name: string, rank: number, terminal: boolean, keywords: string[]}>} The statuses the
+ *   parsers may assign (everything except the ones only a person sets, STATUSES_NOT_ASSIGNED_BY_PARSER).
+ */
+function getParserStatuses() {
+  return getStatusSettings().filter(s => !STATUSES_NOT_ASSIGNED_BY_PARSER.includes(s.name));
+}
+
+/**
+ * Finds the status whose keyword hints appear in a text. Terminal statuses are checked first, lowest rank
+ * first (a decline that thanks you "for your submission" or says "not awarded" is still a decline), then the
+ * rest from the highest rank down. A hint right after a negation ("not awarded", "has not been approved")
+ * does not count.
+ * @param {string} text
+ * @returns {string|null} The matched status name, or null.
+ */
+function matchStatusKeywords(text) {
+  const normalized = _normalizeKeywordText(text);
+  const ordered = [...getParserStatuses()].sort((a, b) => (b.terminal - a.terminal) || (a.terminal ? a.rank - b.rank : b.rank - a.rank));
+  const match = ordered.find(s => s.keywords.some(k => _containsKeyword(normalized, k)));
+  return match ? match.name : null;
+}
+
+/**
+ * Builds the status instructions for the proposal prompt: the allowed statuses, with their hints.
+ * @returns {string}
+ */
+function buildStatusPromptOptions() {
+  const statuses = getParserStatuses();
+  const hints = statuses.filter(s => s.keywords.length > 0)
+    .map(s => `  - "${s.name}": e.g. ${s.keywords.slice(0, 6).map(k => `"${k}"`).join(", ")}`);
+  return `You MUST choose ONLY from this list: ${statuses.map(s => `"${s.name}"`).join(", ")}.` +
+    (hints.length > 0 ? `\n  Typical wording for each status:\n${hints.join("\n")}` : "");
+}
+
+/**
+ * onEdit hook: reloads the pipeline and refreshes the Dashboard formulas that depend on it when the
+ * Settings sheet is edited.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function handleStatusSettingsEdit(e) {
+  if (!e || !e.range || e.range.getSheet().getName() !== SETTINGS_SHEET_TAB_NAME) return;
+  const ss = e.source || e.range.getSheet().getParent();
+  loadStatusSettings(ss);
+  refreshStatusDependentFormulas(ss); // From Dashboard.js
+}
+
+/**
+ * @returns {Array<{name: string, rank: number, terminal: boolean, keywords: string[], description: string}>}
+ *   The built-in pipeline, from STATUS_HIERARCHY, FINAL_STATUSES_FOR_STALE_CHECK and the keyword lists.
+ * @private
+ */
+function _defaultStatusSettings() {
+  const keywords = {
+    [STATUS_SUBMITTED]: SUBMITTED_KEYWORDS, [STATUS_UNDER_REVIEW]: UNDER_REVIEW_KEYWORDS,
+    [STATUS_AWARDED]: AWARDED_KEYWORDS, [STATUS_DECLINED]: DECLINED_KEYWORDS
+  };
+  return Object.entries(STATUS_HIERARCHY).map(([name, rank]) => ({
+    name: name,
+    rank: rank,
+    terminal: FINAL_STATUSES_FOR_STALE_CHECK.has(name),
+    keywords: (keywords[name] || []).map(k => _normalizeKeywordText(k)),
+    description: DEFAULT_STATUS_DESCRIPTIONS[name] || ""
+  }));
+}
+
+/**
+ * @param {string} normalized Text from _normalizeKeywordText.
+ * @param {string} keyword A normalized keyword hint.
+ * @returns {boolean} True if the hint appears at least once without a negation right before it.
+ * @private
+ */
+function _containsKeyword(normalized, keyword) {
+  for (let i = normalized.indexOf(keyword); i !== -1; i = normalized.indexOf(keyword, i + 1)) {
+    if (!KEYWORD_NEGATION_PATTERN.test(normalized.substring(0, i))) return true;
+  }
+  return false;
+}
+
+/**
+ * Lowercases text and replaces punctuation with spaces, so hints and email text compare alike.
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function _normalizeKeywordText(text) {
+  return String(text || "").toLowerCase().replace(/[.,!?;:()\[\]{}'"“”‘’\-–—]/g, ' ').replace(/\s+/g, ' ').trim();
+}
@@ -2,28 +2,37 @@
  * @file Manages time-driven triggers for the project.
  */
 
-function createTimeDrivenTrigger(functionName, hours) {
+/**
+ * Creates a recurring processing trigger unless one already exists for the handler.
+ * @param {string} functionName The trigger handler.
+ * @param {number} hours Hours between runs; 24 runs once a day at atHour.
+ * @param {number} [atHour] Hour of the day for a daily trigger.
+ * @returns {boolean} True if a trigger was created.
+ */
+function createTimeDrivenTrigger(functionName, hours, atHour) {
   const FUNC_NAME = `createTimeDrivenTrigger for ${functionName}`;
   try {
     const existingTriggers = ScriptApp.getProjectTriggers();
     const triggerExists = existingTriggers.some(t => t.getHandlerFunction() === functionName);
 
     if (!triggerExists) {
-        if (functionName === 'processEmails_triggerHandler') {
-            ScriptApp.newTrigger(functionName)
+        let trigger;
+        if (hours >= 24) {
+            trigger = ScriptApp.newTrigger(functionName)
                 .timeBased()
-                .everyDays(1) // CHANGED: Runs once per day
-                .atHour(1)    // Around 1 AM in the server's timezone
+                .everyDays(1)
+                .atHour(typeof atHour === 'number' ? atHour : 1) // In the script's timezone
                 .create();
-            Logger.log(`[${FUNC_NAME} INFO] Daily email processing trigger CREATED successfully.`);
+            Logger.log(`[${FUNC_NAME} INFO] Daily trigger CREATED successfully.`);
         } else {
-             // Fallback for other potential triggers if needed in the future
-            ScriptApp.newTrigger(functionName)
+            trigger = ScriptApp.newTrigger(functionName)
                 .timeBased()
                 .everyHours(hours)
                 .create();
-            Logger.log(`[${FUNC_NAME} INFO] Hourly trigger CREATED successfully for ${functionName}.`);
+            Logger.log(`[${FUNC_NAME} INFO] Trigger every ${hours} hour(s) CREATED successfully.`);
         }
+      recordInstalledTrigger(trigger); // From Uninstall.js
+      _recordTriggerSchedule(functionName, describeIntervalSchedule(hours, atHour));
       return true;
     } else {
       Logger.log(`[${FUNC_NAME} INFO] Trigger ALREADY EXISTS.`);
@@ -43,13 +52,15 @@ function createOrVerifyStaleProposalTrigger() {
     const triggerExists = existingTriggers.some(t => t.getHandlerFunction() === HANDLER_FUNCTION);
 
     if (!triggerExists) {
-      ScriptApp.newTrigger(HANDLER_FUNCTION)
+      const trigger = ScriptApp.newTrigger(HANDLER_FUNCTION)
         .timeBased()
-        .everyWeeks(1) // CHANGED: Runs once per week
-        .onWeekDay(ScriptApp.WeekDay.SUNDAY) // Runs on Sunday
-        .atHour(2) // Around 2 AM
+        .everyWeeks(1)
+        .onWeekDay(ScriptApp.WeekDay[getConfigValue('STALE_CHECK_WEEKDAY')]) // From RuntimeConfig.js
+        .atHour(getConfigValue('STALE_CHECK_HOUR'))
         .create();
       Logger.log(`[${FUNC_NAME} INFO] Weekly stale-check trigger for proposals CREATED.`);
+      recordInstalledTrigger(trigger); // From Uninstall.js
+      _recordTriggerSchedule(HANDLER_FUNCTION, describeWeeklySchedule(getConfigValue('STALE_CHECK_WEEKDAY'), getConfigValue('STALE_CHECK_HOUR')));
       return true;
     } else {
       Logger.log(`[${FUNC_NAME} INFO] Weekly stale-check trigger for proposals ALREADY EXISTS.`);
@@ -60,3 +71,159 @@ function createOrVerifyStaleProposalTrigger() {
     return false;
   }
 }
+
+/**
+ * Creates the pipeline digest trigger on the DIGEST_CADENCE schedule, unless it exists or the digest is OFF.
+ * @returns {boolean} True if a trigger was created.
+ */
+function createOrVerifyDigestTrigger() {
+  const FUNC_NAME = 'createOrVerifyDigestTrigger';
+  try {
+    const cadence = getConfigValue('DIGEST_CADENCE'); // From RuntimeConfig.js
+    if (cadence === 'OFF') {
+      Logger.log(`[${FUNC_NAME} INFO] Pipeline digest is OFF. No trigger created.`);
+      return false;
+    }
+    if (ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === DIGEST_TRIGGER_HANDLER)) {
+      Logger.log(`[${FUNC_NAME} INFO] Pipeline digest trigger ALREADY EXISTS.`);
+      return false;
+    }
+    const builder = ScriptApp.newTrigger(DIGEST_TRIGGER_HANDLER).timeBased();
+    const trigger = cadence === 'DAILY'
+      ? builder.everyDays(1).atHour(getConfigValue('DIGEST_HOUR')).create()
+      : builder.everyWeeks(1).onWeekDay(ScriptApp.WeekDay[getConfigValue('DIGEST_WEEKDAY')]).atHour(getConfigValue('DIGEST_HOUR')).create();
+    Logger.log(`[${FUNC_NAME} INFO] ${cadence === 'DAILY' ? "Daily" : "Weekly"} pipeline digest trigger CREATED.`);
+    recordInstalledTrigger(trigger); // From Uninstall.js
+    _recordTriggerSchedule(DIGEST_TRIGGER_HANDLER, getExpectedDigestSchedule());
+    return true;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to create trigger: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * The recurring triggers, with how to create each one and the schedule the runtime configuration asks for.
+ * followsCadence marks the digest trigger, which is driven by DIGEST_CADENCE rather than by module setup.
+ * @returns {Array<{handler: string, create: function(): boolean, expectedSchedule: function(): (string|null), followsCadence?: boolean}>}
+ */
+function getScheduledTriggerDefinitions() {
+  return [
+    {
+      handler: 'processEmails_triggerHandler',
+      create: () => createTimeDrivenTrigger('processEmails_triggerHandler', getConfigValue('PROPOSAL_TRIGGER_HOURS'), getConfigValue('PROPOSAL_TRIGGER_HOUR')),
+      expectedSchedule: () => describeIntervalSchedule(getConfigValue('PROPOSAL_TRIGGER_HOURS'), getConfigValue('PROPOSAL_TRIGGER_HOUR'))
+    },
+    {
+      handler: 'processOpportunities_triggerHandler',
+      create: () => createTimeDrivenTrigger('processOpportunities_triggerHandler', getConfigValue('OPPORTUNITIES_TRIGGER_HOURS')),
+      expectedSchedule: () => describeIntervalSchedule(getConfigValue('OPPORTUNITIES_TRIGGER_HOURS'))
+    },
+    {
+      handler: 'markStaleProposals',
+      create: createOrVerifyStaleProposalTrigger,
+      expectedSchedule: () => describeWeeklySchedule(getConfigValue('STALE_CHECK_WEEKDAY'), getConfigValue('STALE_CHECK_HOUR'))
+    },
+    { handler: DIGEST_TRIGGER_HANDLER, create: createOrVerifyDigestTrigger, expectedSchedule: getExpectedDigestSchedule, followsCadence: true }
+  ];
+}
+
+/**
+ * @param {number} hours Hours between runs; 24 or more means once a day.
+ * @param {number} [atHour] Hour of the day for a daily trigger.
+ * @returns {string} e.g. "daily at 1:00" or "every 12 hour(s)".
+ */
+function describeIntervalSchedule(hours, atHour) {
+  return hours >= 24 ? `daily at ${typeof atHour === 'number' ? atHour : 1}:00` : `every ${hours} hour(s)`;
+}
+
+/**
+ * @param {string} weekday A ScriptApp.WeekDay name, e.g. "SUNDAY".
+ * @param {number} atHour
+ * @returns {string} e.g. "weekly on SUNDAY at 2:00".
+ */
+function describeWeeklySchedule(weekday, atHour) {
+  return `weekly on ${weekday} at ${atHour}:00`;
+}
+
+/**
+ * @returns {string|null} The digest schedule for the configured cadence, or null when the digest is OFF.
+ */
+function getExpectedDigestSchedule() {
+  const cadence = getConfigValue('DIGEST_CADENCE');
+  if (cadence === 'OFF') return null;
+  return cadence === 'DAILY' ? describeIntervalSchedule(24, getConfigValue('DIGEST_HOUR')) : describeWeeklySchedule(getConfigValue('DIGEST_WEEKDAY'), getConfigValue('DIGEST_HOUR'));
+}
+
+/**
+ * Time-driven triggers do not expose their schedule, so the one each trigger was created with is recorded.
+ * @returns {Object<string, string>} Handler name -> schedule description.
+ */
+function getRecordedTriggerSchedules() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(TRIGGER_SCHEDULES_PROPERTY) || "{}");
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * @param {string} handler
+ * @param {string} schedule A description from describeIntervalSchedule() or describeWeeklySchedule().
+ * @private
+ */
+function _recordTriggerSchedule(handler, schedule) {
+  const schedules = getRecordedTriggerSchedules();
+  schedules[handler] = schedule;
+  PropertiesService.getScriptProperties().setProperty(TRIGGER_SCHEDULES_PROPERTY, JSON.stringify(schedules));
+}
+
+/**
+ * Deletes and recreates the recurring triggers so they follow the current runtime configuration.
+ * Only handlers that already had a trigger are recreated, so modules that were never set up stay off.
+ * The digest trigger follows DIGEST_CADENCE instead: it is installed when missing and removed when OFF.
+ * @returns {string[]} One message per trigger.
+ */
+function rebuildScheduledTriggers() {
+  const FUNC_NAME = 'rebuildScheduledTriggers';
+  return getScheduledTriggerDefinitions().map(({ handler, create, followsCadence }) => {
+    const existing = ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === handler);
+    if (existing.length === 0 && !followsCadence) return `${handler}: not installed, skipped.`;
+    existing.forEach(t => ScriptApp.deleteTrigger(t));
+    if (followsCadence && getConfigValue('DIGEST_CADENCE') === 'OFF') {
+      return `${handler}: ${existing.length > 0 ? "removed" : "not installed"} (DIGEST_CADENCE is OFF).`;
+    }
+    const created = create();
+    Logger.log(`[${FUNC_NAME} INFO] ${handler}: ${created ? "recreated" : "FAILED to recreate"}.`);
+    return `${handler}: ${created ? "rescheduled" : "FAILED, see the logs"}.`;
+  });
+}
+
+/**
+ * Schedules a one-off trigger that resumes processing, replacing any earlier one for the same handler.
+ * @param {string} functionName The continuation handler (dedicated to continuations, never a recurring trigger).
+ * @param {number} delayMinutes
+ */
+function scheduleContinuationTrigger(functionName, delayMinutes) {
+  const FUNC_NAME = 'scheduleContinuationTrigger';
+  try {
+    deleteContinuationTriggers(functionName);
+    recordInstalledTrigger(ScriptApp.newTrigger(functionName).timeBased().after(delayMinutes * 60 * 1000).create()); // From Uninstall.js
+    Logger.log(`[${FUNC_NAME} INFO] Continuation "${functionName}" scheduled in ${delayMinutes} minute(s).`);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to schedule continuation "${functionName}": ${e.message}`);
+  }
+}
+
+/**
+ * Deletes the one-off continuation triggers for a handler, including ones that already fired.
+ * @param {string} functionName The continuation handler.
+ * @returns {number} The number of triggers deleted.
+ */
+function deleteContinuationTriggers(functionName) {
+  if (!functionName) return 0;
+  const continuations = ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === functionName);
+  continuations.forEach(t => ScriptApp.deleteTrigger(t));
+  if (continuations.length > 0) Logger.log(`[deleteContinuationTriggers INFO] Removed ${continuations.length} "${functionName}" trigger(s).`);
+  return continuations.length;
+}
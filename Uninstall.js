@@ -0,0 +1,260 @@
+/**
+ * @file Install registry and uninstall. Setup records every trigger and Gmail filter it creates
+ * (INSTALLED_ARTIFACTS_PROPERTY), so uninstall removes exactly those and leaves the rest of the project and
+ * mailbox alone. Uninstall can first export all data to Drive, and can optionally delete the FundingFlock
+ * labels and the stored properties, tokens and generated sheets. Running setup again reinstalls everything.
+ */
+
+/**
+ * @returns {{triggers: Object<string, string>, filters: Object<string, string>}} Trigger unique ID -> handler
+ *     and Gmail filter ID -> query, for everything setup created.
+ */
+function getInstalledArtifacts() {
+  try {
+    const artifacts = JSON.parse(PropertiesService.getScriptProperties().getProperty(INSTALLED_ARTIFACTS_PROPERTY) || "{}");
+    return { triggers: artifacts.triggers || {}, filters: artifacts.filters || {} };
+  } catch (e) {
+    return { triggers: {}, filters: {} };
+  }
+}
+
+/**
+ * Records a trigger the project created. Entries for triggers that no longer exist are dropped at the same time,
+ * so continuations and rescheduled triggers do not pile up.
+ * @param {GoogleAppsScript.Script.Trigger} trigger
+ */
+function recordInstalledTrigger(trigger) {
+  try {
+    const artifacts = getInstalledArtifacts();
+    const liveIds = ScriptApp.getProjectTriggers().map(t => t.getUniqueId());
+    Object.keys(artifacts.triggers).filter(id => !liveIds.includes(id)).forEach(id => delete artifacts.triggers[id]);
+    artifacts.triggers[trigger.getUniqueId()] = trigger.getHandlerFunction();
+    _saveInstalledArtifacts(artifacts);
+  } catch (e) {
+    // The registry must never block trigger creation; uninstall falls back to PROJECT_TRIGGER_HANDLERS.
+    Logger.log(`[INSTALL_REGISTRY WARN] Could not record trigger: ${e.message}`);
+  }
+}
+
+/**
+ * Records a Gmail filter the project created (or adopted, when setup found one with its query and label).
+ * @param {string} filterId
+ * @param {string} query
+ */
+function recordInstalledFilter(filterId, query) {
+  try {
+    const artifacts = getInstalledArtifacts();
+    artifacts.filters[filterId] = query;
+    _saveInstalledArtifacts(artifacts);
+  } catch (e) {
+    Logger.log(`[INSTALL_REGISTRY WARN] Could not record Gmail filter ${filterId}: ${e.message}`);
+  }
+}
+
+/**
+ * Uninstalls the project from this spreadsheet and the current user's account.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {{exportData?: boolean, removeLabels?: boolean, clearStoredData?: boolean}} [options]
+ *     exportData: copy everything to a new Drive folder first; nothing is removed if the export fails.
+ *     removeLabels: delete the FundingFlock Gmail labels (their emails stay in the mailbox).
+ *     clearStoredData: delete the project's properties, tokens and generated sheets.
+ * @returns {{success: boolean, messages: string[], exportFolderUrl: string}}
+ */
+function uninstallProject(ss, options) {
+  const FUNC_NAME = "uninstallProject";
+  const opts = options || {};
+  const result = { success: true, messages: [], exportFolderUrl: "" };
+  Logger.log(`\n==== ${FUNC_NAME}: STARTING (${JSON.stringify(opts)}) ====`);
+
+  if (opts.exportData) {
+    try {
+      const exported = exportProjectData(ss);
+      result.exportFolderUrl = exported.folderUrl;
+      result.messages.push(`Export: ${exported.fileCount} file(s) saved to the Drive folder "${exported.folderName}".`);
+    } catch (e) {
+      Logger.log(`[${FUNC_NAME} ERROR] Export failed: ${e.toString()}`);
+      return { success: false, messages: [`Export FAILED: ${e.message}. Nothing was uninstalled.`], exportFolderUrl: "" };
+    }
+  }
+
+  const installed = getInstalledArtifacts();
+  const steps = [
+    () => _uninstallTriggers(installed),
+    () => _uninstallGmailFilters(installed),
+    () => opts.removeLabels ? _deleteProjectLabels() : "Gmail labels: kept.",
+    () => opts.clearStoredData ? _clearProjectData(ss) : "Settings, API key, tokens and generated sheets: kept."
+  ];
+  steps.forEach(step => {
+    try {
+      result.messages.push(step());
+    } catch (e) {
+      Logger.log(`[${FUNC_NAME} ERROR] ${e.toString()}`);
+      result.messages.push(`FAILED: ${e.message}`);
+      result.success = false;
+    }
+  });
+  Logger.log(`[${FUNC_NAME} INFO] ${result.messages.join(" | ")}`);
+  return result;
+}
+
+/**
+ * Exports the spreadsheet to a new Drive folder: a full copy (hidden sheets included), one CSV per sheet and a
+ * JSON file with the effective runtime configuration and the document property overrides.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{folderName: string, folderUrl: string, fileCount: number}}
+ */
+function exportProjectData(ss) {
+  const stamp = Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), "yyyy-MM-dd HHmm");
+  const folderName = `${MASTER_GMAIL_LABEL_PARENT} export - ${ss.getName()} - ${stamp}`;
+  const folder = DriveApp.createFolder(folderName);
+  DriveApp.getFileById(ss.getId()).makeCopy(`${ss.getName()} (export ${stamp})`, folder);
+  let fileCount = 1;
+
+  ss.getSheets().filter(sheet => sheet.getName() !== HELPER_SHEET_NAME && sheet.getLastRow() > 0).forEach(sheet => {
+    const csv = sheet.getDataRange().getDisplayValues().map(row => row.map(_csvField).join(",")).join("\r\n");
+    folder.createFile(`${sheet.getName()}.csv`, csv, MimeType.CSV);
+    fileCount++;
+  });
+
+  const config = loadRuntimeConfig(ss); // From RuntimeConfig.js
+  const documentProperties = PropertiesService.getDocumentProperties().getProperties();
+  const overrides = Object.keys(documentProperties).filter(name => name.startsWith(RUNTIME_CONFIG_PROPERTY_PREFIX))
+    .reduce((acc, name) => ({ ...acc, [name]: documentProperties[name] }), {});
+  const settings = { exportedAt: new Date().toISOString(), spreadsheetId: ss.getId(), runtimeConfig: config.values, sources: config.sources, documentPropertyOverrides: overrides };
+  folder.createFile("settings.json", JSON.stringify(settings, null, 2), MimeType.PLAIN_TEXT);
+  fileCount++;
+
+  Logger.log(`[exportProjectData INFO] Exported ${fileCount} file(s) to "${folderName}".`);
+  return { folderName: folderName, folderUrl: folder.getUrl(), fileCount: fileCount };
+}
+
+/**
+ * Menu action: asks which offboarding steps to run, then uninstalls and shows what was done.
+ */
+function uninstall() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const confirm = ui.alert('Uninstall FundingFlock',
+    'This stops all automatic processing: the triggers and Gmail filters FundingFlock created are removed. ' +
+    'Other triggers and filters, and your Proposals and Opportunities data, are not touched.\n\n' +
+    'You will be asked about exporting data, Gmail labels and stored settings next. Continue?',
+    ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) {
+    ui.alert('Uninstall Canceled', 'No changes were made.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const exportChoice = ui.alert('Export Data First?',
+    'Save a copy of this spreadsheet, a CSV of every sheet and your settings to a new Google Drive folder before uninstalling? (Recommended)',
+    ui.ButtonSet.YES_NO_CANCEL);
+  if (exportChoice === ui.Button.CANCEL || exportChoice === ui.Button.CLOSE) {
+    ui.alert('Uninstall Canceled', 'No changes were made.', ui.ButtonSet.OK);
+    return;
+  }
+  const removeLabels = ui.alert('Remove Gmail Labels?',
+    `Delete the "${MASTER_GMAIL_LABEL_PARENT}" labels from Gmail? The emails stay in your mailbox; they just lose these labels.`,
+    ui.ButtonSet.YES_NO) === ui.Button.YES;
+  const clearStoredData = ui.alert('Clear Stored Settings?',
+    `Delete the stored Gemini API key, web app tokens, setting overrides and other FundingFlock properties, and the generated sheets (${GENERATED_SHEET_TAB_NAMES.join(", ")})? ` +
+    'Your data sheets, Config and Settings sheets, and Status History are kept.',
+    ui.ButtonSet.YES_NO) === ui.Button.YES;
+
+  const result = uninstallProject(ss, { exportData: exportChoice === ui.Button.YES, removeLabels: removeLabels, clearStoredData: clearStoredData });
+  const title = result.success ? 'Uninstall Complete' : (result.exportFolderUrl || result.messages.length > 1 ? 'Uninstall Partially Complete' : 'Uninstall Stopped');
+  const footer = `${result.exportFolderUrl ? `\n\nExport folder: ${result.exportFolderUrl}` : ""}\n\nTo reinstall, run "Finalize Project Setup" from the menu.`;
+  ui.alert(title, `${result.messages.join("\n")}${footer}`, ui.ButtonSet.OK);
+}
+
+/**
+ * Deletes the recorded triggers, plus unrecorded ones for the project's own handlers (installs older than the
+ * registry). Triggers for any other function are left alone.
+ * @returns {string} A summary line.
+ * @private
+ */
+function _uninstallTriggers(installed) {
+  const triggers = ScriptApp.getProjectTriggers();
+  const ours = triggers.filter(t => installed.triggers[t.getUniqueId()] || PROJECT_TRIGGER_HANDLERS.includes(t.getHandlerFunction()));
+  ours.forEach(t => ScriptApp.deleteTrigger(t));
+  const others = triggers.length - ours.length;
+  return `Triggers: removed ${ours.length}.${others > 0 ? ` ${others} trigger(s) not created by FundingFlock were left in place.` : ""}`;
+}
+
+/**
+ * Deletes the recorded Gmail filters. For installs older than the registry it also deletes filters that have a
+ * configured module query and apply a FundingFlock label, which is what setup would have created.
+ * @returns {string} A summary line.
+ * @private
+ */
+function _uninstallGmailFilters(installed) {
+  const filters = Gmail.Users.Settings.Filters.list('me').filter || [];
+  const labelIds = (Gmail.Users.Labels.list('me').labels || [])
+    .filter(l => l.name === MASTER_GMAIL_LABEL_PARENT || l.name.startsWith(`${MASTER_GMAIL_LABEL_PARENT}/`)).map(l => l.id);
+  const queries = [getConfigValue('TRACKER_GMAIL_FILTER_QUERY'), getConfigValue('OPPORTUNITIES_GMAIL_FILTER_QUERY')]; // From RuntimeConfig.js
+  const isLegacyMatch = f => !!f.criteria && queries.includes(f.criteria.query) &&
+    !!(f.action && f.action.addLabelIds && f.action.addLabelIds.some(id => labelIds.includes(id)));
+  const ours = filters.filter(f => installed.filters[f.id] !== undefined || isLegacyMatch(f));
+  ours.forEach(f => {
+    Gmail.Users.Settings.Filters.remove('me', f.id);
+    Logger.log(`[UNINSTALL INFO] Removed Gmail filter ${f.id} ("${f.criteria ? f.criteria.query : ""}").`);
+  });
+  return `Gmail filters: removed ${ours.length}.`;
+}
+
+/**
+ * Deletes the FundingFlock.AI label and every label under it, children first. Emails keep their other labels.
+ * @returns {string} A summary line.
+ * @private
+ */
+function _deleteProjectLabels() {
+  const labels = GmailApp.getUserLabels()
+    .filter(l => l.getName() === MASTER_GMAIL_LABEL_PARENT || l.getName().startsWith(`${MASTER_GMAIL_LABEL_PARENT}/`))
+    .sort((a, b) => b.getName().length - a.getName().length);
+  labels.forEach(label => GmailApp.deleteLabel(label));
+  return `Gmail labels: deleted ${labels.length}. The emails are still in your mailbox.`;
+}
+
+/**
+ * Deletes the project's script, document and (current user's) user properties, then the generated sheets.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {string} A summary line.
+ * @private
+ */
+function _clearProjectData(ss) {
+  const isOurs = name => name.startsWith(PROJECT_PROPERTY_PREFIX) || PROJECT_PROPERTIES_WITHOUT_PREFIX.includes(name);
+  let propertyCount = 0;
+  [PropertiesService.getScriptProperties(), PropertiesService.getDocumentProperties(), PropertiesService.getUserProperties()].forEach(store => {
+    Object.keys(store.getProperties()).filter(isOurs).forEach(name => {
+      store.deleteProperty(name);
+      propertyCount++;
+    });
+  });
+
+  const deletedSheets = [];
+  GENERATED_SHEET_TAB_NAMES.forEach(name => {
+    const sheet = ss.getSheetByName(name);
+    if (sheet && ss.getSheets().length > 1) {
+      ss.deleteSheet(sheet);
+      deletedSheets.push(name);
+    }
+  });
+  return `Stored data: cleared ${propertyCount} propert${propertyCount === 1 ? "y" : "ies"} (API key and tokens included)` +
+    `${deletedSheets.length > 0 ? ` and deleted the ${deletedSheets.join(", ")} sheet(s)` : ""}.`;
+}
+
+/**
+ * @param {string} value A display value.
+ * @returns {string} The value as a CSV field, quoted when needed.
+ * @private
+ */
+function _csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {{triggers: Object<string, string>, filters: Object<string, string>}} artifacts
+ * @private
+ */
+function _saveInstalledArtifacts(artifacts) {
+  PropertiesService.getScriptProperties().setProperty(INSTALLED_ARTIFACTS_PROPERTY, JSON.stringify(artifacts));
+}
@@ -0,0 +1,198 @@
+/**
+ * @file Request authentication for the FundingFlock.AI Web App.
+ * Each user gets API tokens from the button on the OAuth landing page. A token is "ff_<tokenId>.<secret>"; the secret never
+ * travels again after issue. Instead every request is signed:
+ *   signature = hex(HMAC-SHA256(secret, "<METHOD>\n<timestamp>\n<nonce>\n<content>"))
+ * where <content> is the raw "payload" string for POST ({ payload: "<JSON>", auth: {...} }), and for GET the
+ * non-auth query parameters sorted by name as "k1=v1&k2=v2". GET requests pass tokenId, timestamp, nonce and
+ * signature as query parameters. The timestamp (ms since epoch) must be within API_SIGNATURE_MAX_SKEW_MS
+ * and each nonce is accepted once.
+ */
+
+const API_AUTH_PARAMS = ['tokenId', 'timestamp', 'nonce', 'signature'];
+
+/**
+ * Issues a new API token for the effective user, revoking the oldest ones beyond API_MAX_TOKENS_PER_USER.
+ * @returns {string} The token to hand to the extension ("ff_<tokenId>.<secret>").
+ */
+function issueApiToken() {
+  const tokens = _loadApiTokens();
+  const tokenId = Utilities.getUuid().replace(/-/g, "");
+  const secret = Utilities.getUuid().replace(/-/g, "") + Utilities.getUuid().replace(/-/g, "");
+  tokens[tokenId] = { secret: secret, createdAt: new Date().toISOString(), lastUsedAt: null };
+
+  const byAge = Object.keys(tokens).sort((a, b) => tokens[a].createdAt.localeCompare(tokens[b].createdAt));
+  byAge.slice(0, Math.max(0, byAge.length - API_MAX_TOKENS_PER_USER)).forEach(id => delete tokens[id]);
+  _saveApiTokens(tokens);
+  Logger.log(`[WEBAPP_AUTH] Issued API token ${tokenId} for ${Session.getEffectiveUser().getEmail()}.`);
+  return `${API_TOKEN_PREFIX}${tokenId}.${secret}`;
+}
+
+/**
+ * Revokes one of the effective user's API tokens.
+ * @param {string} tokenId
+ * @returns {boolean} True if the token existed.
+ */
+function revokeApiToken(tokenId) {
+  const tokens = _loadApiTokens();
+  if (!tokens[tokenId]) return false;
+  delete tokens[tokenId];
+  _saveApiTokens(tokens);
+  Logger.log(`[WEBAPP_AUTH] Revoked API token ${tokenId}.`);
+  return true;
+}
+
+/**
+ * Revokes all of the effective user's API tokens.
+ * @returns {number} The number of tokens revoked.
+ */
+function revokeAllApiTokens() {
+  const count = Object.keys(_loadApiTokens()).length;
+  PropertiesService.getUserProperties().deleteProperty(API_TOKENS_PROPERTY);
+  Logger.log(`[WEBAPP_AUTH] Revoked all ${count} API token(s).`);
+  return count;
+}
+
+/**
+ * Menu action: revokes all of the current user's Web App tokens after confirmation.
+ */
+function revokeAllApiTokens_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert('Revoke Web App Tokens',
+    'This signs the browser extension out on every device. You will need to authorize it again. Continue?', ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+  const count = revokeAllApiTokens();
+  ui.alert('Revoke Web App Tokens', `${count} token(s) revoked.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Verifies a signed request and returns the token it was signed with. Throws an API error otherwise.
+ * The nonce is checked and recorded under the user lock, so two concurrent requests with the same
+ * signature cannot both pass.
+ * @param {string} method "GET" or "POST".
+ * @param {{tokenId: string, timestamp: string|number, nonce: string, signature: string}} auth
+ * @param {string} content The signed content (see the file comment).
+ * @returns {string} The verified token ID.
+ */
+function verifySignedRequest(method, auth, content) {
+  if (!auth || API_AUTH_PARAMS.some(p => !auth[p])) {
+    throw _apiError(API_ERROR_CODES.UNAUTHORIZED, 'Request is not signed. Authorize the extension again to get an API token.');
+  }
+  const tokenId = String(auth.tokenId).replace(API_TOKEN_PREFIX, "");
+  const tokens = _loadApiTokens();
+  const token = tokens[tokenId];
+  if (!token) throw _apiError(API_ERROR_CODES.UNAUTHORIZED, 'Unknown or revoked API token.');
+
+  const timestamp = Number(auth.timestamp);
+  if (!isFinite(timestamp) || Math.abs(Date.now() - timestamp) > API_SIGNATURE_MAX_SKEW_MS) {
+    throw _apiError(API_ERROR_CODES.REQUEST_EXPIRED, 'Request timestamp is too old or too far in the future. Check the device clock.');
+  }
+  const nonce = String(auth.nonce);
+  if (!/^[A-Za-z0-9_-]{8,64}$/.test(nonce)) throw _apiError(API_ERROR_CODES.UNAUTHORIZED, 'Invalid nonce.');
+
+  const expected = _hmacSha256Hex(`${method}\n${auth.timestamp}\n${nonce}\n${content}`, token.secret);
+  if (!_constantTimeEquals(expected, String(auth.signature).toLowerCase())) {
+    throw _apiError(API_ERROR_CODES.UNAUTHORIZED, 'Invalid request signature.');
+  }
+
+  // Nonces only need to be remembered for as long as their timestamp is acceptable.
+  const cache = CacheService.getUserCache();
+  const nonceKey = `ff_nonce_${tokenId}_${nonce}`;
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(API_NONCE_LOCK_WAIT_MS)) throw _apiError(API_ERROR_CODES.CONFLICT, 'The server is busy. Try again in a moment.');
+  try {
+    if (cache.get(nonceKey)) throw _apiError(API_ERROR_CODES.REPLAYED_REQUEST, 'This request was already processed.');
+    cache.put(nonceKey, "1", Math.ceil((2 * API_SIGNATURE_MAX_SKEW_MS) / 1000));
+  } finally {
+    lock.releaseLock();
+  }
+
+  // Record usage at most hourly to keep property writes down.
+  if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > 60 * 60 * 1000) {
+    token.lastUsedAt = new Date().toISOString();
+    _saveApiTokens(tokens);
+  }
+  return tokenId;
+}
+
+/**
+ * Builds the signed content of a GET request: its non-auth parameters sorted by name.
+ * @param {Object<string, string>} params The request's query parameters.
+ * @returns {string}
+ */
+function canonicalizeQueryParams(params) {
+  return Object.keys(params).filter(k => !API_AUTH_PARAMS.includes(k)).sort()
+    .map(k => `${k}=${params[k]}`).join("&");
+}
+
+/**
+ * Lists the effective user's tokens without their secrets.
+ * @param {{authTokenId: string}} params Set by the router to the token that signed the request.
+ * @returns {{tokens: Array<{tokenId: string, createdAt: string, lastUsedAt: string|null, current: boolean}>}}
+ */
+function handleListTokens(params) {
+  const tokens = _loadApiTokens();
+  return {
+    tokens: Object.keys(tokens).map(id => ({
+      tokenId: id, createdAt: tokens[id].createdAt, lastUsedAt: tokens[id].lastUsedAt, current: id === params.authTokenId
+    }))
+  };
+}
+
+/**
+ * Revokes a token: the one given in tokenId, or the one that signed the request (sign-out).
+ * @param {{tokenId?: string, all?: boolean, authTokenId: string}} params
+ * @returns {{revoked: number}}
+ */
+function handleRevokeToken(params) {
+  if (params.all) return { revoked: revokeAllApiTokens() };
+  const tokenId = params.tokenId ? String(params.tokenId).replace(API_TOKEN_PREFIX, "") : params.authTokenId;
+  if (!revokeApiToken(tokenId)) throw _apiError(API_ERROR_CODES.NOT_FOUND, `No token ${tokenId}.`);
+  return { revoked: 1 };
+}
+
+/**
+ * @returns {Object<string, {secret: string, createdAt: string, lastUsedAt: string|null}>}
+ * @private
+ */
+function _loadApiTokens() {
+  try {
+    return JSON.parse(PropertiesService.getUserProperties().getProperty(API_TOKENS_PROPERTY) || "{}");
+  } catch (e) {
+    Logger.log(`[WEBAPP_AUTH WARN] Stored API tokens were unreadable and are ignored: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * @param {Object<string, object>} tokens
+ * @private
+ */
+function _saveApiTokens(tokens) {
+  PropertiesService.getUserProperties().setProperty(API_TOKENS_PROPERTY, JSON.stringify(tokens));
+}
+
+/**
+ * @param {string} message
+ * @param {string} secret
+ * @returns {string} The lowercase hex HMAC-SHA256 of the message.
+ * @private
+ */
+function _hmacSha256Hex(message, secret) {
+  return Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8)
+    .map(b => ((b + 256) % 256).toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Compares two strings without returning early, so timing does not reveal how much of a signature matched.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ * @private
+ */
+function _constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
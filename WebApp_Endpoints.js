@@ -1,11 +1,13 @@
 /**
  * @file Handles authenticated GET and POST requests for the FundingFlock.AI Web App.
+ * Every API request must be signed with a per-user token (see WebApp_Auth.js).
  * @version 3.0 (Adapted for FundingFlock communication)
  */
 
 /**
  * Main entry point for all GET requests to the Web App.
- * This function's primary role is to serve the landing page after a user completes the OAuth flow.
+ * Serves the landing page after a user completes the OAuth flow, and the read-only API actions for signed
+ * requests. Loading the landing page does not issue a token; the user has to press its button.
  * @param {GoogleAppsScript.Events.DoGet} e The event parameter from the GET request.
  * @returns {GoogleAppsScript.Content.TextOutput | GoogleAppsScript.HTML.HtmlOutput} A JSON or HTML response.
  */
@@ -15,21 +17,23 @@ function doGet(e) {
     const action = e.parameter.action;
     Logger.log(`[${FUNC_NAME}] Received GET request. Action: "${action}". User: ${Session.getEffectiveUser().getEmail()}`);
 
-    // If an action parameter exists, it's an API call we don't support via GET in this version.
-    if (action) {
-      return createJsonResponse({ success: false, error: `Unknown GET action: ${action}` });
-    } else {
-      // If no action is specified, it's the OAuth redirect. Show the user-friendly landing page.
+    if (!action) {
+      // If no action is specified, it's the OAuth redirect. Show the landing page; a token is only issued from its button.
       return createAuthLandingPage();
     }
+    const tokenId = verifySignedRequest('GET', e.parameter, canonicalizeQueryParams(e.parameter)); // From WebApp_Auth.js
+    if (!API_READ_ACTIONS.includes(action)) {
+      throw _apiError(API_ERROR_CODES.UNKNOWN_ACTION, `Unknown GET action: "${action}". Write actions must use POST.`);
+    }
+    return createJsonResponse({ status: 'success', ...API_ACTION_HANDLERS[action]({ ...e.parameter, authTokenId: tokenId }) });
   } catch (error) {
-    Logger.log(`[${FUNC_NAME}] CRITICAL Unhandled Error in doGet: ${error.toString()}\nStack: ${error.stack}`);
-    return createJsonResponse({ success: false, error: `An unexpected server error occurred: ${error.message}` });
+    return _apiErrorResponse(FUNC_NAME, error);
   }
 }
 
 /**
  * Handles POST requests from the extension, which is the primary method of communication.
+ * The body is { payload: "<JSON string with the action and its parameters>", auth: { tokenId, timestamp, nonce, signature } }.
  * @param {GoogleAppsScript.Events.DoPost} e The event parameter.
  * @returns {GoogleAppsScript.Content.TextOutput} A JSON response.
  */
@@ -39,7 +43,19 @@ function doPost(e) {
     const userEmail = Session.getEffectiveUser().getEmail();
     Logger.log(`[${FUNC_NAME}] Received POST from ${userEmail}.`);
 
-    const postData = JSON.parse(e.postData.contents);
+    let body, postData;
+    try {
+      body = JSON.parse(e.postData.contents);
+    } catch (parseError) {
+      throw _apiError(API_ERROR_CODES.BAD_REQUEST, 'Request body must be valid JSON.');
+    }
+    const tokenId = verifySignedRequest('POST', body.auth, typeof body.payload === 'string' ? body.payload : ""); // From WebApp_Auth.js
+    try {
+      postData = JSON.parse(body.payload);
+    } catch (parseError) {
+      throw _apiError(API_ERROR_CODES.BAD_REQUEST, 'payload must be a JSON string.');
+    }
+    postData.authTokenId = tokenId;
     const action = postData.action;
 
     switch (action) {
@@ -49,21 +65,28 @@ function doPost(e) {
 
       case 'setApiKey':
         Logger.log(`[${FUNC_NAME}] Action: setApiKey`);
-        const apiKey = postData.apiKey;
-        if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 35) {
-          throw new Error('Invalid or missing API key.');
+        if (!postData.apiKey || typeof postData.apiKey !== 'string') {
+          throw _apiError(API_ERROR_CODES.BAD_REQUEST, 'Invalid or missing API key.');
+        }
+        let savedKey;
+        try {
+          // Same store and live test as the spreadsheet menu, so the triggers use this key too.
+          savedKey = saveGeminiApiKey(postData.apiKey); // From GeminiKeyStore.js
+        } catch (keyError) {
+          throw _apiError(API_ERROR_CODES.BAD_REQUEST, keyError.message);
         }
-        // GEMINI_API_KEY_PROPERTY is a global constant from Config.js
-        PropertiesService.getUserProperties().setProperty(GEMINI_API_KEY_PROPERTY, apiKey);
-        Logger.log(`[${FUNC_NAME} SUCCESS] Saved Gemini API key.`);
-        return createJsonResponse({ status: 'success', message: 'API key was successfully saved.' });
+        Logger.log(`[${FUNC_NAME} SUCCESS] Saved Gemini API key ${savedKey.maskedKey}.`);
+        return createJsonResponse({ status: 'success', message: 'API key was tested and saved.', maskedKey: savedKey.maskedKey, aiFeaturesActive: true });
 
       default:
-        throw new Error(`Unknown POST action: "${action}".`);
+        if (!API_ACTION_HANDLERS[action]) {
+          throw _apiError(API_ERROR_CODES.UNKNOWN_ACTION, `Unknown POST action: "${action}".`);
+        }
+        Logger.log(`[${FUNC_NAME}] Action: ${action}`);
+        return createJsonResponse({ status: 'success', ...API_ACTION_HANDLERS[action](postData) });
     }
   } catch (error) {
-    Logger.log(`[${FUNC_NAME} CRITICAL ERROR] ${error.toString()}`);
-    return createJsonResponse({ status: 'error', message: `Server error: ${error.message}` });
+    return _apiErrorResponse(FUNC_NAME, error);
   }
 }
 
@@ -76,7 +99,7 @@ function handleCreateSheet(postData) {
   const FUNC_NAME = "handleCreateSheet";
   const userEmail = Session.getEffectiveUser().getEmail();
   const userProps = PropertiesService.getUserProperties();
-  const userSheetIdPropKey = 'userFundingFlockSheetId'; // Use a unique key for FF
+  const userSheetIdPropKey = USER_SHEET_ID_PROPERTY;
 
   const existingSheetId = userProps.getProperty(userSheetIdPropKey);
 
@@ -118,19 +141,426 @@ function handleCreateSheet(postData) {
   });
 }
 
+// --- Proposal API (browser extension) ---
+// Actions that only read data; these are also accepted over GET.
+const API_READ_ACTIONS = ['listProposals', 'getProposal', 'getDashboardMetrics', 'listTokens', 'getBackfillStatus'];
+
+// Action name -> handler(params) returning the success payload (merged into { status: 'success', ... }).
+const API_ACTION_HANDLERS = {
+  listProposals: handleListProposals,
+  getProposal: handleGetProposal,
+  getDashboardMetrics: handleGetDashboardMetrics,
+  updateProposal: handleUpdateProposal,
+  addProposal: handleAddProposal,
+  listTokens: handleListTokens,   // From WebApp_Auth.js
+  revokeToken: handleRevokeToken, // From WebApp_Auth.js
+  startBackfill: handleStartBackfill,         // From Backfill.js
+  getBackfillStatus: handleGetBackfillStatus, // From Backfill.js
+  cancelBackfill: handleCancelBackfill        // From Backfill.js
+};
+
+/**
+ * Lists proposals, optionally filtered.
+ * @param {{status?: string, funder?: string, submittedFrom?: string, submittedTo?: string, limit?: number|string, offset?: number|string}} params
+ *   status is a single status or a comma-separated list; funder matches on the normalized (alias-resolved) name;
+ *   submittedFrom/submittedTo bound the Submission Date (YYYY-MM-DD, inclusive).
+ * @returns {{proposals: Array<object>, total: number, limit: number, offset: number}}
+ */
+function handleListProposals(params) {
+  const ss = _getApiSpreadsheet();
+  const sheet = _getApiProposalSheet(ss);
+  loadFunderAliases(ss); // From ProposalMatching.js
+
+  const statuses = params.status ? String(params.status).split(",").map(st => st.trim()).filter(Boolean) : [];
+  const funderKey = params.funder ? resolveFunderKey(params.funder) : "";
+  const from = _parseApiDate(params.submittedFrom, 'submittedFrom');
+  const to = _parseApiDate(params.submittedTo, 'submittedTo');
+  if (to) to.setHours(23, 59, 59, 999);
+  const limit = Math.min(_parseApiInteger(params.limit, 'limit', API_LIST_DEFAULT_LIMIT), API_LIST_MAX_LIMIT);
+  const offset = _parseApiInteger(params.offset, 'offset', 0);
+
+  const matches = [];
+  sheet.getDataRange().getValues().forEach((rowData, i) => {
+    if (i === 0 || !String(rowData[proposalCol('FUNDER') - 1]).trim()) return;
+    if (statuses.length > 0 && !statuses.includes(rowData[proposalCol('STATUS') - 1])) return;
+    if (funderKey && !resolveFunderKey(rowData[proposalCol('FUNDER') - 1]).includes(funderKey)) return;
+    const submitted = proposalValue(rowData, 'SUBMIT_DATE'); // From ColumnMap.js
+    if ((from || to) && !(submitted instanceof Date)) return;
+    if ((from && submitted < from) || (to && submitted > to)) return;
+    matches.push(_proposalRowToJson(rowData, i + 1));
+  });
+  return { proposals: matches.slice(offset, offset + limit), total: matches.length, limit: limit, offset: offset };
+}
+
+/**
+ * Fetches one proposal and its status timeline.
+ * @param {{id: number|string}} params id is the proposal's row number, as returned by listProposals.
+ * @returns {{proposal: object, timeline: Array<object>}}
+ */
+function handleGetProposal(params) {
+  const ss = _getApiSpreadsheet();
+  const { rowData, row } = _getApiProposalRow(_getApiProposalSheet(ss), params.id);
+  loadFunderAliases(ss);
+  const timeline = getProposalTimeline(ss, getProposalKey(rowData[proposalCol('FUNDER') - 1], rowData[proposalCol('TITLE') - 1])) // From StatusHistory.js
+    .map(t => ({ ...t, timestamp: _toApiValue(t.timestamp) }));
+  return { proposal: _proposalRowToJson(rowData, row), timeline: timeline };
+}
+
+/**
+ * Updates the status, notes and/or amounts of a proposal.
+ * @param {{id: number|string, key?: string, status?: string, notes?: string, amountRequested?: *, amountAwarded?: *}} params
+ *   key, if given, must still match the row (guards against the row having moved since it was listed).
+ *   An empty or null amount clears the cell.
+ * @returns {{proposal: object}}
+ */
+function handleUpdateProposal(params) {
+  return _withApiDocumentLock("handleUpdateProposal", () => {
+    const ss = _getApiSpreadsheet();
+    const sheet = _getApiProposalSheet(ss, true);
+    const { rowData, row } = _getApiProposalRow(sheet, params.id);
+    loadFunderAliases(ss);
+    if (params.key && params.key !== getProposalKey(rowData[proposalCol('FUNDER') - 1], rowData[proposalCol('TITLE') - 1])) {
+      throw _apiError(API_ERROR_CODES.CONFLICT, `Row ${row} no longer holds this proposal. Reload the list and try again.`);
+    }
+    if (!['status', 'notes', 'amountRequested', 'amountAwarded'].some(field => field in params)) {
+      throw _apiError(API_ERROR_CODES.BAD_REQUEST, 'Nothing to update. Provide status, notes, amountRequested and/or amountAwarded.');
+    }
+
+    const oldStatus = rowData[proposalCol('STATUS') - 1];
+    if ('status' in params) {
+      _assertApiStatus(params.status);
+      rowData[proposalCol('STATUS') - 1] = params.status;
+      // A user update may move the status backwards; the peak status only ever moves forward.
+      if ((getStatusRank(params.status) ?? 0) > (getStatusRank(rowData[proposalCol('PEAK_STATUS') - 1]) ?? 0)) {
+        rowData[proposalCol('PEAK_STATUS') - 1] = params.status;
+      }
+    }
+    if ('notes' in params) rowData[proposalCol('NOTES') - 1] = String(params.notes ?? "");
+    if ('amountRequested' in params) rowData[proposalCol('AMT_REQ') - 1] = _parseApiAmount(params.amountRequested, 'amountRequested');
+    if ('amountAwarded' in params) rowData[proposalCol('AMT_AWARD') - 1] = _parseApiAmount(params.amountAwarded, 'amountAwarded');
+    rowData[proposalCol('LAST_UPDATE') - 1] = new Date();
+
+    sheet.getRange(row, 1, 1, rowData.length).setValues([rowData]);
+    if (rowData[proposalCol('STATUS') - 1] !== oldStatus) {
+      appendStatusHistory(ss, [buildStatusHistoryEntry(rowData, oldStatus, HISTORY_SOURCE_API, "")]);
+    }
+    Logger.log(`[handleUpdateProposal INFO] Updated row ${row}.`);
+    return { proposal: _proposalRowToJson(rowData, row) };
+  });
+}
+
+/**
+ * Adds a proposal by hand. Refuses to add a confident duplicate of an existing proposal unless allowDuplicate is set.
+ * @param {{funder: string, title?: string, status?: string, submittedDate?: string, amountRequested?: *, amountAwarded?: *,
+ *   notes?: string, loiDueDate?: string, proposalDeadline?: string, decisionDate?: string, reportDueDate?: string,
+ *   allowDuplicate?: boolean}} params
+ * @returns {{proposal: object}}
+ */
+function handleAddProposal(params) {
+  return _withApiDocumentLock("handleAddProposal", () => {
+    const funder = String(params.funder || "").trim();
+    if (!funder) throw _apiError(API_ERROR_CODES.BAD_REQUEST, 'funder is required.');
+    const title = String(params.title || "").trim() || "N/A";
+    const status = params.status || STATUS_DRAFTING;
+    _assertApiStatus(status);
+
+    const ss = _getApiSpreadsheet();
+    const sheet = _getApiProposalSheet(ss, true);
+    const proposalIndex = _buildProposalIndex(sheet.getDataRange().getValues(), ss); // From Main.js
+    const match = findProposalMatch(funder, title, proposalIndex.byFunder);
+    if (match.decision === 'match' && !params.allowDuplicate) {
+      throw _apiError(API_ERROR_CODES.CONFLICT, `This looks like the existing proposal in row ${match.entry.row}. Set allowDuplicate to add it anyway.`);
+    }
+
+    const now = new Date();
+    const rowData = newProposalRow();
+    rowData[proposalCol('PROC_TS') - 1] = now;
+    rowData[proposalCol('SUBMIT_DATE') - 1] = _parseApiDate(params.submittedDate, 'submittedDate') || "";
+    rowData[proposalCol('FUNDER') - 1] = funder;
+    rowData[proposalCol('TITLE') - 1] = title;
+    rowData[proposalCol('STATUS') - 1] = status;
+    rowData[proposalCol('PEAK_STATUS') - 1] = status;
+    rowData[proposalCol('LAST_UPDATE') - 1] = now;
+    rowData[proposalCol('AMT_REQ') - 1] = _parseApiAmount(params.amountRequested, 'amountRequested');
+    rowData[proposalCol('AMT_AWARD') - 1] = _parseApiAmount(params.amountAwarded, 'amountAwarded');
+    rowData[proposalCol('NOTES') - 1] = String(params.notes || "");
+    rowData[proposalCol('PARSED_BY') - 1] = PARSER_NAME_MANUAL_ENTRY;
+    PROPOSAL_KEY_DATE_FIELDS.forEach(({ key, field }) => { rowData[proposalCol(key) - 1] = _parseApiDate(params[field], field) || ""; });
+
+    const row = sheet.getLastRow() + 1;
+    sheet.getRange(row, 1, 1, rowData.length).setValues([rowData]);
+    appendStatusHistory(ss, [buildStatusHistoryEntry(rowData, "", HISTORY_SOURCE_API, "")]);
+    Logger.log(`[handleAddProposal INFO] Added "${funder}" / "${title}" in row ${row}.`);
+    return { proposal: _proposalRowToJson(rowData, row) };
+  });
+}
+
+/**
+ * Runs an API write under the same document lock as the processing engine, so a row read and written back here
+ * cannot interleave with a run rewriting or appending rows.
+ * @param {string} funcName For the log line.
+ * @param {function(): *} callback
+ * @returns {*} The callback's result.
+ * @throws {Error} A CONFLICT API error if the lock stays busy.
+ * @private
+ */
+function _withApiDocumentLock(funcName, callback) {
+  const locked = withDocumentLock(funcName, callback); // From LockUtils.js
+  if (!locked.acquired) {
+    throw _apiError(API_ERROR_CODES.CONFLICT, 'Email processing is running. Nothing was changed; try again in a minute.');
+  }
+  return locked.result;
+}
+
+/**
+ * Returns the Dashboard scorecard values (as computed by the sheet's formulas) and the upcoming deadlines.
+ * @returns {{metrics: Object<string, number>, upcomingDeadlines: Array<{funder: string, title: string, type: string, dueDate: string}>}}
+ */
+function handleGetDashboardMetrics() {
+  const ss = _getApiSpreadsheet();
+  const dashboardSheet = ss.getSheetByName(DASHBOARD_TAB_NAME);
+  if (!dashboardSheet) {
+    throw _apiError(API_ERROR_CODES.SHEET_NOT_FOUND, `Sheet "${DASHBOARD_TAB_NAME}" not found. Run "Finalize Project Setup" first.`);
+  }
+  const metrics = {};
+  Object.entries(DASHBOARD_SCORECARD_CELLS).forEach(([name, cell]) => {
+    const value = dashboardSheet.getRange(cell).getValue();
+    metrics[name] = typeof value === 'number' ? value : 0;
+  });
+
+  const helperSheet = ss.getSheetByName(HELPER_SHEET_NAME);
+  const upcomingDeadlines = helperSheet
+    ? helperSheet.getRange(2, 11, UPCOMING_DEADLINES_LIMIT, 4).getValues()
+      .filter(r => r[0] && r[3] instanceof Date)
+      .map(r => ({ funder: r[0], title: r[1], type: r[2], dueDate: _toApiValue(r[3]) }))
+    : [];
+  return { metrics: metrics, upcomingDeadlines: upcomingDeadlines };
+}
+
+/**
+ * Opens the user's FundingFlock sheet: the one created for them by createTrackerSheet, else the bound spreadsheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet}
+ * @private
+ */
+function _getApiSpreadsheet() {
+  const sheetId = PropertiesService.getUserProperties().getProperty(USER_SHEET_ID_PROPERTY);
+  let ss = null;
+  try {
+    ss = sheetId ? SpreadsheetApp.openById(sheetId) : SpreadsheetApp.getActiveSpreadsheet();
+  } catch (e) {
+    Logger.log(`[_getApiSpreadsheet WARN] Could not open sheet ${sheetId}: ${e.message}`);
+  }
+  if (!ss) throw _apiError(API_ERROR_CODES.SHEET_NOT_FOUND, 'No FundingFlock sheet found for this user. Call createTrackerSheet first.');
+  loadStatusSettings(ss); // There is no active spreadsheet to load the status pipeline from lazily.
+  return ss;
+}
+
+/**
+ * Returns the Proposals sheet after resolving its columns by header.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {boolean} [ensureColumns] Add missing optional columns first; only while holding the document lock.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Proposals sheet.
+ * @private
+ */
+function _getApiProposalSheet(ss, ensureColumns) {
+  const sheet = ss.getSheetByName(PROPOSAL_TRACKER_SHEET_TAB_NAME);
+  if (!sheet) {
+    throw _apiError(API_ERROR_CODES.SHEET_NOT_FOUND, `Sheet "${PROPOSAL_TRACKER_SHEET_TAB_NAME}" not found. Run "Finalize Project Setup" first.`);
+  }
+  try {
+    // From ColumnMap.js; there is no active spreadsheet to resolve the columns from lazily.
+    if (ensureColumns) ensureProposalColumns(ss);
+    else loadProposalColumns(ss);
+  } catch (e) {
+    throw _apiError(API_ERROR_CODES.SHEET_COLUMNS_MISSING, e.message);
+  }
+  return sheet;
+}
+
+/**
+ * Reads the proposal row identified by an API id (its row number).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number|string} id
+ * @returns {{rowData: Array<*>, row: number}}
+ * @private
+ */
+function _getApiProposalRow(sheet, id) {
+  const row = Number(id);
+  if (!Number.isInteger(row) || row < 2) throw _apiError(API_ERROR_CODES.BAD_REQUEST, 'id must be a proposal row number (2 or greater).');
+  if (row > sheet.getLastRow()) throw _apiError(API_ERROR_CODES.NOT_FOUND, `No proposal with id ${id}.`);
+  const rowData = sheet.getRange(row, 1, 1, proposalRowWidth()).getValues()[0];
+  if (!String(rowData[proposalCol('FUNDER') - 1]).trim()) throw _apiError(API_ERROR_CODES.NOT_FOUND, `No proposal with id ${id}.`);
+  return { rowData: rowData, row: row };
+}
+
+/**
+ * Converts a Proposals row into the API's proposal object. Dates are ISO strings; blank cells are null.
+ * @param {Array<*>} rowData
+ * @param {number} row
+ * @returns {object}
+ * @private
+ */
+function _proposalRowToJson(rowData, row) {
+  const cell = key => _toApiValue(proposalValue(rowData, key)); // From ColumnMap.js; absent columns are null.
+  const proposal = {
+    id: row,
+    key: getProposalKey(rowData[proposalCol('FUNDER') - 1], rowData[proposalCol('TITLE') - 1]),
+    funder: cell('FUNDER'),
+    title: cell('TITLE'),
+    status: cell('STATUS'),
+    peakStatus: cell('PEAK_STATUS'),
+    submittedDate: cell('SUBMIT_DATE'),
+    lastUpdate: cell('LAST_UPDATE'),
+    amountRequested: cell('AMT_REQ'),
+    amountAwarded: cell('AMT_AWARD'),
+    emailSubject: cell('EMAIL_SUBJ'),
+    emailLink: cell('EMAIL_LINK'),
+    notes: cell('NOTES'),
+    parsedBy: cell('PARSED_BY'),
+    followUp: cell('FOLLOW_UP')
+  };
+  PROPOSAL_KEY_DATE_FIELDS.forEach(({ key, field }) => { proposal[field] = cell(key); });
+  return proposal;
+}
+
+/**
+ * @param {*} value A cell value.
+ * @returns {*} Dates as ISO strings, blank cells as null, anything else unchanged.
+ * @private
+ */
+function _toApiValue(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+  return value === "" || typeof value === 'undefined' ? null : value;
+}
+
+/**
+ * @param {string} status
+ * @private
+ */
+function _assertApiStatus(status) {
+  if (!isKnownStatus(status)) { // From StatusSettings.js
+    throw _apiError(API_ERROR_CODES.BAD_REQUEST, `status must be one of ${JSON.stringify(getStatusNames())}.`);
+  }
+}
+
+/**
+ * @param {*} value An amount such as 25000 or "$25,000"; null or "" for none.
+ * @param {string} fieldName For the error message.
+ * @returns {number|string} The amount, or "" for none.
+ * @private
+ */
+function _parseApiAmount(value, fieldName) {
+  if (value === null || typeof value === 'undefined' || value === "") return "";
+  const amount = parseCurrencyAmount(value); // From ParsingUtils.js
+  if (amount === null) throw _apiError(API_ERROR_CODES.BAD_REQUEST, `${fieldName} must be an amount, e.g. 25000 or "$25,000".`);
+  return amount;
+}
+
+/**
+ * @param {*} value A date string (preferably YYYY-MM-DD); null or "" for none.
+ * @param {string} fieldName For the error message.
+ * @returns {Date|null}
+ * @private
+ */
+function _parseApiDate(value, fieldName) {
+  if (value === null || typeof value === 'undefined' || value === "") return null;
+  const date = parseDateString(value); // From ParsingUtils.js
+  if (!date) throw _apiError(API_ERROR_CODES.BAD_REQUEST, `${fieldName} must be a date in YYYY-MM-DD format.`);
+  return date;
+}
+
 /**
- * Creates a generic HTML response for the OAuth landing page.
+ * @param {*} value
+ * @param {string} fieldName For the error message.
+ * @param {number} defaultValue Used when value is missing.
+ * @returns {number}
+ * @private
+ */
+function _parseApiInteger(value, fieldName, defaultValue) {
+  if (value === null || typeof value === 'undefined' || value === "") return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw _apiError(API_ERROR_CODES.BAD_REQUEST, `${fieldName} must be a non-negative integer.`);
+  return number;
+}
+
+/**
+ * Creates the HTML response for the OAuth landing page. Its button calls requestApiToken() through
+ * google.script.run, so a token is only issued when the user asks for one on this page. The page keeps the
+ * default X-Frame-Options, so other sites cannot embed it.
  * @returns {GoogleAppsScript.HTML.HtmlOutput} The HTML output for the landing page.
  */
 function createAuthLandingPage() {
     const htmlOutput = `
       <!DOCTYPE html><html><head><title>FundingFlock.AI Authorization</title>
-      <style>body{font-family:sans-serif;margin:20px;background-color:#FFF0E5;color:#333;text-align:center;}.container{background-color:#fff;padding:30px;border-radius:8px;box-shadow:0 2px 10px rgba(0,0,0,0.1);display:inline-block;}h1{color:#96616B;}</style></head><body><div class="container">
-      <h1>FundingFlock.AI</h1><p>Authorization successful!</p><p>You can now close this tab and return to the extension.</p>
+      <style>body{font-family:sans-serif;margin:20px;background-color:#FFF0E5;color:#333;text-align:center;}.container{background-color:#fff;padding:30px;border-radius:8px;box-shadow:0 2px 10px rgba(0,0,0,0.1);display:inline-block;}h1{color:#96616B;}input{width:100%;font-family:monospace;padding:6px;box-sizing:border-box;}#issued{display:none;}</style></head><body><div class="container">
+      <h1>FundingFlock.AI</h1><p>Authorization successful!</p>
+      <p>Create an API token for the extension. Each new token replaces your oldest one once you have ${API_MAX_TOKENS_PER_USER}.</p>
+      <p><button id="create" onclick="createToken()">Create API Token</button></p>
+      <p id="error"></p>
+      <div id="issued">
+        <p>Paste this API token into the extension. It is shown only once; treat it like a password.</p>
+        <input id="token" readonly onclick="this.select()">
+        <p><button onclick="navigator.clipboard.writeText(document.getElementById('token').value)">Copy Token</button></p>
+        <p>You can then close this tab and return to the extension.</p>
+      </div>
+      <script>
+        function createToken() {
+          document.getElementById('create').disabled = true;
+          google.script.run
+            .withSuccessHandler(token => {
+              document.getElementById('token').value = token;
+              document.getElementById('issued').style.display = 'block';
+            })
+            .withFailureHandler(err => {
+              document.getElementById('error').textContent = 'Could not create a token: ' + err.message;
+              document.getElementById('create').disabled = false;
+            })
+            .requestApiToken();
+        }
+      </script>
       </div></body></html>`;
     return HtmlService.createHtmlOutput(htmlOutput)
-      .setTitle("FundingFlock.AI Authorization")
-      .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+      .setTitle("FundingFlock.AI Authorization");
+}
+
+/**
+ * Called by the landing page's button (google.script.run): issues an API token for the current user.
+ * @returns {string} The token from issueApiToken().
+ */
+function requestApiToken() {
+  return issueApiToken(); // From WebApp_Auth.js
+}
+
+/**
+ * Creates an API error carrying one of the API_ERROR_CODES.
+ * @param {string} code One of API_ERROR_CODES.
+ * @param {string} message A human-readable message.
+ * @returns {Error}
+ * @private
+ */
+function _apiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Logs an error and wraps it in the standard error envelope: { status: 'error', code, message }.
+ * Errors without an API code (unexpected failures) are reported as INTERNAL_ERROR.
+ * @param {string} funcName The calling function, for the log line.
+ * @param {Error} error
+ * @returns {GoogleAppsScript.Content.TextOutput}
+ * @private
+ */
+function _apiErrorResponse(funcName, error) {
+  const code = error.code || API_ERROR_CODES.INTERNAL_ERROR;
+  if (code === API_ERROR_CODES.INTERNAL_ERROR) {
+    Logger.log(`[${funcName} CRITICAL ERROR] ${error.toString()}\nStack: ${error.stack}`);
+  } else {
+    Logger.log(`[${funcName} WARN] ${code}: ${error.message}`);
+  }
+  const message = code === API_ERROR_CODES.INTERNAL_ERROR ? `Server error: ${error.message}` : error.message;
+  return createJsonResponse({ status: 'error', code: code, message: message });
 }
 
 /**